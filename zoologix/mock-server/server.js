@@ -0,0 +1,473 @@
+/**
+ * Local stand-in for the species-api.
+ *
+ * Serves `/species`, `/habitats`, `/diets`, `/classifications` and
+ * `/habitats/:id/species` from the JSON files in `./seed`, with the same
+ * pagination (`page`, `pageSize`, `metadata.total_pages`), filter query params, sorting (`sort`/`dir`),
+ * array payloads for POST/PUT/DELETE and duplicate-key error shape (`code: 23000`)
+ * as the real API. Data lives in memory and resets on every start.
+ *
+ * Run it with `npm run mock-api` (port 4000 by default, override with `PORT`),
+ * or start it from a Jest test:
+ *
+ *   const { startMockServer } = require('../../mock-server/server');
+ *   const mock = await startMockServer({ port: 0 });
+ *   // ... point a FetchWrapper at mock.url ...
+ *   await mock.close();
+ *
+ * @author `NatBitton54`
+ */
+const http = require('http');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const SEED_DIR = path.join(__dirname, 'seed');
+
+/**
+ * Per-collection settings: primary key, ID format, filterable query params
+ * (mapped to the row field they search) and fields required on POST.
+ */
+const COLLECTIONS = {
+    species: {
+        key: 'species_id',
+        idPattern: /^SP-\d{3}$/,
+        filters: {
+            name: 'common_name',
+            description: 'description',
+            diet: 'diet_type',
+            genus: 'genus',
+            class: 'class',
+            order: 'order'
+        },
+        required: [
+            'species_id', 'common_name', 'description', 'name_of_offspring', 'group_behaviour',
+            'gestation_period', 'breeding_season', 'num_of_offspring', 'average_lifespan',
+            'diet_id', 'habitat_id', 'classification_id'
+        ]
+    },
+    habitats: {
+        key: 'habitat_id',
+        idPattern: /^HA-\d{3}$/,
+        filters: {
+            name: 'name',
+            climate: 'climate',
+            location: 'location',
+            description: 'description'
+        },
+        required: ['habitat_id', 'name', 'climate', 'location', 'longitude_range', 'latitude_range', 'description']
+    },
+    diets: {
+        key: 'diet_id',
+        idPattern: /^DI-\d{3}$/,
+        filters: {
+            name: 'name',
+            diet_type: 'diet_type',
+            food_items: 'food_items'
+        },
+        required: ['diet_id', 'name', 'diet_type', 'food_items']
+    },
+    classifications: {
+        key: 'classification_id',
+        idPattern: /^CL-\d{3}$/,
+        filters: {
+            kingdom: 'kingdom',
+            phylum: 'phylum',
+            class: 'class',
+            order: 'order',
+            family: 'family',
+            genus: 'genus'
+        },
+        required: ['classification_id', 'kingdom', 'phylum', 'class', 'order', 'family', 'genus']
+    }
+};
+
+const DEFAULT_PAGE_SIZE = 10;
+
+/**
+ * Loads a fresh copy of the seed data.
+ *
+ * @returns {Object<string, object[]>} Rows keyed by collection name, plus `users`.
+ */
+const loadSeed = () => {
+    const read = (name) => JSON.parse(fs.readFileSync(path.join(SEED_DIR, `${name}.json`), 'utf8'));
+
+    return {
+        species: read('species'),
+        habitats: read('habitats'),
+        diets: read('diets'),
+        classifications: read('classifications'),
+        users: read('users')
+    };
+};
+
+/**
+ * Thrown inside route handlers to answer with an error status and JSON body.
+ */
+class HttpError extends Error {
+    constructor(status, body) {
+        super(body.message);
+        this.status = status;
+        this.body = body;
+    }
+}
+
+/**
+ * Creates a request handler bound to its own in-memory copy of the seed data,
+ * so separate servers (e.g. one per test) never share state.
+ *
+ * @param {object} [options={}]
+ * @param {string} [options.prefix='/species-api'] - Path prefix stripped from incoming URLs (requests without it work too).
+ * @param {boolean} [options.requireAuth=true] - Require a bearer token from `POST /login` for POST/PUT/DELETE.
+ * @param {Object<string, object[]>} [options.seed] - Data to use instead of the JSON seed files.
+ * @returns {{handler: function, db: Object<string, object[]>}}
+ */
+const createMockApi = (options = {}) => {
+    const prefix = options.prefix ?? '/species-api';
+    const requireAuth = options.requireAuth ?? true;
+    const db = options.seed ? JSON.parse(JSON.stringify(options.seed)) : loadSeed();
+    const tokens = new Set();
+
+    /**
+     * Species rows are returned joined with their diet and classification, like the real API.
+     */
+    const present = (collection, row) => {
+        if (collection !== 'species') return row;
+
+        const diet = db.diets.find((d) => d.diet_id === row.diet_id) || {};
+        const classification = db.classifications.find((c) => c.classification_id === row.classification_id) || {};
+
+        return {
+            ...row,
+            name: diet.name ?? null,
+            diet_type: diet.diet_type ?? null,
+            food_items: diet.food_items ?? null,
+            kingdom: classification.kingdom ?? null,
+            phylum: classification.phylum ?? null,
+            class: classification.class ?? null,
+            order: classification.order ?? null,
+            family: classification.family ?? null,
+            genus: classification.genus ?? null,
+            status_code: row.status_code ?? null
+        };
+    };
+
+    /**
+     * Compares two field values: numbers numerically, text case-insensitively, empty values last.
+     */
+    const compareValues = (a, b) => {
+        const empty = (v) => v === null || v === undefined || v === '';
+        if (empty(a) || empty(b)) return empty(a) - empty(b);
+        if (typeof a === 'number' && typeof b === 'number') return a - b;
+        return String(a).localeCompare(String(b), undefined, { numeric: true, sensitivity: 'base' });
+    };
+
+    /**
+     * Applies the collection's filter params (case-insensitive substring match),
+     * sorts by `sort`/`dir` (comma-separated for several columns) and paginates.
+     */
+    const list = (collection, rows, query) => {
+        const { filters } = COLLECTIONS[collection];
+        const sortFields = (query.get('sort') || '').split(',').map((f) => f.trim()).filter(Boolean);
+        const directions = (query.get('dir') || '').toLowerCase().split(',').map((d) => d.trim());
+        let result = rows.map((row) => present(collection, row));
+
+        Object.entries(filters).forEach(([param, field]) => {
+            const value = query.get(param);
+            if (!value) return;
+
+            const needle = value.toLowerCase();
+            result = result.filter((row) => String(row[field] ?? '').toLowerCase().includes(needle));
+        });
+
+        if (sortFields.length) {
+            result.sort((a, b) => {
+                for (let i = 0; i < sortFields.length; i++) {
+                    const diff = compareValues(a[sortFields[i]], b[sortFields[i]]);
+                    if (diff !== 0) return directions[i] === 'desc' ? -diff : diff;
+                }
+                return 0;
+            });
+        }
+
+        const pageSize = Math.max(1, parseInt(query.get('pageSize'), 10) || DEFAULT_PAGE_SIZE);
+        const totalPages = Math.max(1, Math.ceil(result.length / pageSize));
+        const page = Math.max(1, parseInt(query.get('page'), 10) || 1);
+
+        return {
+            metadata: {
+                total_items: result.length,
+                total_pages: totalPages,
+                current_page: page,
+                page_size: pageSize
+            },
+            data: result.slice((page - 1) * pageSize, page * pageSize)
+        };
+    };
+
+    /**
+     * Normalises a POSTed/PUT record: trims strings and accepts the form's field aliases.
+     */
+    const normalise = (collection, record) => {
+        const row = { ...record };
+
+        if (collection === 'habitats') {
+            if (row.long_range !== undefined) row.longitude_range = row.longitude_range ?? row.long_range;
+            if (row.lat_range !== undefined) row.latitude_range = row.latitude_range ?? row.lat_range;
+            delete row.long_range;
+            delete row.lat_range;
+        }
+
+        Object.keys(row).forEach((field) => {
+            if (typeof row[field] === 'string') row[field] = row[field].trim();
+        });
+        return row;
+    };
+
+    const ensureArray = (body) => {
+        if (!Array.isArray(body) || body.length === 0) {
+            throw new HttpError(400, { message: 'Request body must be a non-empty array of records.' });
+        }
+    };
+
+    const routes = {
+        login(req, body) {
+            const user = db.users.find((u) => u.email === body?.email && u.password === body?.password);
+            if (!user) throw new HttpError(401, { message: 'Invalid email or password.' });
+
+            const token = crypto.randomBytes(24).toString('hex');
+            tokens.add(token);
+            return [200, { token, user: { email: user.email, name: user.name } }];
+        },
+
+        create(collection, body) {
+            ensureArray(body);
+            const { key, idPattern, required } = COLLECTIONS[collection];
+            const rows = body.map((record) => normalise(collection, record));
+
+            const errors = [];
+            rows.forEach((row, index) => {
+                required.forEach((field) => {
+                    if (row[field] === undefined || row[field] === null || row[field] === '') {
+                        errors.push({ index, field, message: `${field} is required` });
+                    }
+                });
+                if (row[key] && !idPattern.test(row[key])) {
+                    errors.push({ index, field: key, message: `${key} has an invalid format` });
+                }
+            });
+            if (errors.length) {
+                throw new HttpError(422, { message: 'Validation failed.', errors });
+            }
+
+            const duplicate = rows.find((row, i) =>
+                db[collection].some((existing) => existing[key] === row[key])
+                || rows.findIndex((other) => other[key] === row[key]) !== i
+            );
+            if (duplicate) {
+                throw new HttpError(409, {
+                    message: `Duplicate entry '${duplicate[key]}' for key 'PRIMARY'`,
+                    code: 23000,
+                    id: duplicate[key]
+                });
+            }
+
+            db[collection].push(...rows);
+            return [201, { message: `${rows.length} record(s) created.`, data: rows.map((row) => present(collection, row)) }];
+        },
+
+        update(collection, body) {
+            ensureArray(body);
+            const { key } = COLLECTIONS[collection];
+            const rows = body.map((record) => normalise(collection, record));
+
+            const errors = [];
+            rows.forEach((row, index) => {
+                if (!row[key]) errors.push({ index, field: key, message: `${key} is required` });
+                Object.entries(row).forEach(([field, value]) => {
+                    if (value === null || value === '') errors.push({ index, field, message: `${field} must not be empty` });
+                });
+            });
+            if (errors.length) {
+                throw new HttpError(422, { message: 'Validation failed.', errors });
+            }
+
+            const missing = rows.filter((row) => !db[collection].some((existing) => existing[key] === row[key]));
+            if (missing.length) {
+                throw new HttpError(404, { message: `No ${collection} found with ID: ${missing.map((row) => row[key]).join(', ')}` });
+            }
+
+            const updated = rows.map((row) => {
+                const index = db[collection].findIndex((existing) => existing[key] === row[key]);
+                db[collection][index] = { ...db[collection][index], ...row };
+                return present(collection, db[collection][index]);
+            });
+            return [200, { message: `${updated.length} record(s) updated.`, data: updated }];
+        },
+
+        remove(collection, body) {
+            ensureArray(body);
+            const { key } = COLLECTIONS[collection];
+            const ids = body.map((record) => record?.[key]);
+
+            const missing = ids.filter((id) => !db[collection].some((row) => row[key] === id));
+            if (missing.length) {
+                throw new HttpError(404, { message: `No ${collection} found with ID: ${missing.join(', ')}`, ids: missing });
+            }
+
+            db[collection] = db[collection].filter((row) => !ids.includes(row[key]));
+            return [200, { message: `${ids.length} record(s) deleted.`, deleted: ids }];
+        }
+    };
+
+    /**
+     * Routes one request and returns `[status, body]`.
+     */
+    const route = (req, url, body) => {
+        const segments = url.pathname.split('/').filter(Boolean);
+        const [collection, id, sub] = segments;
+        const method = req.method.toUpperCase();
+
+        if (collection === 'login' && segments.length === 1 && method === 'POST') {
+            return routes.login(req, body);
+        }
+
+        if (!COLLECTIONS[collection] || segments.length > 3) {
+            throw new HttpError(404, { message: `Route not found: ${method} ${url.pathname}` });
+        }
+
+        if (method !== 'GET' && requireAuth) {
+            const token = (req.headers.authorization || '').replace(/^Bearer\s+/i, '');
+            if (!tokens.has(token)) throw new HttpError(401, { message: 'Authentication required.' });
+        }
+
+        const { key } = COLLECTIONS[collection];
+
+        if (method === 'GET' && !id) {
+            return [200, list(collection, db[collection], url.searchParams)];
+        }
+
+        if (method === 'GET' && id && !sub) {
+            const row = db[collection].find((r) => r[key] === id);
+            if (!row) throw new HttpError(404, { message: `No ${collection} found with ID: ${id}` });
+            return [200, present(collection, row)];
+        }
+
+        if (method === 'GET' && collection === 'habitats' && sub === 'species') {
+            if (!db.habitats.some((h) => h.habitat_id === id)) {
+                throw new HttpError(404, { message: `No habitats found with ID: ${id}` });
+            }
+            return [200, list('species', db.species.filter((s) => s.habitat_id === id), url.searchParams)];
+        }
+
+        if (method === 'POST' && !id) return routes.create(collection, body);
+        if (method === 'PUT' && !id) return routes.update(collection, body);
+        if (method === 'DELETE' && !id) return routes.remove(collection, body);
+
+        throw new HttpError(405, { message: `Method not allowed: ${method} ${url.pathname}` });
+    };
+
+    const send = (req, res, status, payload) => {
+        const json = JSON.stringify(payload);
+        const etag = `W/"${crypto.createHash('sha1').update(json).digest('base64')}"`;
+
+        if (req.method === 'GET' && status === 200) {
+            res.setHeader('ETag', etag);
+            if (req.headers['if-none-match'] === etag) {
+                res.writeHead(304);
+                res.end();
+                return;
+            }
+        }
+
+        res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+        res.end(json);
+    };
+
+    const handler = (req, res) => {
+        res.setHeader('Access-Control-Allow-Origin', '*');
+        res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
+        res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Accept, Authorization, If-None-Match');
+        res.setHeader('Access-Control-Expose-Headers', 'ETag, Retry-After');
+
+        if (req.method === 'OPTIONS') {
+            res.writeHead(204);
+            res.end();
+            return;
+        }
+
+        let raw = '';
+        req.on('data', (chunk) => { raw += chunk; });
+        req.on('end', () => {
+            const url = new URL(req.url, 'http://localhost');
+            if (prefix && url.pathname.startsWith(prefix)) {
+                url.pathname = url.pathname.slice(prefix.length) || '/';
+            }
+
+            try {
+                let body = null;
+                if (raw) {
+                    try {
+                        body = JSON.parse(raw);
+                    } catch {
+                        throw new HttpError(400, { message: 'Request body is not valid JSON.' });
+                    }
+                }
+
+                const [status, payload] = route(req, url, body);
+                send(req, res, status, payload);
+            } catch (error) {
+                if (error instanceof HttpError) {
+                    send(req, res, error.status, error.body);
+                } else {
+                    send(req, res, 500, { message: error.message || 'Internal server error' });
+                }
+            }
+        });
+    };
+
+    return { handler, db };
+};
+
+/**
+ * Starts the mock API on an HTTP server.
+ *
+ * @param {object} [options={}] - Options for `createMockApi`, plus:
+ * @param {number} [options.port=4000] - Port to listen on (0 picks a free one).
+ * @param {string} [options.host='127.0.0.1'] - Interface to bind.
+ * @returns {Promise<{server: http.Server, db: object, url: string, close: function(): Promise<void>}>}
+ *   `url` is the base URL to give to FetchWrapper (including the prefix).
+ */
+const startMockServer = (options = {}) => {
+    const { handler, db } = createMockApi(options);
+    const server = http.createServer(handler);
+    const host = options.host || '127.0.0.1';
+    const prefix = options.prefix ?? '/species-api';
+
+    return new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(options.port ?? 4000, host, () => {
+            const { port } = server.address();
+            resolve({
+                server,
+                db,
+                url: `http://${host === '0.0.0.0' ? 'localhost' : host}:${port}${prefix}`,
+                close: () => new Promise((done) => server.close(() => done()))
+            });
+        });
+    });
+};
+
+module.exports = { createMockApi, startMockServer, COLLECTIONS };
+
+if (require.main === module) {
+    startMockServer({ port: Number(process.env.PORT) || 4000, host: process.env.HOST || '127.0.0.1' })
+        .then(({ url }) => {
+            console.log(`Mock species-api listening on ${url}`);
+            console.log('Sign in with admin@zoologix.test / zoologix');
+        })
+        .catch((error) => {
+            console.error(`Could not start mock species-api: ${error.message}`);
+            process.exit(1);
+        });
+}
@@ -1,6 +1,6 @@
 
-import React from 'react';
-import { Routes, Route } from 'react-router-dom';
+import React, { useEffect } from 'react';
+import { Routes, Route, useNavigate } from 'react-router-dom';
 import '@fortawesome/fontawesome-free/css/all.min.css';
 import Navbar from './Components/Navbar';
 import Footer from './Components/Footer';
@@ -11,6 +11,16 @@ import TheSportsDB from './Pages/SportsDB/TheSportsDB';
 import SubCollection from './Pages/SubCollection/SubCollection';
 import DeleteResource from './Pages/DeleteResource/DeleteResource';
 import CreateResource from './Pages/CreateResource/CreateResource';
+import ImportResource from './Pages/ImportResource/ImportResource';
+import Login from './Pages/Login/Login';
+import EditResource from './Pages/EditResource/EditResource';
+import SpeciesDetail from './Pages/SpeciesDetail/SpeciesDetail';
+import HabitatDetail from './Pages/HabitatDetail/HabitatDetail';
+import ReferenceData from './Pages/ReferenceData/ReferenceData';
+import Taxonomy from './Pages/Taxonomy/Taxonomy';
+import Search from './Pages/Search/Search';
+import RequireAuth from './Components/RequireAuth';
+import { setUnauthorizedHandler } from './utils/auth';
 import './index.css';
 
 /**
@@ -19,6 +29,8 @@ import './index.css';
  * - Renders global layout including Navbar and Footer.
  * - Defines client-side routes using `react-router-dom`.
  * - Each route loads a specific page/component.
+ * - Guards the Create, Import, Edit and Delete routes behind a login.
+ * - Sends the user to the login page whenever the API answers 401.
  * 
  * Routes:
  * - `/` → Home
@@ -26,8 +38,20 @@ import './index.css';
  * - `/zoologix/habitats` → Habitats listing
  * - `/zoologix/the-sport-db` → SportsDB page
  * - `/zoologix/sub-collection` → Sub-collection view
- * - `/zoologix/create` → Create resource form
- * - `/zoologix/delete` → Delete resource tool
+ * - `/zoologix/create` → Create resource form (requires login)
+ * - `/zoologix/delete` → Delete resource tool (requires login)
+ * - `/zoologix/import` → Bulk import from CSV/JSON (requires login)
+ * - `/zoologix/login` → Login page
+ * - `/zoologix/species/:id` → Species profile
+ * - `/zoologix/species/:id/edit` → Edit a species (requires login)
+ * - `/zoologix/habitats/:id` → Habitat details, species and statistics
+ * - `/zoologix/habitats/:id/edit` → Edit a habitat (requires login)
+ * - `/zoologix/diets` → Diets listing
+ * - `/zoologix/diets/:id/edit` → Edit a diet (requires login)
+ * - `/zoologix/classifications` → Classifications listing
+ * - `/zoologix/classifications/:id/edit` → Edit a classification (requires login)
+ * - `/zoologix/taxonomy` → Taxonomy tree of all species
+ * - `/zoologix/search` → Search results across species, habitats and diets (`?q=`)
  * 
  * @component
  * @returns {JSX.Element} The main application layout and routes
@@ -35,6 +59,20 @@ import './index.css';
  * @author `NatBitton54`
  */
 const App = () => {
+  const navigate = useNavigate();
+
+  /**
+   * Registers the global 401 handler for the shared API client.
+   */
+  useEffect(() => {
+    setUnauthorizedHandler(() => {
+      navigate('/zoologix/login', {
+        state: { from: `${window.location.pathname}${window.location.search}`, expired: true }
+      });
+    });
+    return () => setUnauthorizedHandler(null);
+  }, [navigate]);
+
   return (
     <>
       <Navbar />
@@ -44,8 +82,20 @@ const App = () => {
         <Route path="/zoologix/habitats" element={<Habitats />} />
         <Route path="/zoologix/the-sport-db" element={<TheSportsDB />} />
         <Route path="/zoologix/sub-collection" element={<SubCollection />} />
-        <Route path="/zoologix/create" element={<CreateResource />} />
-        <Route path="/zoologix/delete" element={<DeleteResource />} />
+        <Route path="/zoologix/create" element={<RequireAuth><CreateResource /></RequireAuth>} />
+        <Route path="/zoologix/delete" element={<RequireAuth><DeleteResource /></RequireAuth>} />
+        <Route path="/zoologix/import" element={<RequireAuth><ImportResource /></RequireAuth>} />
+        <Route path="/zoologix/species/:id" element={<SpeciesDetail />} />
+        <Route path="/zoologix/species/:id/edit" element={<RequireAuth><EditResource resourceType="species" /></RequireAuth>} />
+        <Route path="/zoologix/habitats/:id" element={<HabitatDetail />} />
+        <Route path="/zoologix/habitats/:id/edit" element={<RequireAuth><EditResource resourceType="habitat" /></RequireAuth>} />
+        <Route path="/zoologix/diets" element={<ReferenceData key="diet" resourceType="diet" />} />
+        <Route path="/zoologix/diets/:id/edit" element={<RequireAuth><EditResource resourceType="diet" /></RequireAuth>} />
+        <Route path="/zoologix/classifications" element={<ReferenceData key="classification" resourceType="classification" />} />
+        <Route path="/zoologix/classifications/:id/edit" element={<RequireAuth><EditResource resourceType="classification" /></RequireAuth>} />
+        <Route path="/zoologix/taxonomy" element={<Taxonomy />} />
+        <Route path="/zoologix/search" element={<Search />} />
+        <Route path="/zoologix/login" element={<Login />} />
       </Routes>
       <Footer />
     </>
@@ -0,0 +1,101 @@
+import React from 'react';
+import './BarChart.css';
+
+/**
+ * Default bar colour.
+ * @type {string}
+ */
+const DEFAULT_COLOR = '#5c6bc0';
+
+/**
+ * Shortens a label to fit its axis.
+ *
+ * @param {string} text
+ * @param {number} max - Maximum number of characters.
+ * @returns {string}
+ */
+const truncate = (text, max) => (text.length > max ? `${text.slice(0, max - 1)}…` : text);
+
+/**
+ * BarChart Component
+ *
+ * Draws a simple bar chart as inline SVG, so no chart library or service is needed.
+ * - `horizontal` (default) lists one labelled bar per row, e.g. counts by category.
+ * - `vertical` draws columns side by side, e.g. a histogram.
+ * Each bar has a tooltip with its label and count.
+ *
+ * @component
+ * @param {Object} props
+ * @param {Array<{label: string, count: number, color?: string}>} props.data - Bars, in display order.
+ * @param {'horizontal'|'vertical'} [props.orientation='horizontal'] - Direction of the bars.
+ * @param {string} props.title - Accessible name of the chart.
+ * @returns {JSX.Element} The chart, or a short note when there is no data.
+ *
+ * @author `NatBitton54`
+ */
+const BarChart = ({ data, orientation = 'horizontal', title }) => {
+    if (data.length === 0) return <p className="bar-chart-empty">No data.</p>;
+
+    const max = Math.max(1, ...data.map(d => d.count));
+
+    if (orientation === 'vertical') {
+        const width = 400;
+        const height = 200;
+        const top = 16;
+        const bottom = 36;
+        const slot = width / data.length;
+        const barWidth = Math.max(2, slot * 0.7);
+
+        return (
+            <svg className="bar-chart" viewBox={`0 0 ${width} ${height}`} role="img" aria-label={title}>
+                <line className="bar-chart-axis" x1="0" y1={height - bottom} x2={width} y2={height - bottom} />
+                {data.map(({ label, count, color }, i) => {
+                    const barHeight = ((height - top - bottom) * count) / max;
+                    const x = i * slot + (slot - barWidth) / 2;
+                    const y = height - bottom - barHeight;
+
+                    return (
+                        <g key={label}>
+                            <title>{`${label}: ${count}`}</title>
+                            <rect x={x} y={y} width={barWidth} height={barHeight} fill={color || DEFAULT_COLOR} />
+                            {count > 0 && (
+                                <text className="bar-chart-value" x={x + barWidth / 2} y={y - 3} textAnchor="middle">{count}</text>
+                            )}
+                            <text className="bar-chart-label" x={x + barWidth / 2} y={height - bottom + 14} textAnchor="middle">
+                                {truncate(label, Math.max(3, Math.floor(slot / 6)))}
+                            </text>
+                        </g>
+                    );
+                })}
+            </svg>
+        );
+    }
+
+    const width = 400;
+    const labelWidth = 130;
+    const row = 24;
+    const barArea = width - labelWidth - 30;
+    const height = data.length * row;
+
+    return (
+        <svg className="bar-chart" viewBox={`0 0 ${width} ${height}`} role="img" aria-label={title}>
+            {data.map(({ label, count, color }, i) => {
+                const barWidth = (barArea * count) / max;
+                const y = i * row;
+
+                return (
+                    <g key={label}>
+                        <title>{`${label}: ${count}`}</title>
+                        <text className="bar-chart-label" x={labelWidth - 6} y={y + row / 2 + 4} textAnchor="end">
+                            {truncate(label, 20)}
+                        </text>
+                        <rect x={labelWidth} y={y + 4} width={barWidth} height={row - 8} rx="2" fill={color || DEFAULT_COLOR} />
+                        <text className="bar-chart-value" x={labelWidth + barWidth + 4} y={y + row / 2 + 4}>{count}</text>
+                    </g>
+                );
+            })}
+        </svg>
+    );
+};
+
+export default BarChart;
@@ -0,0 +1,170 @@
+import React, { useState } from 'react';
+import Swal from 'sweetalert2';
+import { api } from '../utils/apiClient';
+import { ERROR_CATEGORIES, parseApiError } from '../utils/apiError';
+import { sendInBatches } from '../utils/batchRequests';
+import './BulkActions.css';
+
+/**
+ * Number of IDs sent per DELETE request.
+ * @type {number}
+ */
+const DELETE_BATCH_SIZE = 20;
+
+/**
+ * Escapes text for the SweetAlert `html` option.
+ *
+ * @param {string} text
+ * @returns {string}
+ */
+const escapeHtml = (text) => String(text).replace(/[&<>"']/g, (c) => `&#${c.charCodeAt(0)};`);
+
+/**
+ * BulkActions Component
+ *
+ * Selection bar shown above a list table whose rows have checkboxes (see `DataTable`).
+ * - Shows how many rows are selected and offers to select every record matching the current filters.
+ * - Deletes the selection after a confirmation listing the IDs, in batched DELETE requests,
+ *   then reports which IDs were deleted and which failed. A timeout or connection error stops
+ *   the run (see `sendInBatches`); IDs whose request timed out are reported as possibly deleted.
+ *
+ * @component
+ * @param {Object} props
+ * @param {string[]} props.selectedIds - Selected record IDs.
+ * @param {function(string[]): void} props.onSelectionChange - Receives the new selection.
+ * @param {number} props.pageCount - Number of rows on the current page.
+ * @param {number} props.totalItems - Number of records matching the current filters.
+ * @param {function(): Promise<string[]>} props.fetchAllIds - Loads the IDs of every matching record.
+ * @param {string} props.endpoint - Collection endpoint, e.g. `/species`.
+ * @param {string} props.idField - ID field sent in the DELETE body, e.g. `species_id`.
+ * @param {string} props.label - Plural name shown to the user, e.g. `species`.
+ * @param {function(): void} props.onDeleted - Called after a delete so the page can reload.
+ * @returns {JSX.Element|null} The selection bar, or nothing when no row is selected.
+ *
+ * @author `NatBitton54`
+ */
+const BulkActions = ({
+    selectedIds,
+    onSelectionChange,
+    pageCount,
+    totalItems,
+    fetchAllIds,
+    endpoint,
+    idField,
+    label,
+    onDeleted,
+}) => {
+    const [busy, setBusy] = useState(false);
+    const [progress, setProgress] = useState(null);
+
+    if (selectedIds.length === 0) return null;
+
+    /**
+     * handleSelectAllMatching
+     *
+     * Selects every record that matches the current filters, across all pages.
+     *
+     * @async
+     * @returns {Promise<void>}
+     * @author `NatBitton54`
+     */
+    const handleSelectAllMatching = async () => {
+        setBusy(true);
+        try {
+            onSelectionChange(await fetchAllIds());
+        } catch (err) {
+            Swal.fire('Error', `Could not select all ${label}: ${parseApiError(err).userMessage}`, 'error');
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    /**
+     * handleDelete
+     *
+     * Confirms, deletes the selected records in batches and shows a per-ID report.
+     *
+     * @async
+     * @returns {Promise<void>}
+     * @author `NatBitton54`
+     */
+    const handleDelete = async () => {
+        const confirmDelete = await Swal.fire({
+            title: `Delete ${selectedIds.length} ${label}?`,
+            html: `<p>The following records will be permanently deleted:</p>
+                <div class="bulk-id-list">${selectedIds.map(escapeHtml).join(', ')}</div>`,
+            icon: 'warning',
+            showCancelButton: true,
+            confirmButtonColor: '#d33',
+            cancelButtonColor: '#3085d6',
+            confirmButtonText: `Yes, delete ${selectedIds.length}!`,
+        });
+
+        if (!confirmDelete.isConfirmed) return;
+
+        setBusy(true);
+        setProgress({ done: 0, total: selectedIds.length });
+
+        const results = await sendInBatches(
+            selectedIds,
+            DELETE_BATCH_SIZE,
+            (batch) => api.delete(endpoint, batch.map(id => ({ [idField]: id }))),
+            (done, total) => setProgress({ done, total })
+        );
+
+        setBusy(false);
+        setProgress(null);
+
+        const failed = results.filter(r => !r.ok);
+        const deleted = results.length - failed.length;
+
+        onSelectionChange(failed.map(r => r.item));
+        onDeleted();
+
+        const reasons = failed.map(({ item, error, unknown, notSent }) => {
+            const apiError = parseApiError(error);
+            const reason = unknown
+                ? 'The request timed out, so it may have been deleted. Reload the list to check.'
+                : notSent
+                    ? `Not sent: the delete stopped after an error (${apiError.userMessage})`
+                    : apiError.category === ERROR_CATEGORIES.DUPLICATE
+                        ? 'It is still referenced by other records.'
+                        : apiError.userMessage;
+            return `<li><strong>${escapeHtml(item)}</strong>: ${escapeHtml(reason)}</li>`;
+        });
+
+        Swal.fire({
+            icon: failed.length === 0 ? 'success' : deleted === 0 ? 'error' : 'warning',
+            title: failed.length === 0 ? 'Deleted!' : 'Delete finished with errors',
+            html: `<p>${deleted} of ${results.length} ${escapeHtml(label)} deleted.</p>`
+                + (failed.length ? `<ul class="bulk-failures">${reasons.join('')}</ul>` : ''),
+        });
+    };
+
+    const allSelected = selectedIds.length >= totalItems;
+
+    return (
+        <div className="bulk-actions">
+            <span>
+                <strong>{selectedIds.length}</strong> {label} selected
+            </span>
+
+            {!allSelected && selectedIds.length >= pageCount && (
+                <button type="button" className="btn btn-sm btn-link" disabled={busy} onClick={handleSelectAllMatching}>
+                    Select all {totalItems} matching {label}
+                </button>
+            )}
+
+            <button type="button" className="btn btn-sm btn-link" disabled={busy} onClick={() => onSelectionChange([])}>
+                Clear selection
+            </button>
+
+            <button type="button" className="btn btn-sm btn-danger" disabled={busy} onClick={handleDelete}>
+                <i className="fas fa-trash"></i>{' '}
+                {progress ? `Deleting ${progress.done}/${progress.total}...` : 'Delete selected'}
+            </button>
+        </div>
+    );
+};
+
+export default BulkActions;
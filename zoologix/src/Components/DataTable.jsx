@@ -0,0 +1,304 @@
+import React, { useEffect, useRef, useState } from 'react';
+import SortableHeader from './SortableHeader';
+import { useSession } from '../utils/auth';
+import { defaultLayout, loadLayout, saveLayout } from '../utils/columnPreferences';
+import './DataTable.css';
+
+/**
+ * DataTable Component
+ *
+ * Renders a striped table from column definitions, so every listing page shows
+ * its records the same way.
+ * - A "Columns" menu shows/hides columns and moves them; headers can also be dragged.
+ * - The layout is saved per signed-in user (or for guests) under the table's `tableId`.
+ * - Headers stay visible while the table body scrolls.
+ * - When `onSort` is given, headers sort their column (see `SortableHeader`).
+ * - When `onSelectionChange` is given, rows get checkboxes and the header one selects the whole page.
+ *
+ * @component
+ * @param {Object} props
+ * @param {string} props.tableId - Identifies the table when saving its layout.
+ * @param {Array<DataTableColumn>} props.columns - Column definitions, in default order. Keep the array
+ *   stable (e.g. a module constant): a new one reloads the saved layout.
+ * @param {Array<object>} props.rows - Records to show.
+ * @param {function(object, number): (string|number)} [props.rowKey] - Returns a row's React key (default: index).
+ * @param {Array<{field: string, direction: string}>} [props.sort=[]] - Current sort columns.
+ * @param {function(string, boolean): void} [props.onSort] - Called when a sortable header is clicked.
+ * @param {string|null} [props.emptyMessage='No records found'] - Shown when there are no rows; null shows nothing.
+ * @param {function(Array<DataTableColumn>): React.ReactNode} [props.toolbar] - Extra toolbar content
+ *   (e.g. an Export menu); receives the visible columns in display order.
+ * @param {Array<string|number>} [props.selectedKeys=[]] - Row keys (from `rowKey`) of the selected rows.
+ * @param {function(Array<string|number>): void} [props.onSelectionChange] - Receives the new selected keys;
+ *   keys of rows on other pages are kept.
+ * @returns {JSX.Element} The rendered table.
+ *
+ * @typedef {Object} DataTableColumn
+ * @property {string} key - Record field (and sort field) of the column.
+ * @property {string} label - Header text.
+ * @property {function(object): React.ReactNode} [render] - Cell renderer; defaults to the field value.
+ * @property {boolean} [sortable=true] - False to keep the header from sorting.
+ * @property {boolean} [hideable=true] - False to keep the column always visible.
+ * @property {boolean} [defaultHidden=false] - Hide the column until the user shows it.
+ * @property {boolean} [exportable=true] - False to leave the column out of exports (e.g. Actions).
+ *
+ * @author `NatBitton54`
+ */
+const DataTable = ({
+    tableId,
+    columns,
+    rows,
+    rowKey = (row, i) => i,
+    sort = [],
+    onSort,
+    emptyMessage = 'No records found',
+    toolbar,
+    selectedKeys = [],
+    onSelectionChange,
+}) => {
+    const session = useSession();
+    const user = session?.user || null;
+
+    const [layout, setLayout] = useState(() => loadLayout(tableId, user, columns));
+    const [chooserOpen, setChooserOpen] = useState(false);
+    const [dragKey, setDragKey] = useState(null);
+    const chooserRef = useRef(null);
+
+    /**
+     * useEffect - Reloads the saved layout when the table, its columns or the signed-in user changes.
+     */
+    useEffect(() => {
+        setLayout(loadLayout(tableId, user, columns));
+    }, [tableId, user, columns]);
+
+    /**
+     * useEffect - Closes the column menu on a click outside of it.
+     */
+    useEffect(() => {
+        if (!chooserOpen) return undefined;
+
+        const handleClick = (e) => {
+            if (chooserRef.current && !chooserRef.current.contains(e.target)) setChooserOpen(false);
+        };
+        document.addEventListener('mousedown', handleClick);
+        return () => document.removeEventListener('mousedown', handleClick);
+    }, [chooserOpen]);
+
+    /**
+     * Applies and saves a new layout.
+     *
+     * @param {{order: string[], hidden: string[]}} next - The new layout.
+     */
+    const updateLayout = (next) => {
+        setLayout(next);
+        saveLayout(tableId, user, next);
+    };
+
+    /**
+     * Shows or hides a column.
+     *
+     * @param {string} key - Column key.
+     */
+    const toggleColumn = (key) => {
+        const hidden = layout.hidden.includes(key)
+            ? layout.hidden.filter(k => k !== key)
+            : [...layout.hidden, key];
+        updateLayout({ ...layout, hidden });
+    };
+
+    /**
+     * Moves a column to the position of another one.
+     *
+     * @param {string} key - Column to move.
+     * @param {number} toIndex - New position in the display order.
+     */
+    const moveColumn = (key, toIndex) => {
+        const order = layout.order.filter(k => k !== key);
+        order.splice(Math.max(0, Math.min(toIndex, order.length)), 0, key);
+        updateLayout({ ...layout, order });
+    };
+
+    /**
+     * Restores the default layout and forgets the saved one.
+     */
+    const resetLayout = () => {
+        setLayout(defaultLayout(columns));
+        saveLayout(tableId, user, null);
+    };
+
+    const byKey = Object.fromEntries(columns.map(c => [c.key, c]));
+    const visibleColumns = layout.order
+        .map(key => byKey[key])
+        .filter(column => column && (column.hideable === false || !layout.hidden.includes(column.key)));
+
+    const pageKeys = rows.map((row, i) => rowKey(row, i));
+    const selectedOnPage = pageKeys.filter(key => selectedKeys.includes(key)).length;
+
+    /**
+     * Selects or clears every row of the current page, keeping the selection on other pages.
+     */
+    const togglePage = () => {
+        onSelectionChange(selectedOnPage === pageKeys.length
+            ? selectedKeys.filter(key => !pageKeys.includes(key))
+            : [...new Set([...selectedKeys, ...pageKeys])]);
+    };
+
+    /**
+     * Selects or clears one row.
+     *
+     * @param {string|number} key - Row key.
+     */
+    const toggleRow = (key) => {
+        onSelectionChange(selectedKeys.includes(key)
+            ? selectedKeys.filter(k => k !== key)
+            : [...selectedKeys, key]);
+    };
+
+    /**
+     * Drag-and-drop props that let a header be dropped onto another to reorder columns.
+     *
+     * @param {string} key - Column key of the header.
+     * @returns {object} Props for the header cell.
+     */
+    const dragProps = (key) => ({
+        draggable: true,
+        onDragStart: (e) => {
+            setDragKey(key);
+            e.dataTransfer.effectAllowed = 'move';
+        },
+        onDragOver: (e) => {
+            if (dragKey && dragKey !== key) e.preventDefault();
+        },
+        onDrop: (e) => {
+            e.preventDefault();
+            if (dragKey && dragKey !== key) moveColumn(dragKey, layout.order.indexOf(key));
+            setDragKey(null);
+        },
+        onDragEnd: () => setDragKey(null),
+    });
+
+    return (
+        <div className="data-table">
+            <div className="data-table-toolbar">
+                {toolbar && toolbar(visibleColumns)}
+
+                <div className="column-chooser-wrapper" ref={chooserRef}>
+                    <button
+                        type="button"
+                        className="btn btn-sm btn-outline-secondary"
+                        onClick={() => setChooserOpen(!chooserOpen)}
+                        aria-expanded={chooserOpen}
+                    >
+                        <i className="fas fa-columns"></i> Columns
+                    </button>
+
+                    {chooserOpen && (
+                        <div className="column-chooser">
+                            <ul>
+                                {layout.order.map((key, i) => byKey[key] && (
+                                    <li key={key}>
+                                        <label>
+                                            <input
+                                                type="checkbox"
+                                                checked={byKey[key].hideable === false || !layout.hidden.includes(key)}
+                                                disabled={byKey[key].hideable === false}
+                                                onChange={() => toggleColumn(key)}
+                                            />
+                                            {byKey[key].label}
+                                        </label>
+                                        <span className="column-move">
+                                            <button
+                                                type="button"
+                                                disabled={i === 0}
+                                                onClick={() => moveColumn(key, i - 1)}
+                                                aria-label={`Move ${byKey[key].label} up`}
+                                            >
+                                                <i className="fas fa-chevron-up"></i>
+                                            </button>
+                                            <button
+                                                type="button"
+                                                disabled={i === layout.order.length - 1}
+                                                onClick={() => moveColumn(key, i + 1)}
+                                                aria-label={`Move ${byKey[key].label} down`}
+                                            >
+                                                <i className="fas fa-chevron-down"></i>
+                                            </button>
+                                        </span>
+                                    </li>
+                                ))}
+                            </ul>
+                            <button type="button" className="column-reset" onClick={resetLayout}>
+                                Reset columns
+                            </button>
+                        </div>
+                    )}
+                </div>
+            </div>
+
+            <div className="table-responsive data-table-scroll">
+                <table className="table table-striped">
+                    <thead>
+                        <tr>
+                            {onSelectionChange && (
+                                <th className="select-cell">
+                                    <input
+                                        type="checkbox"
+                                        aria-label="Select all rows on this page"
+                                        checked={pageKeys.length > 0 && selectedOnPage === pageKeys.length}
+                                        ref={(el) => {
+                                            if (el) el.indeterminate = selectedOnPage > 0 && selectedOnPage < pageKeys.length;
+                                        }}
+                                        disabled={pageKeys.length === 0}
+                                        onChange={togglePage}
+                                    />
+                                </th>
+                            )}
+                            {visibleColumns.map(column => (
+                                onSort && column.sortable !== false ? (
+                                    <SortableHeader
+                                        key={column.key}
+                                        field={column.key}
+                                        label={column.label}
+                                        sort={sort}
+                                        onSort={onSort}
+                                        {...dragProps(column.key)}
+                                    />
+                                ) : (
+                                    <th key={column.key} {...dragProps(column.key)}>{column.label}</th>
+                                )
+                            ))}
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {rows.length === 0 ? (
+                            emptyMessage !== null && (
+                                <tr>
+                                    <td colSpan={visibleColumns.length + (onSelectionChange ? 1 : 0) || 1} className="not-found">{emptyMessage}</td>
+                                </tr>
+                            )
+                        ) : rows.map((row, i) => (
+                            <tr key={pageKeys[i]} className={selectedKeys.includes(pageKeys[i]) ? 'row-selected' : ''}>
+                                {onSelectionChange && (
+                                    <td className="select-cell">
+                                        <input
+                                            type="checkbox"
+                                            aria-label={`Select row ${pageKeys[i]}`}
+                                            checked={selectedKeys.includes(pageKeys[i])}
+                                            onChange={() => toggleRow(pageKeys[i])}
+                                        />
+                                    </td>
+                                )}
+                                {visibleColumns.map(column => (
+                                    <td key={column.key}>
+                                        {column.render ? column.render(row) : row[column.key]}
+                                    </td>
+                                ))}
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            </div>
+        </div>
+    );
+};
+
+export default DataTable;
@@ -0,0 +1,162 @@
+import React, { useEffect, useRef, useState } from 'react';
+import Swal from 'sweetalert2';
+import { ERROR_CATEGORIES, parseApiError } from '../utils/apiError';
+import { EXPORT_FORMATS, downloadFile, serialiseRows } from '../utils/exportData';
+import './ExportMenu.css';
+
+/**
+ * ExportMenu Component
+ *
+ * Lets the user download a listing as CSV, TSV or JSON.
+ * - "Current page" exports the rows already on screen.
+ * - "All matching" calls `fetchAllRows`, which pages through the API with the current filters;
+ *   progress is shown and the export can be cancelled.
+ * - Only the given (visible) columns are exported.
+ *
+ * @component
+ * @param {Object} props
+ * @param {Array<{key: string, label: string}>} props.columns - Columns to export, in display order.
+ * @param {Array<object>} props.rows - Rows of the current page.
+ * @param {function(AbortSignal, function): Promise<Array<object>>} [props.fetchAllRows] - Loads every matching
+ *   row; receives a signal and a `paginate`-style progress callback. Without it only the current page can be exported.
+ * @param {string} props.fileName - Download name without extension, e.g. `species`.
+ * @returns {JSX.Element} The Export button and its menu.
+ *
+ * @author `NatBitton54`
+ */
+const ExportMenu = ({ columns, rows, fetchAllRows, fileName }) => {
+    const [open, setOpen] = useState(false);
+    const [scope, setScope] = useState('page');
+    const [format, setFormat] = useState('csv');
+    const [bom, setBom] = useState(true);
+    const [progress, setProgress] = useState(null);
+    const controllerRef = useRef(null);
+    const menuRef = useRef(null);
+
+    /**
+     * useEffect - Closes the menu on a click outside of it (unless an export is running)
+     * and cancels a running export on unmount.
+     */
+    useEffect(() => {
+        const handleClick = (e) => {
+            if (!controllerRef.current && menuRef.current && !menuRef.current.contains(e.target)) setOpen(false);
+        };
+        document.addEventListener('mousedown', handleClick);
+        return () => {
+            document.removeEventListener('mousedown', handleClick);
+            controllerRef.current?.abort();
+        };
+    }, []);
+
+    /**
+     * handleExport
+     *
+     * Collects the rows for the chosen scope, serialises them and starts the download.
+     *
+     * @async
+     * @returns {Promise<void>}
+     * @author `NatBitton54`
+     */
+    const handleExport = async () => {
+        let data = rows;
+
+        if (scope === 'all') {
+            const controller = new AbortController();
+            controllerRef.current = controller;
+            setProgress({ loaded: 0, total: 1, items: 0 });
+
+            try {
+                data = await fetchAllRows(controller.signal, setProgress);
+            } catch (err) {
+                const apiError = parseApiError(err);
+                if (apiError.category !== ERROR_CATEGORIES.CANCELLED) {
+                    Swal.fire('Export Failed', apiError.userMessage, 'error');
+                }
+                return;
+            } finally {
+                controllerRef.current = null;
+                setProgress(null);
+            }
+        }
+
+        if (data.length === 0) {
+            Swal.fire('Nothing to Export', 'There are no rows to export.', 'info');
+            return;
+        }
+
+        downloadFile(serialiseRows(data, columns, format, { bom }), fileName, format);
+        setOpen(false);
+    };
+
+    const exporting = progress !== null;
+
+    return (
+        <div className="export-menu" ref={menuRef}>
+            <button
+                type="button"
+                className="btn btn-sm btn-outline-secondary"
+                onClick={() => setOpen(!open)}
+                aria-expanded={open}
+            >
+                <i className="fas fa-file-export"></i> Export
+            </button>
+
+            {open && (
+                <div className="export-panel">
+                    <fieldset disabled={exporting}>
+                        <label>
+                            <input
+                                type="radio"
+                                name="export-scope"
+                                checked={scope === 'page'}
+                                onChange={() => setScope('page')}
+                            />
+                            Current page ({rows.length} rows)
+                        </label>
+                        <label>
+                            <input
+                                type="radio"
+                                name="export-scope"
+                                checked={scope === 'all'}
+                                disabled={!fetchAllRows}
+                                onChange={() => setScope('all')}
+                            />
+                            All matching records
+                        </label>
+
+                        <select className="form-select form-select-sm" value={format} onChange={(e) => setFormat(e.target.value)}>
+                            {Object.entries(EXPORT_FORMATS).map(([key, { label }]) => (
+                                <option key={key} value={key}>{label}</option>
+                            ))}
+                        </select>
+
+                        {format === 'csv' && (
+                            <label>
+                                <input type="checkbox" checked={bom} onChange={(e) => setBom(e.target.checked)} />
+                                Add UTF-8 BOM (for Excel)
+                            </label>
+                        )}
+                    </fieldset>
+
+                    {exporting ? (
+                        <div className="export-progress">
+                            <progress value={progress.loaded} max={progress.total} />
+                            <span>
+                                Page {progress.loaded} of {progress.total} ({progress.items} rows)
+                            </span>
+                            <button type="button" className="btn btn-sm btn-link" onClick={() => controllerRef.current?.abort()}>
+                                Cancel
+                            </button>
+                        </div>
+                    ) : (
+                        <button type="button" className="btn btn-sm btn-primary" onClick={handleExport}>
+                            Download
+                        </button>
+                    )}
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default ExportMenu;
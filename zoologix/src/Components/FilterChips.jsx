@@ -0,0 +1,48 @@
+import React from 'react';
+import './FilterChips.css';
+
+/**
+ * FilterChips Component
+ *
+ * Shows the active filter clauses of a listing page as removable chips.
+ * Renders nothing when no filter is active.
+ *
+ * @component
+ * @param {Object} props
+ * @param {Object<string, string>} props.filters - Filter param → search value.
+ * @param {Object<string, string>} props.labels - Filter param → label shown on the chip.
+ * @param {function(string): void} props.onRemove - Called with the param of the chip to remove.
+ * @param {function(): void} [props.onClearAll] - Called when "Clear all" is clicked.
+ * @returns {JSX.Element|null} Rendered chips.
+ *
+ * @author `NatBitton54`
+ */
+const FilterChips = ({ filters, labels, onRemove, onClearAll }) => {
+    const entries = Object.entries(filters);
+    if (entries.length === 0) return null;
+
+    return (
+        <div className="filter-chips">
+            {entries.map(([key, value]) => (
+                <span key={key} className="filter-chip">
+                    <strong>{labels[key] || key}:</strong> {value}
+                    <button
+                        type="button"
+                        onClick={() => onRemove(key)}
+                        aria-label={`Remove ${labels[key] || key} filter`}
+                    >
+                        <i className="fas fa-times"></i>
+                    </button>
+                </span>
+            ))}
+
+            {onClearAll && entries.length > 1 && (
+                <button type="button" className="filter-chips-clear" onClick={onClearAll}>
+                    Clear all
+                </button>
+            )}
+        </div>
+    );
+};
+
+export default FilterChips;
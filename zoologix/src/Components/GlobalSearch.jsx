@@ -0,0 +1,205 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { MIN_QUERY_LENGTH, searchAll } from '../utils/globalSearch';
+import { RequestCancelledError } from '../utils/fetchWrapper';
+import { useDebouncedValue } from '../utils/useDebouncedValue';
+import './GlobalSearch.css';
+
+/**
+ * GlobalSearch Component
+ *
+ * Navbar search box that looks for species, habitats and diets at once (see `searchAll`).
+ * - Results appear as you type, grouped by collection; a newer query cancels the previous one.
+ * - Arrow keys move through the results, Enter opens the highlighted one, Escape closes the list.
+ * - Enter with nothing highlighted opens the full `/zoologix/search?q=` results page.
+ *
+ * @component
+ * @returns {JSX.Element} The search box and its dropdown.
+ *
+ * @author `NatBitton54`
+ */
+const GlobalSearch = () => {
+    const [query, setQuery] = useState('');
+    const [groups, setGroups] = useState(null);
+    const [loading, setLoading] = useState(false);
+    const [open, setOpen] = useState(false);
+    const [activeIndex, setActiveIndex] = useState(-1);
+    const wrapperRef = useRef(null);
+    const navigate = useNavigate();
+
+    const debouncedQuery = useDebouncedValue(query.trim(), 250);
+
+    /**
+     * useEffect - Searches once typing pauses; a newer query cancels the one in flight.
+     */
+    useEffect(() => {
+        setActiveIndex(-1);
+        if (debouncedQuery.length < MIN_QUERY_LENGTH) {
+            setGroups(null);
+            setLoading(false);
+            return undefined;
+        }
+
+        const controller = new AbortController();
+        setLoading(true);
+
+        searchAll(debouncedQuery, { signal: controller.signal })
+            .then((found) => {
+                setGroups(found);
+                setLoading(false);
+            })
+            .catch((err) => {
+                if (err instanceof RequestCancelledError) return;
+                setGroups([]);
+                setLoading(false);
+            });
+
+        return () => controller.abort();
+    }, [debouncedQuery]);
+
+    /**
+     * useEffect - Closes the dropdown on a click outside of the search box.
+     */
+    useEffect(() => {
+        const handleClick = (e) => {
+            if (wrapperRef.current && !wrapperRef.current.contains(e.target)) setOpen(false);
+        };
+        document.addEventListener('mousedown', handleClick);
+        return () => document.removeEventListener('mousedown', handleClick);
+    }, []);
+
+    const items = (groups || []).flatMap(group => group.results);
+    const seeAllIndex = items.length;
+
+    // Index of each group's first result in `items`
+    const offsets = [];
+    (groups || []).reduce((start, group) => {
+        offsets.push(start);
+        return start + group.results.length;
+    }, 0);
+
+    /**
+     * Opens a page and resets the search box.
+     *
+     * @param {string} path - Route to open.
+     */
+    const go = (path) => {
+        navigate(path);
+        setOpen(false);
+        setQuery('');
+        setActiveIndex(-1);
+    };
+
+    /**
+     * handleSubmit
+     *
+     * Enter: opens the highlighted result, or the full results page.
+     *
+     * @param {React.FormEvent<HTMLFormElement>} e
+     * @author `NatBitton54`
+     */
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        if (activeIndex >= 0 && activeIndex < items.length) {
+            go(items[activeIndex].path);
+        } else if (query.trim()) {
+            go(`/zoologix/search?q=${encodeURIComponent(query.trim())}`);
+        }
+    };
+
+    /**
+     * handleKeyDown
+     *
+     * Arrow keys move the highlight (the last entry is "See all results"); Escape closes the list.
+     *
+     * @param {React.KeyboardEvent<HTMLInputElement>} e
+     * @author `NatBitton54`
+     */
+    const handleKeyDown = (e) => {
+        if (e.key === 'ArrowDown') {
+            e.preventDefault();
+            setOpen(true);
+            setActiveIndex(Math.min(activeIndex + 1, seeAllIndex));
+        } else if (e.key === 'ArrowUp') {
+            e.preventDefault();
+            setActiveIndex(Math.max(activeIndex - 1, -1));
+        } else if (e.key === 'Escape') {
+            setOpen(false);
+            setActiveIndex(-1);
+        }
+    };
+
+    const showDropdown = open && debouncedQuery.length >= MIN_QUERY_LENGTH;
+    const optionId = (i) => `global-search-option-${i}`;
+
+    return (
+        <div className="global-search-" ref={wrapperRef}>
+            <form onSubmit={handleSubmit} role="search">
+                <i className="fas fa-search"></i>
+                <input
+                    type="search"
+                    value={query}
+                    placeholder="Search species, habitats, diets..."
+                    onChange={(e) => {
+                        setQuery(e.target.value);
+                        setOpen(true);
+                    }}
+                    onFocus={() => setOpen(true)}
+                    onKeyDown={handleKeyDown}
+                    role="combobox"
+                    aria-label="Search all collections"
+                    aria-expanded={showDropdown}
+                    aria-controls="global-search-results"
+                    aria-autocomplete="list"
+                    aria-activedescendant={showDropdown && activeIndex >= 0 ? optionId(activeIndex) : undefined}
+                />
+            </form>
+
+            {showDropdown && (
+                <div className="global-search-results-" id="global-search-results" role="listbox">
+                    {loading && !groups && <p className="global-search-note-">Searching...</p>}
+
+                    {(groups || []).map((group, g) => (
+                        <div key={group.key} className="global-search-group-">
+                            <h6>{group.label}</h6>
+                            {group.error && <p className="global-search-note-">Could not search {group.label.toLowerCase()}.</p>}
+                            {!group.error && group.results.length === 0 && <p className="global-search-note-">No matches.</p>}
+                            {group.results.map((result, r) => {
+                                const i = offsets[g] + r;
+                                return (
+                                    <div
+                                        key={result.id}
+                                        id={optionId(i)}
+                                        role="option"
+                                        aria-selected={i === activeIndex}
+                                        className={`global-search-item- ${i === activeIndex ? 'active' : ''}`}
+                                        onMouseEnter={() => setActiveIndex(i)}
+                                        onMouseDown={(e) => e.preventDefault()}
+                                        onClick={() => go(result.path)}
+                                    >
+                                        <span>{result.title}</span>
+                                        <small>{result.subtitle}</small>
+                                    </div>
+                                );
+                            })}
+                        </div>
+                    ))}
+
+                    <div
+                        id={optionId(seeAllIndex)}
+                        role="option"
+                        aria-selected={activeIndex === seeAllIndex}
+                        className={`global-search-item- global-search-all- ${activeIndex === seeAllIndex ? 'active' : ''}`}
+                        onMouseEnter={() => setActiveIndex(seeAllIndex)}
+                        onMouseDown={(e) => e.preventDefault()}
+                        onClick={() => go(`/zoologix/search?q=${encodeURIComponent(query.trim())}`)}
+                    >
+                        See all results for "{query.trim()}"
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default GlobalSearch;
@@ -0,0 +1,210 @@
+import React, { useRef, useState } from 'react';
+import { Link } from 'react-router-dom';
+import worldOutline from '../assets/world-outline.svg';
+import { boundsContain, habitatBounds, toMapRects } from '../utils/geoRange';
+import './HabitatMap.css';
+
+/**
+ * Fill colours given to the habitat boxes, in turn.
+ * @type {string[]}
+ */
+const BOX_COLORS = ['#1e88e5', '#43a047', '#fb8c00', '#8e24aa', '#e53935', '#00897b', '#6d4c41', '#3949ab'];
+
+/**
+ * Meridians and parallels drawn every 30 degrees.
+ * @type {number[]}
+ */
+const GRATICULE_STEPS = [30, 60, 90, 120, 150, 180, 210, 240, 270, 300, 330];
+
+/**
+ * Formats a point as e.g. `12.5°N, 45.0°W`.
+ *
+ * @param {{longitude: number, latitude: number}} point
+ * @returns {string}
+ */
+const formatPoint = ({ longitude, latitude }) => (
+    `${Math.abs(latitude).toFixed(1)}°${latitude >= 0 ? 'N' : 'S'}, `
+    + `${Math.abs(longitude).toFixed(1)}°${longitude >= 0 ? 'E' : 'W'}`
+);
+
+/**
+ * HabitatMap Component
+ *
+ * Draws habitats as bounding boxes (from their latitude/longitude ranges, see `utils/geoRange`)
+ * on the bundled world outline.
+ * - Hovering a box highlights it; clicking a box selects its habitat.
+ * - Clicking anywhere on the map lists the habitats whose box covers that point.
+ * - Boxes crossing the antimeridian are drawn at both map edges.
+ * - Habitats whose ranges cannot be read are listed under the map instead.
+ *
+ * @component
+ * @param {Object} props
+ * @param {Array<object>} props.habitats - Habitat records to draw.
+ * @param {string|null} props.selectedId - ID of the selected habitat.
+ * @param {function(string|null): void} props.onSelect - Called with the clicked habitat's ID.
+ * @returns {JSX.Element} The map with its selection and point query panels.
+ *
+ * @author `NatBitton54`
+ */
+const HabitatMap = ({ habitats, selectedId, onSelect }) => {
+    const [hoveredId, setHoveredId] = useState(null);
+    const [point, setPoint] = useState(null);
+    const svgRef = useRef(null);
+
+    const mapped = [];
+    const unmapped = [];
+    habitats.forEach((habitat, i) => {
+        const bounds = habitatBounds(habitat);
+        if (bounds) {
+            mapped.push({ habitat, bounds, color: BOX_COLORS[i % BOX_COLORS.length] });
+        } else {
+            unmapped.push(habitat);
+        }
+    });
+
+    // Draw the hovered and selected boxes last so they sit on top
+    const rank = ({ habitat }) => (habitat.habitat_id === selectedId ? 2 : habitat.habitat_id === hoveredId ? 1 : 0);
+    const drawOrder = [...mapped].sort((a, b) => rank(a) - rank(b));
+
+    const covering = point
+        ? mapped.filter(({ bounds }) => boundsContain(bounds, point.longitude, point.latitude))
+        : [];
+    const selected = mapped.find(({ habitat }) => habitat.habitat_id === selectedId)
+        || (selectedId ? { habitat: habitats.find(h => h.habitat_id === selectedId) } : null);
+
+    /**
+     * Turns a click on the map into a longitude/latitude and runs the point query.
+     *
+     * @param {React.MouseEvent<SVGSVGElement>} e
+     */
+    const handleMapClick = (e) => {
+        const svg = svgRef.current;
+        const matrix = svg?.getScreenCTM();
+        if (!matrix) return;
+
+        const position = svg.createSVGPoint();
+        position.x = e.clientX;
+        position.y = e.clientY;
+        const { x, y } = position.matrixTransform(matrix.inverse());
+
+        setPoint({
+            longitude: Math.max(-180, Math.min(180, x - 180)),
+            latitude: Math.max(-90, Math.min(90, 90 - y)),
+        });
+    };
+
+    return (
+        <div className="habitat-map">
+            <svg
+                ref={svgRef}
+                viewBox="0 0 360 180"
+                className="habitat-map-canvas"
+                role="img"
+                aria-label="World map of habitat ranges"
+                onClick={handleMapClick}
+            >
+                <rect className="map-ocean" width="360" height="180" />
+                <image href={worldOutline} width="360" height="180" />
+                {GRATICULE_STEPS.map(step => (
+                    <g key={step} className="map-graticule">
+                        <line x1={step} y1="0" x2={step} y2="180" />
+                        {step < 180 && <line x1="0" y1={step} x2="360" y2={step} />}
+                    </g>
+                ))}
+
+                {drawOrder.map(({ habitat, bounds, color }) => {
+                    const id = habitat.habitat_id;
+                    const className = [
+                        'map-box',
+                        id === hoveredId ? 'is-hovered' : '',
+                        id === selectedId ? 'is-selected' : '',
+                    ].join(' ').trim();
+
+                    return (
+                        <g
+                            key={id}
+                            className={className}
+                            style={{ fill: color, stroke: color }}
+                            onMouseEnter={() => setHoveredId(id)}
+                            onMouseLeave={() => setHoveredId(null)}
+                            onClick={(e) => {
+                                // Keep the click from also reaching the map as a point pick
+                                e.stopPropagation();
+                                onSelect(id);
+                            }}
+                        >
+                            <title>{`${habitat.name} (${id})`}</title>
+                            {toMapRects(bounds).map((rect, i) => <rect key={i} {...rect} />)}
+                        </g>
+                    );
+                })}
+
+                {point && (
+                    <circle className="map-point" cx={point.longitude + 180} cy={90 - point.latitude} r="1.6" />
+                )}
+            </svg>
+
+            <div className="habitat-map-panels">
+                <section>
+                    <h6>Selected habitat</h6>
+                    {selected?.habitat ? (
+                        <>
+                            <p className="map-habitat-name">
+                                <Link to={`/zoologix/habitats/${encodeURIComponent(selected.habitat.habitat_id)}`} className="detail-link">
+                                    {selected.habitat.name}
+                                </Link>{' '}
+                                <span className="muted">({selected.habitat.habitat_id})</span>
+                            </p>
+                            <p className="muted">
+                                {selected.habitat.longitude_range || '—'} / {selected.habitat.latitude_range || '—'}
+                            </p>
+                        </>
+                    ) : (
+                        <p className="muted">Click a box to select its habitat.</p>
+                    )}
+                </section>
+
+                <section>
+                    <h6>Habitats covering a point</h6>
+                    {!point ? (
+                        <p className="muted">Click anywhere on the map.</p>
+                    ) : (
+                        <>
+                            <p>
+                                {formatPoint(point)}{' '}
+                                <button type="button" className="btn btn-sm btn-link" onClick={() => setPoint(null)}>
+                                    Clear
+                                </button>
+                            </p>
+                            {covering.length === 0 ? (
+                                <p className="muted">No habitat covers this point.</p>
+                            ) : (
+                                <ul className="map-covering">
+                                    {covering.map(({ habitat, color }) => (
+                                        <li key={habitat.habitat_id}>
+                                            <span className="map-swatch" style={{ backgroundColor: color }} />
+                                            <button type="button" className="btn btn-sm btn-link" onClick={() => onSelect(habitat.habitat_id)}>
+                                                {habitat.name} ({habitat.habitat_id})
+                                            </button>
+                                        </li>
+                                    ))}
+                                </ul>
+                            )}
+                        </>
+                    )}
+                </section>
+
+                {unmapped.length > 0 && (
+                    <section>
+                        <h6>Not on the map</h6>
+                        <p className="muted">
+                            Unreadable coordinate ranges: {unmapped.map(h => h.habitat_id).join(', ')}
+                        </p>
+                    </section>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default HabitatMap;
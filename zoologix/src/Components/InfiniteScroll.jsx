@@ -0,0 +1,59 @@
+import React, { useEffect, useRef } from 'react';
+import './InfiniteScroll.css';
+
+/**
+ * InfiniteScroll Component
+ *
+ * Footer of a list in infinite-scroll mode. An invisible sentinel under the list asks for
+ * the next page as it scrolls into view (IntersectionObserver); a "Load more" button does
+ * the same for keyboard users and browsers without IntersectionObserver.
+ *
+ * @component
+ * @param {Object} props
+ * @param {boolean} props.hasMore - True while pages remain to load.
+ * @param {boolean} props.loading - True while a page is loading; the sentinel waits meanwhile.
+ * @param {function(): void} props.onLoadMore - Loads the next page.
+ * @param {number} props.loadedCount - Records shown so far.
+ * @param {number} props.totalItems - Records matching in total.
+ * @returns {JSX.Element} The sentinel and load status.
+ *
+ * @author `NatBitton54`
+ */
+const InfiniteScroll = ({ hasMore, loading, onLoadMore, loadedCount, totalItems }) => {
+    const sentinelRef = useRef(null);
+    const onLoadMoreRef = useRef(onLoadMore);
+    onLoadMoreRef.current = onLoadMore;
+
+    /**
+     * useEffect - Watches the sentinel while more pages remain and nothing is loading.
+     * Observing again after each load fetches another page if the sentinel is still visible.
+     */
+    useEffect(() => {
+        if (!hasMore || loading || !sentinelRef.current || typeof IntersectionObserver === 'undefined') return undefined;
+
+        const observer = new IntersectionObserver((entries) => {
+            if (entries[0].isIntersecting) onLoadMoreRef.current();
+        }, { rootMargin: '200px' });
+        observer.observe(sentinelRef.current);
+
+        return () => observer.disconnect();
+    }, [hasMore, loading]);
+
+    return (
+        <div className="infinite-scroll">
+            <div ref={sentinelRef} aria-hidden="true" />
+            <span className="infinite-scroll-count" aria-live="polite">
+                Showing {loadedCount} of {totalItems}
+            </span>
+            {hasMore ? (
+                <button type="button" className="btn btn-sm btn-outline-secondary" onClick={onLoadMore} disabled={loading}>
+                    {loading ? 'Loading...' : 'Load more'}
+                </button>
+            ) : (
+                loadedCount > 0 && <span className="infinite-scroll-end">End of list</span>
+            )}
+        </div>
+    );
+};
+
+export default InfiniteScroll;
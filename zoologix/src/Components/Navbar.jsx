@@ -1,5 +1,8 @@
 import React from 'react';
-import { Link } from 'react-router-dom';
+import { Link, useNavigate } from 'react-router-dom';
+import { API_ENVIRONMENTS, getActiveEnvironment, setActiveEnvironment } from '../utils/apiClient';
+import { signOut, useSession } from '../utils/auth';
+import GlobalSearch from './GlobalSearch';
 import './Navbar.css';
 
 /**
@@ -7,6 +10,10 @@ import './Navbar.css';
  *
  * Renders a responsive navigation bar for navigating the Zoologix app.
  * Includes a logo, a collapsible burger menu for smaller screens, and links to all major pages.
+ * When more than one species-api environment is configured, an environment switcher is shown;
+ * switching saves the choice and reloads the page so every view refetches from the new API.
+ * Shows the signed-in user with a Logout button, or a Login link when signed out.
+ * A search box next to the logo looks for species, habitats and diets (see `GlobalSearch`).
  *
  * @component
  * @returns {JSX.Element} The navigation bar UI
@@ -14,10 +21,40 @@ import './Navbar.css';
  * @author `NatBitton54`
  */
 const Navbar = () => {
+    const environment = getActiveEnvironment();
+    const session = useSession();
+    const navigate = useNavigate();
+    const environmentKeys = Object.keys(API_ENVIRONMENTS);
+
+    /**
+     * Handles a change of API environment from the switcher.
+     *
+     * @function
+     * @param {React.ChangeEvent<HTMLSelectElement>} e - Change event from the environment select.
+     * @author `NatBitton54`
+     */
+    const handleEnvironmentChange = (e) => {
+        setActiveEnvironment(e.target.value);
+        window.location.reload();
+    };
+
+    /**
+     * Signs the user out and returns to the home page.
+     *
+     * @function
+     * @author `NatBitton54`
+     */
+    const handleLogout = () => {
+        signOut();
+        navigate('/');
+    };
+
     return (
         <nav className="navbar-">
             <Link to="/" className="logo-">Zoologix</Link>
 
+            <GlobalSearch />
+
             <div className="nav-wrapper-">
                 <input type="checkbox" id="nav-toggle" />
                 <label htmlFor="nav-toggle" className="burger">
@@ -29,10 +66,41 @@ const Navbar = () => {
                 <ul className="nav-link-">
                     <li><Link to="/zoologix/species">Species</Link></li>
                     <li><Link to="/zoologix/habitats">Habitats</Link></li>
+                    <li><Link to="/zoologix/diets">Diets</Link></li>
+                    <li><Link to="/zoologix/classifications">Classifications</Link></li>
+                    <li><Link to="/zoologix/taxonomy">Taxonomy</Link></li>
                     <li><Link to="/zoologix/sub-collection">Sub-Collection</Link></li>
                     <li><Link to="/zoologix/the-sport-db">TheSportsDB</Link></li>
                     <li><Link to="/zoologix/create">Create</Link></li>
+                    <li><Link to="/zoologix/import">Import</Link></li>
                     <li><Link to="/zoologix/delete">Delete</Link></li>
+                    {session ? (
+                        <li className="nav-user-">
+                            <span title="Signed in">
+                                <i className="fas fa-user"></i> {session.user}
+                            </span>
+                            <button type="button" className="logout-btn-" onClick={handleLogout}>
+                                Logout
+                            </button>
+                        </li>
+                    ) : (
+                        <li><Link to="/zoologix/login">Login</Link></li>
+                    )}
+                    {environmentKeys.length > 1 && (
+                        <li>
+                            <select
+                                className="env-switcher-"
+                                value={environment}
+                                onChange={handleEnvironmentChange}
+                                title={API_ENVIRONMENTS[environment].baseURL}
+                                aria-label="API environment"
+                            >
+                                {environmentKeys.map((key) => (
+                                    <option key={key} value={key}>{API_ENVIRONMENTS[key].label}</option>
+                                ))}
+                            </select>
+                        </li>
+                    )}
                 </ul>
             </div>
         </nav>
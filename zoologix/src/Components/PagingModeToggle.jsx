@@ -0,0 +1,37 @@
+import React from 'react';
+
+/**
+ * PagingModeToggle Component
+ *
+ * Switches a list between numbered pages and infinite scroll.
+ *
+ * @component
+ * @param {Object} props
+ * @param {'pages'|'scroll'} props.mode - Current mode.
+ * @param {function('pages'|'scroll'): void} props.onChange - Called with the chosen mode.
+ * @returns {JSX.Element} A pair of toggle buttons.
+ *
+ * @author `NatBitton54`
+ */
+const PagingModeToggle = ({ mode, onChange }) => (
+    <div className="btn-group btn-group-sm" role="group" aria-label="Paging mode">
+        <button
+            type="button"
+            className={`btn ${mode === 'pages' ? 'btn-secondary' : 'btn-outline-secondary'}`}
+            aria-pressed={mode === 'pages'}
+            onClick={() => onChange('pages')}
+        >
+            <i className="fas fa-list-ol"></i> Pages
+        </button>
+        <button
+            type="button"
+            className={`btn ${mode === 'scroll' ? 'btn-secondary' : 'btn-outline-secondary'}`}
+            aria-pressed={mode === 'scroll'}
+            onClick={() => onChange('scroll')}
+        >
+            <i className="fas fa-stream"></i> Infinite scroll
+        </button>
+    </div>
+);
+
+export default PagingModeToggle;
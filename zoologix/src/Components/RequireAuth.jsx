@@ -0,0 +1,36 @@
+import React from 'react';
+import { Navigate, useLocation } from 'react-router-dom';
+import { useSession } from '../utils/auth';
+
+/**
+ * RequireAuth Component
+ *
+ * Route guard for pages that send mutating requests to the species-api.
+ * Renders its children when a user is signed in; otherwise redirects to the
+ * login page and remembers the requested location so the user is sent back after login.
+ *
+ * @component
+ * @param {Object} props
+ * @param {JSX.Element} props.children - The protected page.
+ * @returns {JSX.Element} The protected page or a redirect to `/zoologix/login`.
+ *
+ * @author `NatBitton54`
+ */
+const RequireAuth = ({ children }) => {
+    const session = useSession();
+    const location = useLocation();
+
+    if (!session) {
+        return (
+            <Navigate
+                to="/zoologix/login"
+                replace
+                state={{ from: `${location.pathname}${location.search}` }}
+            />
+        );
+    }
+
+    return children;
+};
+
+export default RequireAuth;
@@ -0,0 +1,72 @@
+import React from 'react';
+import './ResourceForm.css';
+
+/**
+ * ResourceForm Component
+ *
+ * Renders the input fields of a habitat or species record with their validation errors.
+ * Shared by the Create and Edit pages so both show the same fields the same way.
+ *
+ * @component
+ * @param {Object} props
+ * @param {Array<{name: string, label: string, options?: string}>} props.fields - Fields to render.
+ * @param {Object<string, string[]>} [props.dropdowns={}] - Option lists keyed by a field's `options` name.
+ * @param {object} props.formData - Current values keyed by field name.
+ * @param {Object<string, string>} props.errors - Error messages keyed by field name.
+ * @param {function} props.onChange - Input/select change handler.
+ * @param {function} props.onSubmit - Form submit handler.
+ * @param {string} props.submitLabel - Text of the submit button.
+ * @param {string[]} [props.readOnlyFields=[]] - Fields shown but not editable (e.g. the ID when editing).
+ * @param {boolean} [props.submitting=false] - Disables the submit button while a request is running.
+ * @returns {JSX.Element} The rendered form.
+ *
+ * @author `NatBitton54`
+ */
+const ResourceForm = ({
+    fields,
+    dropdowns = {},
+    formData,
+    errors,
+    onChange,
+    onSubmit,
+    submitLabel,
+    readOnlyFields = [],
+    submitting = false,
+}) => (
+    <form onSubmit={onSubmit} className="resource-form">
+        {fields.map(({ name, label, options }) => (
+            <div key={name} className="form-group">
+                <label htmlFor={`field-${name}`}>{label}</label>
+                {options ? (
+                    <select
+                        id={`field-${name}`}
+                        name={name}
+                        value={formData[name] || ''}
+                        onChange={onChange}
+                        disabled={readOnlyFields.includes(name)}
+                        className={`form-select ${errors[name] ? 'invalid' : ''}`}
+                    >
+                        <option value="">-- Select {label} --</option>
+                        {(dropdowns[options] || []).map((val, i) => (
+                            <option key={i} value={val}>{val}</option>
+                        ))}
+                    </select>
+                ) : (
+                    <input
+                        id={`field-${name}`}
+                        type="text"
+                        name={name}
+                        value={formData[name] || ''}
+                        onChange={onChange}
+                        readOnly={readOnlyFields.includes(name)}
+                        className={errors[name] ? 'invalid' : ''}
+                    />
+                )}
+                {errors[name] && <span className="error-text">{errors[name]}</span>}
+            </div>
+        ))}
+        <button type="submit" className="submit-btn" disabled={submitting}>{submitLabel}</button>
+    </form>
+);
+
+export default ResourceForm;
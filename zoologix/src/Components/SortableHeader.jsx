@@ -0,0 +1,42 @@
+import React from 'react';
+
+/**
+ * SortableHeader Component
+ *
+ * A table header cell that sorts its column when clicked.
+ * - Click cycles ascending → descending → unsorted; shift-click adds the column to a multi-column sort.
+ * - Shows the direction with an icon and, when several columns are sorted, the column's priority.
+ *
+ * @component
+ * @param {Object} props
+ * @param {string} props.field - API field the column sorts by.
+ * @param {string} props.label - Header text.
+ * @param {Array<{field: string, direction: string}>} props.sort - Current sort columns.
+ * @param {function(string, boolean): void} props.onSort - Called with the field and whether shift was held.
+ * @param {Object} [props.rest] - Other props (e.g. drag handlers) passed to the `<th>`.
+ * @returns {JSX.Element} Rendered header cell.
+ *
+ * @author `NatBitton54`
+ */
+const SortableHeader = ({ field, label, sort, onSort, ...rest }) => {
+    const index = sort.findIndex(s => s.field === field);
+    const active = index !== -1 ? sort[index] : null;
+    const icon = !active ? 'fa-sort' : active.direction === 'asc' ? 'fa-sort-up' : 'fa-sort-down';
+
+    return (
+        <th
+            {...rest}
+            className={`sortable-header${active ? ' sorted' : ''}`}
+            onClick={(e) => onSort(field, e.shiftKey)}
+            aria-sort={!active ? 'none' : active.direction === 'asc' ? 'ascending' : 'descending'}
+            title="Click to sort, shift-click to sort by several columns"
+            style={{ cursor: 'pointer', userSelect: 'none', whiteSpace: 'nowrap' }}
+        >
+            {label}{' '}
+            <i className={`fas ${icon}`} style={{ opacity: active ? 1 : 0.35 }}></i>
+            {active && sort.length > 1 && <sup>{index + 1}</sup>}
+        </th>
+    );
+};
+
+export default SortableHeader;
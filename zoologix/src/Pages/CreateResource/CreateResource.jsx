@@ -1,57 +1,45 @@
 import React, { useEffect, useState } from 'react';
 import Swal from 'sweetalert2';
-import { FetchWrapper } from '../../utils/fetchWrapper';
+import { useLocation } from 'react-router-dom';
+import { api } from '../../utils/apiClient';
+import { ERROR_CATEGORIES, parseApiError } from '../../utils/apiError';
+import {
+  RESOURCE_TYPES,
+  fetchForeignKeyOptions,
+  formatFieldValue,
+  toFormErrors,
+  toPayload,
+  validateRecord
+} from '../../utils/resourceForms';
+import ResourceForm from '../../Components/ResourceForm';
 import './create-resource.css';
 
-const api = new FetchWrapper('http://localhost/species-api');
-
 /**
  * CreateResource Component
  *
- * This component allows users to create new Habitat or Species records.
+ * This component allows users to create new Habitat, Species, Diet or Classification records.
  * - Dynamically renders input fields based on the selected resource type.
+ * - Starts on the type given in the navigation state (`{ resourceType }`), e.g. from the Diets page.
  * - For species, it fetches all foreign key dropdown values (diets, habitats, classifications).
  * - Includes client-side validation and SweetAlert for success/error feedback.
  *
+ * Field definitions and validation rules live in `utils/resourceForms` so the Edit page uses the same ones.
+ *
  * @component
- * @returns {JSX.Element} Rendered create form for habitat or species.
- * 
+ * @returns {JSX.Element} Rendered create form for the selected resource type.
+ *
  * @author `NatBitton54`
  */
 const CreateResource = () => {
-  const [resourceType, setResourceType] = useState('habitat');
+  const location = useLocation();
+  const [resourceType, setResourceType] = useState(
+    RESOURCE_TYPES[location.state?.resourceType] ? location.state.resourceType : 'habitat'
+  );
   const [formData, setFormData] = useState({});
   const [errors, setErrors] = useState({});
-  const [dietsIds, setDietsIds] = useState([]);
-  const [habitatIds, setHabitatIds] = useState([]);
-  const [classificationIds, setClassificationIds] = useState([]);
+  const [dropdowns, setDropdowns] = useState({});
 
-  const habitatFields = [
-    { name: 'habitat_id', label: 'Habitat ID' },
-    { name: 'name', label: 'Name' },
-    { name: 'climate', label: 'Climate' },
-    { name: 'location', label: 'Location' },
-    { name: 'long_range', label: 'Longitude Range' },
-    { name: 'lat_range', label: 'Latitude Range' },
-    { name: 'description', label: 'Description' }
-  ];
-
-  const speciesFields = [
-    { name: 'species_id', label: 'Species ID' },
-    { name: 'common_name', label: 'Common Name' },
-    { name: 'description', label: 'Description' },
-    { name: 'name_of_offspring', label: 'Name of Offspring' },
-    { name: 'group_behaviour', label: 'Group Behaviour' },
-    { name: 'gestation_period', label: 'Gestation Period' },
-    { name: 'breeding_season', label: 'Breeding Season' },
-    { name: 'num_of_offspring', label: 'Number of Offspring' },
-    { name: 'average_lifespan', label: 'Average Lifespan' },
-    { name: 'diet_id', label: 'Diet ID', dropdown: dietsIds },
-    { name: 'habitat_id', label: 'Habitat ID', dropdown: habitatIds },
-    { name: 'classification_id', label: 'Classification ID', dropdown: classificationIds }
-  ];
-
-  const fields = resourceType === 'habitat' ? habitatFields : speciesFields;
+  const { label, endpoint, idField, fields } = RESOURCE_TYPES[resourceType];
 
   /**
    * useEffect - Fetch dropdown data when resource type is 'species'
@@ -75,30 +63,7 @@ const CreateResource = () => {
    */
   const fetchDropdownData = async () => {
     try {
-      const fetchAllIds = async (endpoint) => {
-        let all = [];
-        let page = 1;
-        let totalPages = 1;
-
-        do {
-          const res = await api.get(`${endpoint}?page=${page}&pageSize=20`);
-          all = [...all, ...res.data];
-          totalPages = res.metadata?.total_pages || 1;
-          page++;
-        } while (page <= totalPages);
-
-        return all;
-      };
-
-      const [diets, habitats, classifications] = await Promise.all([
-        fetchAllIds('/diets'),
-        fetchAllIds('/habitats'),
-        fetchAllIds('/classifications')
-      ]);
-
-      setDietsIds(diets.map(d => d.diet_id));
-      setHabitatIds(habitats.map(h => h.habitat_id));
-      setClassificationIds(classifications.map(c => c.classification_id));
+      setDropdowns(await fetchForeignKeyOptions());
     } catch {
       Swal.fire('Error', 'Failed to load dropdown options (foreign keys).', 'error');
     }
@@ -115,15 +80,8 @@ const CreateResource = () => {
    */
   const handleInputChange = (e) => {
     const { name, value } = e.target;
-    let processedValue = value;
 
-    if (['num_of_offspring', 'average_lifespan'].includes(name)) {
-      processedValue = value.replace(/\D/g, '');
-    } else if (['habitat_id', 'species_id'].includes(name)) {
-      processedValue = value.toUpperCase();
-    }
-
-    setFormData({ ...formData, [name]: processedValue });
+    setFormData({ ...formData, [name]: formatFieldValue(name, value) });
     setErrors({ ...errors, [name]: '' });
   };
 
@@ -138,67 +96,7 @@ const CreateResource = () => {
    * @author `NatBitton54`
    */
   const validate = () => {
-    const newErrors = {};
-    fields.forEach(({ name }) => {
-      const value = formData[name]?.toString().trim() || '';
-
-      if (!value) {
-        newErrors[name] = 'This field is required';
-        return;
-      }
-
-      switch (name) {
-        case 'habitat_id':
-          if (!/^HA-\d{3}$/i.test(value)) newErrors[name] = 'Habitat ID must be in the format HA-###';
-          break;
-        case 'name':
-          if (value.length < 1) newErrors[name] = 'Name must not be empty';
-          break;
-        case 'climate':
-          if (!/^[A-Za-z]+$/.test(value)) newErrors[name] = 'Climate must contain only letters';
-          break;
-        case 'long_range':
-          if (!/^\d+[EW] to \d+[EW]$/i.test(value)) newErrors[name] = 'Longitude range must be like "30E to 45W"';
-          break;
-        case 'lat_range':
-          if (!/^\d+[NS] to \d+[NS]$/i.test(value)) newErrors[name] = 'Latitude range must be like "20N to 40S"';
-          break;
-        case 'description':
-          if (value.length < 10) newErrors[name] = 'Description must be at least 10 characters long';
-          break;
-
-        case 'species_id':
-          if (!/^SP-\d{3}$/i.test(value)) newErrors[name] = 'Species ID must be in the format SP-###';
-          break;
-        case 'common_name':
-          if (value.length < 1 || value.length > 255) newErrors[name] = 'Common name must be 1–255 characters long';
-          break;
-        case 'name_of_offspring':
-          if (value.length > 255) newErrors[name] = 'Name of offspring must be 255 characters max';
-          break;
-        case 'group_behaviour':
-          if (value.length > 32) newErrors[name] = 'Group behaviour must be 32 characters max';
-          break;
-        case 'gestation_period':
-          if (value.length > 32) newErrors[name] = 'Gestation period must be 32 characters max';
-          break;
-        case 'breeding_season':
-          if (value.length > 16) newErrors[name] = 'Breeding season must be 16 characters max';
-          break;
-        case 'num_of_offspring':
-        case 'average_lifespan':
-          if (!/^\d+$/.test(value)) newErrors[name] = 'Must be an integer';
-          break;
-        case 'diet_id':
-          if (!/^DI-\d{3}$/i.test(value)) newErrors[name] = 'Diet ID must be in the format DI-###';
-          break;
-        case 'classification_id':
-          if (!/^CL-\d{3}$/i.test(value)) newErrors[name] = 'Classification ID must be in the format CL-###';
-          break;
-        default:
-          break;
-      }
-    });
+    const newErrors = validateRecord(fields, formData);
 
     setErrors(newErrors);
     return Object.keys(newErrors).length === 0;
@@ -210,6 +108,7 @@ const CreateResource = () => {
    * Handles form submission:
    * - Validates input.
    * - Sends a POST request to the API with form data.
+   * - Shows server-side validation errors next to the matching inputs.
    * - Displays success or error alerts using SweetAlert.
    *
    * @param {React.FormEvent<HTMLFormElement>} e
@@ -220,34 +119,27 @@ const CreateResource = () => {
     if (!validate()) return;
 
     try {
-      const endpoint = resourceType === 'habitat' ? '/habitats' : '/species';
-      const parsedData = { ...formData };
-
-      if (resourceType === 'species') {
-        parsedData.num_of_offspring = parseInt(parsedData.num_of_offspring, 10);
-        parsedData.average_lifespan = parseInt(parsedData.average_lifespan, 10);
-      }
+      await api.post(endpoint, [toPayload(resourceType, formData)]);
 
-      await api.post(endpoint, [parsedData]);
-
-      Swal.fire('Success', `${resourceType} created successfully!`, 'success');
+      Swal.fire('Success', `${label} created successfully!`, 'success');
       setFormData({});
     } catch (err) {
-      const code = err?.details?.code;
-      const duplicateId = err?.details?.id;
+      const apiError = parseApiError(err);
+
+      if (apiError.category === ERROR_CATEGORIES.DUPLICATE) {
+        const duplicateId = apiError.details?.id || formData[idField];
 
-      if (code === 23000) {
+        setErrors({ ...errors, [idField]: 'This ID is already in use' });
         Swal.fire(
           'Duplicate ID',
           `A record with ID "${duplicateId}" already exists.`,
           'warning'
         );
+      } else if (apiError.hasFieldErrors()) {
+        setErrors({ ...errors, ...toFormErrors(apiError.fieldErrors) });
+        Swal.fire('Validation Error', apiError.userMessage, 'warning');
       } else {
-        Swal.fire(
-          'Error',
-          err?.message || 'Something went wrong.',
-          'error'
-        );
+        Swal.fire('Error', apiError.userMessage, 'error');
       }
     }
   };
@@ -255,7 +147,7 @@ const CreateResource = () => {
   return (
     <div className="contain-create">
       <div className="full-width-header">
-        <h4>Create a New {resourceType === 'habitat' ? 'Habitat' : 'Species'}</h4>
+        <h4>Create a New {label}</h4>
       </div>
 
       <div className="create-container">
@@ -268,40 +160,20 @@ const CreateResource = () => {
             setErrors({});
           }}
         >
-          <option value="habitat">Habitat</option>
-          <option value="species">Species</option>
+          {Object.entries(RESOURCE_TYPES).map(([type, { label: typeLabel }]) => (
+            <option key={type} value={type}>{typeLabel}</option>
+          ))}
         </select>
 
-        <form onSubmit={handleSubmit}>
-          {fields.map(({ name, label, dropdown }) => (
-            <div key={name} className="form-group">
-              <label>{label}</label>
-              {dropdown ? (
-                <select
-                  name={name}
-                  value={formData[name] || ''}
-                  onChange={handleInputChange}
-                  className={`form-select ${errors[name] ? 'invalid' : ''}`}
-                >
-                  <option value="">-- Select {label} --</option>
-                  {dropdown.map((val, i) => (
-                    <option key={i} value={val}>{val}</option>
-                  ))}
-                </select>
-              ) : (
-                <input
-                  type="text"
-                  name={name}
-                  value={formData[name] || ''}
-                  onChange={handleInputChange}
-                  className={errors[name] ? 'invalid' : ''}
-                />
-              )}
-              {errors[name] && <span className="error-text">{errors[name]}</span>}
-            </div>
-          ))}
-          <button type="submit" className="submit-btn">Create</button>
-        </form>
+        <ResourceForm
+          fields={fields}
+          dropdowns={dropdowns}
+          formData={formData}
+          errors={errors}
+          onChange={handleInputChange}
+          onSubmit={handleSubmit}
+          submitLabel="Create"
+        />
       </div>
     </div>
   );
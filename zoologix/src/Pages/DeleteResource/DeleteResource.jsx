@@ -1,14 +1,24 @@
 import React, { useEffect, useState } from 'react';
 import './delete-resource.css';
-import { FetchWrapper } from '../../utils/fetchWrapper.js';
+import { api } from '../../utils/apiClient';
+import { RequestCancelledError } from '../../utils/fetchWrapper';
 import Swal from 'sweetalert2';
 
-const api = new FetchWrapper('http://localhost/species-api');
+/**
+ * Deletable collections keyed by endpoint name, with their ID field and ID format.
+ * @type {Object<string, {label: string, idField: string, pattern: RegExp, format: string}>}
+ */
+const DELETE_TYPES = {
+  habitats: { label: 'Habitat', idField: 'habitat_id', pattern: /^HA-\d{3}$/, format: 'HA-###' },
+  species: { label: 'Species', idField: 'species_id', pattern: /^SP-\d{3}$/, format: 'SP-###' },
+  diets: { label: 'Diet', idField: 'diet_id', pattern: /^DI-\d{3}$/, format: 'DI-###' },
+  classifications: { label: 'Classification', idField: 'classification_id', pattern: /^CL-\d{3}$/, format: 'CL-###' }
+};
 
 /**
  * DeleteResource Component
  *
- * Allows the user to select a resource type (habitats or species),
+ * Allows the user to select a resource type (habitats, species, diets or classifications),
  * dynamically fetch all IDs for that resource, and delete a selected one.
  * Client-side validation checks the ID format before deletion.
  * Confirmation is required before deletion. Alerts show for success or failure.
@@ -23,46 +33,44 @@ function DeleteResource() {
   const [resourceId, setResourceId] = useState([]);
   const [selectedId, setSelectedId] = useState('');
 
+  const { label, idField, pattern, format } = DELETE_TYPES[resourceType];
+
   /**
  * useEffect - Triggers ID fetch when the selected resource type changes.
  *
  * React hook that runs `fetchIds` every time `resourceType` updates.
+ * Switching type again before the IDs arrive cancels the previous load.
  */
   useEffect(() => {
-    fetchIds();
+    const controller = new AbortController();
+    fetchIds(controller.signal);
+
+    return () => controller.abort();
   }, [resourceType]);
 
   /**
  * fetchIds
  *
- * Fetches all available resource IDs for the selected resource type (habitats or species).
- * Handles paginated data and stores all IDs in state.
+ * Fetches all available resource IDs for the selected resource type.
+ * Loads every page through `api.fetchAll` and stores all IDs in state.
  * Resets the currently selected ID afterward.
  *
  * @async
  * @function
+ * @param {AbortSignal} [signal] - Cancels the load when aborted.
  * @returns {Promise<void>}
  * @author `NatBitton54`
  */
-  const fetchIds = async () => {
+  const fetchIds = async (signal) => {
     try {
-      let allIds = [];
-      let page = 1;
-      let totalPages = 1;
-
-      do {
-        const res = await api.get(`/${resourceType}?page=${page}&pageSize=20`);
-        const ids = res.data.map(item =>
-          resourceType === 'habitats' ? item.habitat_id : item.species_id
-        );
-        allIds = [...allIds, ...ids];
-        totalPages = res.metadata?.total_pages || 1;
-        page++;
-      } while (page <= totalPages);
+      const records = await api.fetchAll(`/${resourceType}`, { signal });
+      const allIds = records.map(item => item[idField]);
 
       setResourceId(allIds);
       setSelectedId('');
     } catch (error) {
+      if (error instanceof RequestCancelledError) return;
+
       Swal.fire({
         icon: 'error',
         title: 'Error',
@@ -78,11 +86,10 @@ function DeleteResource() {
   *
   * @function
   * @param {string} id - The ID to validate.
-  * @returns {boolean} `true` if the ID matches the format (HA-### or SP-###), `false` otherwise.
+  * @returns {boolean} `true` if the ID matches the type's format (e.g. HA-###), `false` otherwise.
   * @author `NatBitton54`
   */
   const isValidIdFormat = (id) => {
-    const pattern = resourceType === 'habitats' ? /^HA-\d{3}$/ : /^SP-\d{3}$/;
     return pattern.test(id);
   };
 
@@ -105,8 +112,7 @@ function DeleteResource() {
     if (!isValidIdFormat(selectedId)) {
       return Swal.fire(
         'Invalid ID Format',
-        `The ID must match ${resourceType === 'habitats' ? 'HA-###' : 'SP-###'
-        } format.`,
+        `The ID must match ${format} format.`,
         'error'
       );
     }
@@ -123,10 +129,7 @@ function DeleteResource() {
 
     if (!confirmDelete.isConfirmed) return;
 
-    const payload =
-      resourceType === 'habitats'
-        ? [{ habitat_id: selectedId }]
-        : [{ species_id: selectedId }];
+    const payload = [{ [idField]: selectedId }];
 
     try {
       await api.delete(`/${resourceType}`, payload);
@@ -149,7 +152,7 @@ function DeleteResource() {
     <>
       <div className="delete-contain">
         <div className="full-width-header">
-          <h4>Delete a {resourceType === 'habitats' ? 'Habitat' : 'Species'}</h4>
+          <h4>Delete a {label}</h4>
         </div>
       </div>
       <div className="delete-container">
@@ -161,6 +164,8 @@ function DeleteResource() {
           >
             <option value="habitats">Habitats</option>
             <option value="species">Species</option>
+            <option value="diets">Diets</option>
+            <option value="classifications">Classifications</option>
           </select>
         </div>
 
@@ -0,0 +1,172 @@
+import React, { useEffect, useState } from 'react';
+import Swal from 'sweetalert2';
+import { Link, useNavigate, useParams } from 'react-router-dom';
+import { api, fetchRecord } from '../../utils/apiClient';
+import { ERROR_CATEGORIES, parseApiError } from '../../utils/apiError';
+import {
+  RESOURCE_TYPES,
+  fetchForeignKeyOptions,
+  formatFieldValue,
+  toFormData,
+  toFormErrors,
+  toPayload,
+  validateRecord
+} from '../../utils/resourceForms';
+import ResourceForm from '../../Components/ResourceForm';
+import './edit-resource.css';
+
+/**
+ * EditResource Component
+ *
+ * Lets the user update an existing Habitat, Species, Diet or Classification record.
+ * - Loads the record given by the `:id` route param and pre-fills the same fields as CreateResource.
+ * - Runs the same client-side validation rules before sending a PUT request.
+ * - The record ID is shown read-only, since it identifies the record being updated.
+ *
+ * @component
+ * @param {Object} props
+ * @param {'habitat'|'species'|'diet'|'classification'} props.resourceType - Type of record being edited.
+ * @returns {JSX.Element} Rendered edit form for the record.
+ *
+ * @author `NatBitton54`
+ */
+const EditResource = ({ resourceType }) => {
+  const [formData, setFormData] = useState({});
+  const [errors, setErrors] = useState({});
+  const [dropdowns, setDropdowns] = useState({});
+  const [loading, setLoading] = useState(true);
+  const [submitting, setSubmitting] = useState(false);
+
+  const { id } = useParams();
+  const navigate = useNavigate();
+  const { label, endpoint, idField, fields } = RESOURCE_TYPES[resourceType];
+  const listPath = `/zoologix${endpoint}`;
+
+  /**
+   * useEffect - Loads the record (and species dropdown options) when the ID or type changes.
+   */
+  useEffect(() => {
+    /**
+     * loadRecord
+     *
+     * Fetches the record to edit, bypassing the cache so the form shows current data.
+     * For species, also loads the foreign key dropdown values.
+     *
+     * @async
+     * @function
+     * @param {AbortSignal} signal - Cancels the load when the page changes.
+     * @returns {Promise<void>}
+     * @author `NatBitton54`
+     */
+    const loadRecord = async (signal) => {
+      setLoading(true);
+      try {
+        const [record, options] = await Promise.all([
+          fetchRecord(endpoint, id, { signal, cache: false }),
+          resourceType === 'species' ? fetchForeignKeyOptions(signal) : Promise.resolve({})
+        ]);
+
+        setFormData(toFormData(resourceType, record));
+        setDropdowns(options);
+        setErrors({});
+        setLoading(false);
+      } catch (err) {
+        const apiError = parseApiError(err);
+        if (apiError.category === ERROR_CATEGORIES.CANCELLED) return;
+
+        await Swal.fire('Error', `Could not load ${label.toLowerCase()} ${id}: ${apiError.userMessage}`, 'error');
+        navigate(listPath);
+      }
+    };
+
+    const controller = new AbortController();
+    loadRecord(controller.signal);
+
+    return () => controller.abort();
+  }, [resourceType, id, endpoint, label, listPath, navigate]);
+
+  /**
+   * handleInputChange
+   *
+   * Updates the formData state based on user input, applying the shared formatting rules.
+   *
+   * @param {React.ChangeEvent<HTMLInputElement | HTMLSelectElement>} e
+   * @author `NatBitton54`
+   */
+  const handleInputChange = (e) => {
+    const { name, value } = e.target;
+
+    setFormData({ ...formData, [name]: formatFieldValue(name, value) });
+    setErrors({ ...errors, [name]: '' });
+  };
+
+  /**
+   * handleSubmit
+   *
+   * Validates the form and sends a PUT request with the updated record.
+   * Server-side field errors are shown next to the matching inputs.
+   *
+   * @async
+   * @param {React.FormEvent<HTMLFormElement>} e
+   * @returns {Promise<void>}
+   * @author `NatBitton54`
+   */
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const newErrors = validateRecord(fields, formData);
+    setErrors(newErrors);
+    if (Object.keys(newErrors).length > 0) return;
+
+    setSubmitting(true);
+    try {
+      await api.put(endpoint, [toPayload(resourceType, formData)]);
+
+      await Swal.fire('Success', `${label} ${id} updated successfully!`, 'success');
+      navigate(listPath);
+    } catch (err) {
+      const apiError = parseApiError(err);
+
+      if (apiError.hasFieldErrors()) {
+        setErrors({ ...errors, ...toFormErrors(apiError.fieldErrors) });
+        Swal.fire('Validation Error', apiError.userMessage, 'warning');
+      } else {
+        Swal.fire('Error', `Could not update ${label.toLowerCase()}. ${apiError.userMessage}`, 'error');
+      }
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="contain-edit">
+      <div className="full-width-header">
+        <h4>Edit {label} {id}</h4>
+      </div>
+
+      <div className="edit-container">
+        <Link to={listPath} className="back-link">
+          <i className="fas fa-arrow-left"></i> Back to {endpoint.slice(1)}
+        </Link>
+
+        {loading ? (
+          <p className="loading-text">Loading {label.toLowerCase()}...</p>
+        ) : (
+          <ResourceForm
+            fields={fields}
+            dropdowns={dropdowns}
+            formData={formData}
+            errors={errors}
+            onChange={handleInputChange}
+            onSubmit={handleSubmit}
+            submitLabel={submitting ? 'Saving...' : 'Save Changes'}
+            readOnlyFields={[idField]}
+            submitting={submitting}
+          />
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default EditResource;
@@ -0,0 +1,362 @@
+import React, { useEffect, useState } from 'react';
+import Swal from 'sweetalert2';
+import { Link, useLocation, useNavigate, useParams } from 'react-router-dom';
+import { api, fetchRecord } from '../../utils/apiClient';
+import { ERROR_CATEGORIES, parseApiError } from '../../utils/apiError';
+import { describeStatus } from '../../utils/conservationStatus';
+import { summariseSpecies } from '../../utils/speciesStats';
+import Pagination from '../../Components/Pagination';
+import './habitat-detail.css';
+
+/**
+ * Species columns shown in the embedded table.
+ * @type {Array<[string, string]>}
+ */
+const SPECIES_COLUMNS = [
+  ['species_id', 'Species ID'],
+  ['common_name', 'Common Name'],
+  ['diet_type', 'Diet Type'],
+  ['class', 'Class'],
+  ['family', 'Family'],
+  ['average_lifespan', 'Average Lifespan'],
+  ['status_code', 'Status']
+];
+
+/**
+ * HabitatDetail Component
+ *
+ * Shows one habitat from `/habitats/:id` with its details, the paginated
+ * `/habitats/:id/species` sub-collection and summary statistics for all of its species.
+ * - The species page and page size are kept in the URL, like the listing pages.
+ * - Statistics count every species in the habitat, not just the visible page. If they cannot
+ *   be loaded the panel says so and offers a retry, rather than showing zero species.
+ *
+ * @component
+ * @returns {JSX.Element} The habitat detail page.
+ *
+ * @author `NatBitton54`
+ */
+const HabitatDetail = () => {
+  const [habitat, setHabitat] = useState(null);
+  const [stats, setStats] = useState(null);
+  const [statsError, setStatsError] = useState('');
+  const [statsReloadCount, setStatsReloadCount] = useState(0);
+  const [speciesList, setSpeciesList] = useState([]);
+  const [page, setPage] = useState(1);
+  const [pageSize, setPageSize] = useState(5);
+  const [totalPages, setTotalPages] = useState(1);
+  const [totalItems, setTotalItems] = useState(0);
+  const [loading, setLoading] = useState(true);
+
+  const { id } = useParams();
+  const navigate = useNavigate();
+  const location = useLocation();
+
+  /**
+   * useEffect - Loads the habitat whenever the ID changes.
+   */
+  useEffect(() => {
+    /**
+     * loadHabitat
+     *
+     * Fetches the habitat record.
+     *
+     * @async
+     * @function
+     * @param {AbortSignal} signal - Cancels the request when the ID changes.
+     * @returns {Promise<void>}
+     * @author `NatBitton54`
+     */
+    const loadHabitat = async (signal) => {
+      setLoading(true);
+      try {
+        setHabitat(await fetchRecord('/habitats', id, { signal }));
+        setLoading(false);
+      } catch (err) {
+        const apiError = parseApiError(err);
+        if (apiError.category === ERROR_CATEGORIES.CANCELLED) return;
+
+        setHabitat(null);
+        setLoading(false);
+        Swal.fire('Error', `Could not load habitat ${id}: ${apiError.userMessage}`, 'error');
+      }
+    };
+
+    const controller = new AbortController();
+    loadHabitat(controller.signal);
+
+    return () => controller.abort();
+  }, [id]);
+
+  /**
+   * useEffect - Loads the species statistics whenever the ID changes or Retry is clicked.
+   */
+  useEffect(() => {
+    /**
+     * loadStats
+     *
+     * Fetches every species living in the habitat and summarises them.
+     * A failure is shown in the statistics panel and leaves the rest of the page usable.
+     *
+     * @async
+     * @function
+     * @param {AbortSignal} signal - Cancels the requests when the ID changes.
+     * @returns {Promise<void>}
+     * @author `NatBitton54`
+     */
+    const loadStats = async (signal) => {
+      setStats(null);
+      setStatsError('');
+      try {
+        const allSpecies = await api.fetchAll(`/habitats/${encodeURIComponent(id)}/species`, { signal });
+        setStats(summariseSpecies(allSpecies));
+      } catch (err) {
+        const apiError = parseApiError(err);
+        if (apiError.category === ERROR_CATEGORIES.CANCELLED) return;
+
+        // A habitat without species answers 404 on some API versions
+        if (apiError.category === ERROR_CATEGORIES.NOT_FOUND) {
+          setStats(summariseSpecies([]));
+        } else {
+          setStatsError(apiError.userMessage);
+        }
+      }
+    };
+
+    const controller = new AbortController();
+    loadStats(controller.signal);
+
+    return () => controller.abort();
+  }, [id, statsReloadCount]);
+
+  /**
+   * useEffect - Loads the requested page of species whenever the ID or URL query changes.
+   */
+  useEffect(() => {
+    const params = new URLSearchParams(location.search);
+    const pg = parseInt(params.get('page')) || 1;
+    const size = parseInt(params.get('pageSize')) || 5;
+
+    /**
+     * loadSpecies
+     *
+     * Fetches one page of the habitat's species.
+     *
+     * @async
+     * @function
+     * @param {number} pg - Page number to fetch.
+     * @param {number} size - Number of species per page.
+     * @param {AbortSignal} signal - Cancels the request when the page changes.
+     * @returns {Promise<void>}
+     * @author `NatBitton54`
+     */
+    const loadSpecies = async (pg, size, signal) => {
+      try {
+        const res = await api.get(
+          `/habitats/${encodeURIComponent(id)}/species?page=${pg}&pageSize=${size}`,
+          {},
+          { signal }
+        );
+
+        setSpeciesList(res.data || []);
+        setTotalPages(res.metadata?.total_pages || 1);
+        setTotalItems(res.metadata?.total_items ?? (res.data || []).length);
+        setPage(pg);
+        setPageSize(size);
+      } catch (err) {
+        const apiError = parseApiError(err);
+        if (apiError.category === ERROR_CATEGORIES.CANCELLED) return;
+
+        setSpeciesList([]);
+        // A habitat without species answers 404 on some API versions
+        if (apiError.category !== ERROR_CATEGORIES.NOT_FOUND) {
+          Swal.fire('Error', `Failed to load species for habitat ${id}.`, 'error');
+        }
+      }
+    };
+
+    const controller = new AbortController();
+    loadSpecies(pg, size, controller.signal);
+
+    return () => controller.abort();
+  }, [id, location.search]);
+
+  /**
+   * useEffect - Dynamically loads Bootstrap CSS (table and pagination styles) into the document head.
+   * Removes it on component unmount.
+   */
+  useEffect(() => {
+    const link = document.createElement('link');
+    link.rel = 'stylesheet';
+    link.href = 'https://cdn.jsdelivr.net/npm/bootstrap@5.3.2/dist/css/bootstrap.min.css';
+    document.head.appendChild(link);
+    return () => document.head.removeChild(link);
+  }, []);
+
+  /**
+   * updateURL
+   *
+   * Stores the species page and page size in the URL, which triggers a reload.
+   *
+   * @param {{page: number, pageSize: number}} params
+   * @author `NatBitton54`
+   */
+  const updateURL = ({ page, pageSize }) => {
+    navigate(`?page=${page}&pageSize=${pageSize}`);
+  };
+
+  /**
+   * Renders one statistics group as labelled bars scaled to the group's largest count.
+   *
+   * @param {string} title - Heading of the group.
+   * @param {Array<{value: string, count: number}>} counts - Counts to show.
+   * @param {(value: string) => {label: string, color?: string}} [describe] - Optional label and colour for a value.
+   * @returns {JSX.Element}
+   */
+  const renderStat = (title, counts, describe) => {
+    const max = Math.max(1, ...counts.map(({ count }) => count));
+
+    return (
+      <section className="stat-group">
+        <h6>{title}</h6>
+        {counts.length === 0 && <p className="muted">No species.</p>}
+        {counts.map(({ value, count }) => {
+          const { label, color } = describe ? describe(value) : { label: value };
+          return (
+            <div key={value} className="stat-row" title={`${label}: ${count}`}>
+              <span className="stat-label">{label}</span>
+              <span className="stat-bar">
+                <span style={{ width: `${(count / max) * 100}%`, backgroundColor: color }} />
+              </span>
+              <span className="stat-count">{count}</span>
+            </div>
+          );
+        })}
+      </section>
+    );
+  };
+
+  return (
+    <div className="contain-habitat-detail">
+      <div className="full-width-header">
+        <h4>/species-api/habitats/{id}</h4>
+      </div>
+
+      <div className="habitat-detail">
+        <Link to="/zoologix/habitats" className="back-link">
+          <i className="fas fa-arrow-left"></i> Back to habitats
+        </Link>
+
+        {loading && <p className="muted">Loading habitat...</p>}
+
+        {!loading && !habitat && <p className="muted">No habitat found with ID {id}.</p>}
+
+        {!loading && habitat && (
+          <>
+            <div className="habitat-card">
+              <div className="habitat-card-header">
+                <h2>{habitat.name}</h2>
+                <Link to={`/zoologix/habitats/${encodeURIComponent(habitat.habitat_id)}/edit`} className="edit-link">
+                  <i className="fas fa-pen"></i> Edit
+                </Link>
+              </div>
+              <p className="habitat-description">{habitat.description}</p>
+              <dl className="habitat-facts">
+                <dt>Habitat ID</dt>
+                <dd>{habitat.habitat_id}</dd>
+                <dt>Climate</dt>
+                <dd>{habitat.climate || '—'}</dd>
+                <dt>Location</dt>
+                <dd>{habitat.location || '—'}</dd>
+                <dt>Longitude Range</dt>
+                <dd>{habitat.longitude_range || habitat.long_range || '—'}</dd>
+                <dt>Latitude Range</dt>
+                <dd>{habitat.latitude_range || habitat.lat_range || '—'}</dd>
+              </dl>
+            </div>
+
+            <div className="habitat-stats">
+              <h5>Species statistics {stats && <span className="muted">({stats.total} species)</span>}</h5>
+              {statsError ? (
+                <p className="stats-error">
+                  Statistics unavailable: {statsError}{' '}
+                  <button type="button" className="btn btn-link btn-sm" onClick={() => setStatsReloadCount((n) => n + 1)}>
+                    Retry
+                  </button>
+                </p>
+              ) : !stats ? (
+                <p className="muted">Calculating...</p>
+              ) : (
+                <div className="stat-groups">
+                  {renderStat('By diet type', stats.byDietType)}
+                  {renderStat('By class', stats.byClass)}
+                  {renderStat('By conservation status', stats.byStatus, describeStatus)}
+                </div>
+              )}
+            </div>
+
+            <h5 className="species-heading">
+              Species in this habitat <span className="muted">({totalItems})</span>
+            </h5>
+            <div className="table-responsive">
+              <table className="table table-striped">
+                <thead>
+                  <tr>
+                    {SPECIES_COLUMNS.map(([field, header]) => <th key={field}>{header}</th>)}
+                  </tr>
+                </thead>
+                <tbody>
+                  {speciesList.length === 0 ? (
+                    <tr>
+                      <td colSpan={SPECIES_COLUMNS.length} className="not-found">No species found.</td>
+                    </tr>
+                  ) : speciesList.map((s) => (
+                    <tr key={s.species_id}>
+                      <td>
+                        <Link to={`/zoologix/species/${encodeURIComponent(s.species_id)}`} className="detail-link">
+                          {s.species_id}
+                        </Link>
+                      </td>
+                      <td>{s.common_name}</td>
+                      <td>{s.diet_type}</td>
+                      <td>{s.class}</td>
+                      <td>{s.family}</td>
+                      <td>{s.average_lifespan}</td>
+                      <td>{describeStatus(s.status_code).label}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+
+            <div
+              className="d-flex justify-content-center align-items-center my-4 position-relative"
+              style={{ width: '100%' }}
+            >
+              <Pagination
+                page={page}
+                totalPages={totalPages}
+                visiblePages={5}
+                onPageChange={(newPage) => updateURL({ page: newPage, pageSize })}
+              />
+
+              <div className="position-absolute" style={{ right: '0' }}>
+                <select
+                  className="form-select w-auto"
+                  value={pageSize}
+                  onChange={(e) => updateURL({ page: 1, pageSize: parseInt(e.target.value) })}
+                >
+                  <option value="5">5 per page</option>
+                  <option value="10">10 per page</option>
+                  <option value="20">20 per page</option>
+                </select>
+              </div>
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default HabitatDetail;
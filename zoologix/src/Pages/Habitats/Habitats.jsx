@@ -1,19 +1,67 @@
 import React, { use, useEffect, useState } from 'react'
 import './Habitats.css'
 import Swal from 'sweetalert2'
-import { FetchWrapper, loadNavbar } from '../../utils/fetchWrapper'
+import { api } from '../../utils/apiClient'
+import { ERROR_CATEGORIES, parseApiError } from '../../utils/apiError'
 import { Link, useNavigate, useLocation } from 'react-router-dom'
 import Pagination from '../../Components/Pagination'
+import InfiniteScroll from '../../Components/InfiniteScroll'
+import PagingModeToggle from '../../Components/PagingModeToggle'
+import FilterChips from '../../Components/FilterChips'
+import DataTable from '../../Components/DataTable'
+import ExportMenu from '../../Components/ExportMenu'
+import BulkActions from '../../Components/BulkActions'
+import HabitatMap from '../../Components/HabitatMap'
+import { useSession } from '../../utils/auth'
+import { readFilters, toFilterQuery } from '../../utils/filterQuery'
+import { nextSort, readSort, toSortParams } from '../../utils/sortQuery'
+import { HABITAT_COLUMNS, editColumn } from '../../utils/tableColumns'
+import { SEARCH_PATTERN, useInstantSearch } from '../../utils/useInstantSearch'
+import { readPaging, usePagedList } from '../../utils/usePagedList'
 
-const api = new FetchWrapper('http://localhost/species-api');
+/**
+ * Filters accepted by `/habitats`: query param → label.
+ * @type {Object<string, string>}
+ */
+const HABITAT_FILTERS = {
+    name: 'Name',
+    climate: 'Climate',
+    location: 'Location',
+    description: 'Description'
+};
+
+/**
+ * Filters that get autocomplete suggestions in instant mode: query param → habitat field holding its values.
+ * @type {Object<string, string>}
+ */
+const SUGGESTION_FIELDS = {
+    name: 'name',
+    climate: 'climate',
+    location: 'location'
+};
+
+/**
+ * Table columns: the shared habitat columns plus an Edit link.
+ * @type {Array<object>}
+ */
+const COLUMNS = [...HABITAT_COLUMNS, editColumn('habitat_id', '/zoologix/habitats', 'Edit habitat')];
 
 /**
  * Habitats component
  *
  * Displays and manages a paginated, filterable list of habitats from the `/habitats` API.
  * - Supports searching by name, climate, location, and description.
- * - Implements pagination and page size selection.
+ * - Several filters can be combined; each one is shown as a removable chip.
+ * - Instant mode searches as you type (by name until another filter is chosen), suggests known
+ *   values such as climates, and replaces the history entry instead of adding one per keystroke.
+ * - Clicking a column header sorts by it on the server; shift-click sorts by several columns.
+ * - Implements pagination and page size selection, or infinite scroll (see `usePagedList`).
  * - Shows alerts on errors or no search results.
+ * - Each row links to the detail and Edit pages for that habitat.
+ * - Rendered with the shared DataTable, so columns can be hidden and reordered.
+ * - The Export menu downloads the current page, or every matching habitat, in the visible columns.
+ * - Signed-in users can tick rows (or every matching habitat) and delete them in bulk.
+ * - The Map view draws every matching habitat's coordinate ranges on a world map (see `HabitatMap`).
  *
  * @component
  * @returns {JSX.Element} Rendered habitat list with filters, pagination, and fetch logic.
@@ -21,36 +69,87 @@ const api = new FetchWrapper('http://localhost/species-api');
  * @author `NatBitton54`
  */
 function Habitats() {
-    const [habitatsList, setHabitatsList] = useState([]);
-    const [searchName, setSearchName] = useState('');
-    const [filter, setFilter] = useState('');
-    const [page, setPage] = useState(1);
-    const [pageSize, setPageSize] = useState(5);
-    const [totalPages, setTotalPages] = useState(1);
+    const [selectedIds, setSelectedIds] = useState([]);
+    const [mapHabitats, setMapHabitats] = useState([]);
+    const [mapSelectedId, setMapSelectedId] = useState(null);
+    const [mapReloadCount, setMapReloadCount] = useState(0);
+
+    const session = useSession();
 
     const navigate = useNavigate();
     const location = useLocation();
 
+    // The page, page size, filter clauses, sort columns, view and paging mode all live in the URL
+    const params = new URLSearchParams(location.search);
+    const { page, pageSize, mode } = readPaging(params);
+    const filters = readFilters(params, HABITAT_FILTERS);
+    const sort = readSort(params);
+    const view = params.get('view') === 'map' ? 'map' : 'table';
+
+    // In instant mode the URL change reloads the list, which cancels any load still running for an older term
+    const {
+        searchName,
+        setSearchName,
+        filter,
+        setFilter,
+        instant,
+        setInstant,
+        searchField,
+        suggestions,
+        reset: resetSearch
+    } = useInstantSearch('/habitats', {
+        filters,
+        suggestionFields: SUGGESTION_FIELDS,
+        onApply: (nextFilters) => updateURL({ filters: nextFilters, sort, page: 1, pageSize }, { replace: true })
+    });
+
+    // The Map view loads its own list of every matching habitat
+    const {
+        rows: habitatsList,
+        loading,
+        totalPages,
+        totalItems,
+        loadMore,
+        reload
+    } = usePagedList(view === 'table' ? '/habitats' : null, {
+        page, pageSize, sort, filters, mode, label: 'habitats', notifyEmpty: !instant
+    });
+
     /**
-     * useEffect - Initializes state from URL query parameters on component load or URL change.
-     *
-     * Extracts values for page, pageSize, name, and filter from the URL and sets the corresponding state.
-     * Then triggers habitat data loading with those values.
+     * useEffect - Clears the row selection when the filters change, since it may
+     * then hold records that no longer match.
      */
+    const filterKey = toFilterQuery(filters);
     useEffect(() => {
-        const params = new URLSearchParams(location.search);
-        const queryPage = parseInt(params.get('page')) || 1;
-        const querySize = parseInt(params.get('pageSize')) || 5;
-        const queryName = params.get('name') || '';
-        const queryFilter = params.get('filter') || '';
+        setSelectedIds([]);
+    }, [filterKey]);
 
-        setPage(queryPage);
-        setPageSize(querySize);
-        setSearchName(queryName);
-        setFilter(queryFilter);
+    /**
+     * useEffect - In the Map view, fetches every habitat matching the filters.
+     * A newer filter (or leaving the Map view) cancels the load still in flight.
+     */
+    useEffect(() => {
+        if (view !== 'map') return undefined;
+
+        const controller = new AbortController();
+        const loadMapHabitats = async () => {
+            try {
+                setMapHabitats(await api.fetchAll(filterKey ? `/habitats?${filterKey}` : '/habitats', {
+                    signal: controller.signal,
+                    pageSize: 50
+                }));
+            } catch (err) {
+                const apiError = parseApiError(err);
+                if (apiError.category === ERROR_CATEGORIES.CANCELLED) return;
+
+                setMapHabitats([]);
+                Swal.fire('Error', `Could not load habitats for the map: ${apiError.userMessage}`, 'error');
+            }
+        };
+        loadMapHabitats();
 
-        loadHabitats(queryPage, querySize, queryName, queryFilter);
-    }, [location.search]);
+        return () => controller.abort();
+    }, [view, filterKey, mapReloadCount]);
 
     /**
      * useEffect - Dynamically loads Bootstrap CSS into the document head.
@@ -64,66 +163,35 @@ function Habitats() {
         return () => document.head.removeChild(link);
     }, []);
 
-    /**
-     * loadHabitats
-     * 
-     * Fetches habitats from the API based on pagination and optional filter/search values.
-     *
-     * @param {number} pageToLoad - Current page to fetch.
-     * @param {number} size - Number of results per page.
-     * @param {string} name - Search term (optional).
-     * @param {string} filterBy - Field to filter by (optional).
-     */
-    const loadHabitats = async (pageToLoad = page, size = pageSize, name = searchName, filterBy = filter) => {
-        try {
-            let endPoint = `/habitats?page=${pageToLoad}&pageSize=${size}`;
-            const isSearch = name.trim() && filterBy;
-
-            if (isSearch) {
-                endPoint += `&${encodeURIComponent(filterBy)}=${encodeURIComponent(name)}`;
-            }
-
-            const res = await api.get(endPoint);
-            const data = res.data || [];
-
-            setHabitatsList(data);
-            setTotalPages(res.metadata?.total_pages || 1);
-
-            if (isSearch && data.length === 0) {
-                Swal.fire('No Results', 'No records found with the selected search criteria.', 'info');
-            }
-        } catch (error) {
-            Swal.fire('Error', `Could not load habitats: ${error.message}`, 'error');
-        }
-    }
-
     /**
      * updateURL
      *
      * Updates the browser's URL with the given parameters.
      * Useful for preserving navigation and enabling deep linking.
      *
-     * @param {Object} paramObj - Object containing filter, name, page, and pageSize.
+     * @param {Object} paramObj - Object containing filters, sort, page, pageSize and (optionally) view and mode;
+     *   the current view and paging mode are kept when none is given.
+     * @param {{replace?: boolean}} [options] - `replace` swaps the current history entry instead of adding one.
      * @author `NatBitton54`
      */
-    const updateURL = (paramObj) => {
-        const params = new URLSearchParams();
-
-        if (paramObj.filter) params.set('filter', paramObj.filter);
-        if (paramObj.name) params.set('name', paramObj.name);
-
-        params.set('page', paramObj.page);
-        params.set('pageSize', paramObj.pageSize);
-
-        navigate(`?${params.toString()}`);
+    const updateURL = (paramObj, options) => {
+        const query = toFilterQuery(paramObj.filters || {}, {
+            page: paramObj.page,
+            pageSize: paramObj.pageSize,
+            ...toSortParams(paramObj.sort || []),
+            view: (paramObj.view || view) === 'map' ? 'map' : undefined,
+            mode: (paramObj.mode || mode) === 'scroll' ? 'scroll' : undefined
+        });
+
+        navigate(`?${query}`, options);
     };
 
-
     /**
    * handleSearchSubmit
    *
    * Handles form submission for searching habitats.
-   * Validates input, updates the URL, and triggers a new fetch.
+   * Validates input and adds it as a filter clause (replacing any clause on the same field),
+   * then updates the URL, which triggers a new fetch. In instant mode the term stays in the input.
    *
    * @param {Event} e - Form submission event.
    * @author `NatBitton54`
@@ -136,12 +204,39 @@ function Habitats() {
             return;
         }
 
-        const validPattern = /^[A-Za-z0-9\s\-']+$/;
-        if (!validPattern.test(searchName)) {
+        if (!SEARCH_PATTERN.test(searchName)) {
             return Swal.fire('Invalid input', 'Allowed characters: letters, numbers, spaces, hyphens, apostrophes.', 'info');
         }
 
-        updateURL({ name: searchName, filter: filter, page: 1, pageSize: pageSize });
+        updateURL({ filters: { ...filters, [searchField]: searchName.trim() }, sort, page: 1, pageSize: pageSize }, { replace: instant });
+        if (!instant) setSearchName('');
+    }
+
+    /**
+     * handleRemoveFilter
+     *
+     * Removes one filter clause and reloads from the first page.
+     *
+     * @param {string} key - Filter param to remove.
+     * @author `NatBitton54`
+     */
+    const handleRemoveFilter = (key) => {
+        const { [key]: _removed, ...rest } = filters;
+        if (instant && key === searchField) setSearchName('');
+        updateURL({ filters: rest, sort, page: 1, pageSize });
+    }
+
+    /**
+     * handleSort
+     *
+     * Updates the sort after a column header click and reloads from the first page.
+     *
+     * @param {string} field - Field of the clicked column.
+     * @param {boolean} multi - True when shift was held, to sort by several columns.
+     * @author `NatBitton54`
+     */
+    const handleSort = (field, multi) => {
+        updateURL({ filters, sort: nextSort(sort, field, multi), page: 1, pageSize });
     }
     
     /**
@@ -152,13 +247,36 @@ function Habitats() {
      * @author `NatBitton54`
      */
     const handleClearSearch = () => {
-        setSearchName('');
-        setFilter('');
-        setPage(1);
-        updateURL({ page: 1, pageSize });
+        resetSearch();
+        updateURL({ sort, page: 1, pageSize });
         Swal.fire('Cleared', 'Search reset. Displaying all habitats.', 'success');
     }
 
+    /**
+     * fetchAllHabitats
+     *
+     * Loads every habitat matching the current filters and sort, for "All matching" exports.
+     *
+     * @param {AbortSignal} signal - Cancels the export.
+     * @param {function} onProgress - Receives `{loaded, total, items}` after each page.
+     * @returns {Promise<Array<object>>}
+     * @author `NatBitton54`
+     */
+    const fetchAllHabitats = (signal, onProgress) => {
+        const query = toFilterQuery(filters, toSortParams(sort));
+        return api.fetchAll(query ? `/habitats?${query}` : '/habitats', { signal, onProgress, pageSize: 50 });
+    }
+
+    /**
+     * fetchAllIds
+     *
+     * Loads the IDs of every habitat matching the current filters, for "Select all matching".
+     *
+     * @returns {Promise<string[]>}
+     * @author `NatBitton54`
+     */
+    const fetchAllIds = async () => (await fetchAllHabitats()).map(h => h.habitat_id)
+
     /**
      * handlePageChange
      *
@@ -168,8 +286,7 @@ function Habitats() {
      * @author `NatBitton54`
      */
     const handlePageChange = (newPage) => {
-        setPage(newPage);
-        updateURL({ name: searchName, filter, page: newPage, pageSize });
+        updateURL({ filters, sort, page: newPage, pageSize });
     };
 
     /**
@@ -181,11 +298,26 @@ function Habitats() {
      * @author `NatBitton54`
      */
     const handlePageSizeChange = (newPageSize) => {
-        setPageSize(newPageSize);
-        setPage(1);
-        updateURL({ name: searchName, filter, page: 1, pageSize: newPageSize });
+        updateURL({ filters, sort, page: 1, pageSize: newPageSize });
     };
 
+    /**
+     * handleModeChange
+     *
+     * Switches between numbered pages and infinite scroll, keeping the current page:
+     * infinite scroll then shows every page up to it.
+     *
+     * @param {'pages'|'scroll'} newMode - Paging mode to use.
+     * @author `NatBitton54`
+     */
+    const handleModeChange = (newMode) => {
+        updateURL({ filters, sort, page, pageSize, mode: newMode });
+    };
+
+    const placeholder = instant
+        ? `Search by ${HABITAT_FILTERS[searchField].toLowerCase()}`
+        : filter ? `Add a ${HABITAT_FILTERS[filter].toLowerCase()} filter` : 'Choose a filter first';
+
     return (
         <div className="container-">
             <div className="full-width-header">
@@ -196,18 +328,26 @@ function Habitats() {
                 <div className="search-box">
                     <input
                         type="text"
-                        placeholder={filter ? `Search by ${filter}` : "Choose a filter first"}
+                        placeholder={placeholder}
                         value={searchName}
                         onChange={(e) => setSearchName(e.target.value)}
-                        disabled={!filter}
+                        disabled={!searchField}
                         required
+                        list={instant ? 'habitat-suggestions' : undefined}
+                        autoComplete="off"
+                        aria-invalid={Boolean(searchName.trim()) && !SEARCH_PATTERN.test(searchName)}
                     />
                     <button type="button" className="icon clear-btn" onClick={handleClearSearch}>
                         <i className="fas fa-times"></i>
                     </button>
-                    <button type="submit" className="icon search-btn">
+                    <button type="submit" className="icon search-btn" title="Add filter">
                         <i className="fas fa-search"></i>
                     </button>
+                    {instant && (
+                        <datalist id="habitat-suggestions">
+                            {suggestions.map((value) => <option key={value} value={value} />)}
+                        </datalist>
+                    )}
                 </div>
 
                 <div className="filter-dropdown" style={{ marginRight: '20px' }}>
@@ -215,79 +355,134 @@ function Habitats() {
                         className="form-select"
                         value={filter}
                         onChange={(e) => setFilter(e.target.value)}
-                        required
+                        required={!instant}
                     >
                         <option value="">Select Filter</option>
-                        <option value="name">Name</option>
-                        <option value="climate">Climate</option>
-                        <option value="location">Location</option>
-                        <option value="description">Description</option>
+                        {Object.entries(HABITAT_FILTERS).map(([key, label]) => (
+                            <option key={key} value={key}>{label}</option>
+                        ))}
                     </select>
                 </div>
+
+                <label className="instant-toggle" title="Search as you type">
+                    <input
+                        type="checkbox"
+                        checked={instant}
+                        onChange={(e) => setInstant(e.target.checked)}
+                    />
+                    Instant
+                </label>
             </form>
 
-            <Link to="#" className='fetch-habitats' onClick={(e) => { e.preventDefault(); loadHabitats() }}>
-                Fetch Habitats
-            </Link>
-
-            <div className="table-responsive">
-                <table className="table table-striped">
-                    <thead>
-                        <tr>
-                            {[
-                                'Habitat ID',
-                                'Name',
-                                'Climate',
-                                'Location',
-                                'Longitude Range',
-                                'Latitude Range',
-                                'Description',
-                            ].map((header, i) => <th key={i}>{header}</th>)}
-                        </tr>
-                    </thead>
-                    <tbody>
-                        {habitatsList.length === 0 ? (
-                            <tr>
-                                <td colSpan="7" className="not-found">No habitats found.</td>
-                            </tr>
-                        ) : habitatsList.map((s, i) => (
-                            <tr key={i}>
-                                <td>{s.habitat_id}</td>
-                                <td>{s.name}</td>
-                                <td>{s.climate}</td>
-                                <td>{s.location}</td>
-                                <td>{s.longitude_range}</td>
-                                <td>{s.latitude_range}</td>
-                                <td>{s.description}</td>
-                            </tr>
-                        ))}
-                    </tbody>
-                </table>
+            <FilterChips
+                filters={filters}
+                labels={HABITAT_FILTERS}
+                onRemove={handleRemoveFilter}
+                onClearAll={handleClearSearch}
+            />
+
+            <div className="habitats-actions">
+                <Link to="#" className='fetch-habitats' onClick={(e) => { e.preventDefault(); if (view === 'map') setMapReloadCount(count => count + 1); else reload() }}>
+                    Fetch Habitats
+                </Link>
+
+                <div className="habitats-toggles">
+                    {view === 'table' && <PagingModeToggle mode={mode} onChange={handleModeChange} />}
+
+                    <div className="btn-group btn-group-sm" role="group" aria-label="Habitats view">
+                        <button
+                            type="button"
+                            className={`btn ${view === 'table' ? 'btn-secondary' : 'btn-outline-secondary'}`}
+                            onClick={() => updateURL({ filters, sort, page, pageSize, view: 'table' })}
+                        >
+                            <i className="fas fa-table"></i> Table
+                        </button>
+                        <button
+                            type="button"
+                            className={`btn ${view === 'map' ? 'btn-secondary' : 'btn-outline-secondary'}`}
+                            onClick={() => updateURL({ filters, sort, page, pageSize, view: 'map' })}
+                        >
+                            <i className="fas fa-globe"></i> Map
+                        </button>
+                    </div>
+                </div>
             </div>
 
-            <div
-                className="d-flex justify-content-center align-items-center my-4 position-relative"
-                style={{ width: '100%' }}
-            >
-                <Pagination
-                    page={page}
-                    totalPages={totalPages}
-                    visiblePages={5}
-                    onPageChange={handlePageChange}
-                />
-
-                <div className="position-absolute" style={{ right: '20px' }}>
-                    <select
-                        className="form-select w-auto"
-                        value={pageSize}
-                        onChange={(e) => handlePageSizeChange(parseInt(e.target.value))}
+            {view === 'map' && (
+                <HabitatMap habitats={mapHabitats} selectedId={mapSelectedId} onSelect={setMapSelectedId} />
+            )}
+
+            {view === 'table' && (
+                <>
+                    {session && (
+                        <BulkActions
+                            selectedIds={selectedIds}
+                            onSelectionChange={setSelectedIds}
+                            pageCount={habitatsList.length}
+                            totalItems={totalItems}
+                            fetchAllIds={fetchAllIds}
+                            endpoint="/habitats"
+                            idField="habitat_id"
+                            label="habitats"
+                            onDeleted={reload}
+                        />
+                    )}
+
+                    <DataTable
+                        tableId="habitats"
+                        columns={COLUMNS}
+                        rows={habitatsList}
+                        rowKey={(h) => h.habitat_id}
+                        selectedKeys={selectedIds}
+                        onSelectionChange={session ? setSelectedIds : undefined}
+                        sort={sort}
+                        onSort={handleSort}
+                        emptyMessage="No habitats found."
+                        toolbar={(visibleColumns) => (
+                            <ExportMenu
+                                columns={visibleColumns}
+                                rows={habitatsList}
+                                fetchAllRows={fetchAllHabitats}
+                                fileName="habitats"
+                            />
+                        )}
+                    />
+
+                    <div
+                        className="d-flex justify-content-center align-items-center my-4 position-relative"
+                        style={{ width: '100%' }}
                     >
-                        <option value="5">5 per page</option>
-                        <option value="10">10 per page</option>
-                        <option value="20">20 per page</option>
-                    </select>
-                </div>
-            </div>
+                        {mode === 'scroll' ? (
+                            <InfiniteScroll
+                                hasMore={page < totalPages}
+                                loading={loading}
+                                onLoadMore={loadMore}
+                                loadedCount={habitatsList.length}
+                                totalItems={totalItems}
+                            />
+                        ) : (
+                            <Pagination
+                                page={page}
+                                totalPages={totalPages}
+                                visiblePages={5}
+                                onPageChange={handlePageChange}
+                            />
+                        )}
+
+                        <div className="position-absolute" style={{ right: '20px' }}>
+                            <select
+                                className="form-select w-auto"
+                                value={pageSize}
+                                onChange={(e) => handlePageSizeChange(parseInt(e.target.value))}
+                            >
+                                <option value="5">5 per page</option>
+                                <option value="10">10 per page</option>
+                                <option value="20">20 per page</option>
+                            </select>
+                        </div>
+                    </div>
+                </>
+            )}
 
             <div style={{ marginTop: '50px' }} />
         </div>
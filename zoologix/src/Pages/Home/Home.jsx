@@ -1,24 +1,127 @@
-import React from 'react';
+import React, { useEffect, useState } from 'react';
 import { Link } from 'react-router-dom';
+import { api } from '../../utils/apiClient';
+import { ERROR_CATEGORIES, parseApiError } from '../../utils/apiError';
+import { describeStatus } from '../../utils/conservationStatus';
+import { histogram, summariseSpecies } from '../../utils/speciesStats';
+import BarChart from '../../Components/BarChart';
 import './Home.css';
 
+/**
+ * Collections counted on the dashboard, with the page that lists them.
+ * @type {Array<{label: string, endpoint: string, path: string}>}
+ */
+const DASHBOARD_COLLECTIONS = [
+    { label: 'Species', endpoint: '/species', path: '/zoologix/species' },
+    { label: 'Habitats', endpoint: '/habitats', path: '/zoologix/habitats' },
+    { label: 'Diets', endpoint: '/diets', path: '/zoologix/diets' },
+    { label: 'Classifications', endpoint: '/classifications', path: '/zoologix/classifications' }
+];
+
+/**
+ * Number of species shown under "Recently added".
+ * @type {number}
+ */
+const RECENT_COUNT = 5;
+
 /**
  * Home component
  *
  * Serves as the landing page for Assignment 2's Web Services project.
+ * Shows a live dashboard: record counts (from each collection's `metadata`), species by class,
+ * diet type and conservation status, lifespan histograms and the most recently added species.
+ * Charts are drawn locally as SVG (see `BarChart`).
+ *
  * Provides navigation to all major features:
  * - Viewing and filtering Species and Habitats
+ * - Maintaining the Diets and Classifications reference data
+ * - Browsing the taxonomy tree
  * - Interacting with nested resources (Sub-Collection)
  * - Searching TheSportsDB API
  * - Creating and deleting records
  *
  * @component
- * @returns {JSX.Element} The home page layout with links to all feature routes.
+ * @returns {JSX.Element} The home page layout with the dashboard and links to all feature routes.
  * 
  * @author `NatBitton54`
  */
 
 const Home = () => {
+    const [counts, setCounts] = useState({});
+    const [stats, setStats] = useState(null);
+    const [lifespans, setLifespans] = useState({});
+    const [lifespanClass, setLifespanClass] = useState('');
+    const [recent, setRecent] = useState([]);
+    const [error, setError] = useState('');
+
+    /**
+     * useEffect - Loads the dashboard data once; leaving the page cancels the requests.
+     */
+    useEffect(() => {
+        const controller = new AbortController();
+        loadDashboard(controller.signal);
+
+        return () => controller.abort();
+    }, []);
+
+    /**
+     * loadDashboard
+     *
+     * Loads the record counts, every species for the charts and the latest species.
+     * Counts that fail to load are shown as a dash; other failures are reported under the heading.
+     *
+     * @async
+     * @function
+     * @param {AbortSignal} signal - Cancels the requests on unmount.
+     * @returns {Promise<void>}
+     * @author `NatBitton54`
+     */
+    const loadDashboard = async (signal) => {
+        const totals = await Promise.allSettled(DASHBOARD_COLLECTIONS.map(({ endpoint }) => (
+            api.get(`${endpoint}?page=1&pageSize=1`, {}, { signal })
+        )));
+        if (signal.aborted) return;
+
+        setCounts(Object.fromEntries(DASHBOARD_COLLECTIONS.map(({ endpoint }, i) => [
+            endpoint,
+            totals[i].status === 'fulfilled' ? totals[i].value.metadata?.total_items ?? null : null
+        ])));
+
+        try {
+            const [allSpecies, latest] = await Promise.all([
+                api.fetchAll('/species', { signal, pageSize: 50 }),
+                api.get(`/species?page=1&pageSize=${RECENT_COUNT}&sort=date_added&dir=desc`, {}, { signal })
+            ]);
+
+            const byClass = {};
+            allSpecies.forEach((s) => {
+                const key = s.class || 'Unknown';
+                byClass[key] = [...(byClass[key] || []), s.average_lifespan];
+            });
+
+            setStats(summariseSpecies(allSpecies));
+            setLifespans({ '': allSpecies.map(s => s.average_lifespan), ...byClass });
+            setRecent(latest.data || []);
+        } catch (err) {
+            const apiError = parseApiError(err);
+            if (apiError.category !== ERROR_CATEGORIES.CANCELLED) {
+                setError(`Statistics are unavailable: ${apiError.userMessage}`);
+            }
+        }
+    };
+
+    /**
+     * Turns `countBy` results into chart bars.
+     *
+     * @param {Array<{value: string, count: number}>} counted - Counts to chart.
+     * @param {(value: string) => {label: string, color?: string}} [describe] - Optional label and colour for a value.
+     * @returns {Array<{label: string, count: number, color?: string}>}
+     */
+    const toBars = (counted, describe) => counted.map(({ value, count }) => {
+        const { label, color } = describe ? describe(value) : { label: value };
+        return { label, count, color };
+    });
+
     return (
         <>
             <section className="hero">
@@ -30,6 +133,77 @@ const Home = () => {
                 </div>
             </section>
 
+            <section className="content dashboard">
+                <h2>Dashboard</h2>
+                {error && <p className="dashboard-error">{error}</p>}
+
+                <div className="dashboard-counts">
+                    {DASHBOARD_COLLECTIONS.map(({ label, endpoint, path }) => (
+                        <Link key={endpoint} to={path} className="dashboard-count">
+                            <strong>{counts[endpoint] ?? '—'}</strong>
+                            <span>{label}</span>
+                        </Link>
+                    ))}
+                </div>
+
+                {!stats && !error && <p>Loading statistics...</p>}
+
+                {stats && (
+                    <div className="dashboard-charts">
+                        <div className="dashboard-panel">
+                            <h3>Species by class</h3>
+                            <BarChart title="Species by class" data={toBars(stats.byClass)} />
+                        </div>
+                        <div className="dashboard-panel">
+                            <h3>Species by diet type</h3>
+                            <BarChart title="Species by diet type" data={toBars(stats.byDietType)} />
+                        </div>
+                        <div className="dashboard-panel">
+                            <h3>Species by conservation status</h3>
+                            <BarChart title="Species by conservation status" data={toBars(stats.byStatus, describeStatus)} />
+                        </div>
+                        <div className="dashboard-panel">
+                            <h3>
+                                Average lifespan (years){' '}
+                                <select
+                                    className="dashboard-select"
+                                    value={lifespanClass}
+                                    onChange={(e) => setLifespanClass(e.target.value)}
+                                    aria-label="Class shown in the lifespan histogram"
+                                >
+                                    <option value="">All classes</option>
+                                    {stats.byClass.map(({ value }) => (
+                                        <option key={value} value={value}>{value}</option>
+                                    ))}
+                                </select>
+                            </h3>
+                            <BarChart
+                                title="Lifespan distribution"
+                                orientation="vertical"
+                                data={toBars(histogram(lifespans[lifespanClass] || []))}
+                            />
+                        </div>
+                        <div className="dashboard-panel">
+                            <h3>Recently added</h3>
+                            {recent.length === 0 ? (
+                                <p>No species yet.</p>
+                            ) : (
+                                <ul className="dashboard-recent">
+                                    {recent.map((s) => (
+                                        <li key={s.species_id}>
+                                            <Link to={`/zoologix/species/${encodeURIComponent(s.species_id)}`}>
+                                                {s.common_name}
+                                            </Link>
+                                            <span>{s.date_added || '—'}</span>
+                                        </li>
+                                    ))}
+                                </ul>
+                            )}
+                        </div>
+                    </div>
+                )}
+            </section>
+
             <section className="content">
                 <h2>Site Features</h2>
                 <p>
@@ -49,6 +223,24 @@ const Home = () => {
                         <Link to="/zoologix/habitats" className="btn">Go</Link>
                     </div>
 
+                    <div className="card">
+                        <h3>Diets</h3>
+                        <p>Browse and maintain the diets species follow.</p>
+                        <Link to="/zoologix/diets" className="btn">Go</Link>
+                    </div>
+
+                    <div className="card">
+                        <h3>Classifications</h3>
+                        <p>Browse and maintain the taxonomic classifications.</p>
+                        <Link to="/zoologix/classifications" className="btn">Go</Link>
+                    </div>
+
+                    <div className="card">
+                        <h3>Taxonomy</h3>
+                        <p>Browse every species as a tree from kingdom to genus.</p>
+                        <Link to="/zoologix/taxonomy" className="btn">Go</Link>
+                    </div>
+
                     <div className="card">
                         <h3>Sub-Collection</h3>
                         <p>Nested resource interaction using REST.</p>
@@ -63,13 +255,13 @@ const Home = () => {
 
                     <div className="card">
                         <h3>Create Records</h3>
-                        <p>Add species or habitat records.</p>
+                        <p>Add species, habitat, diet or classification records.</p>
                         <Link to="/zoologix/create" className="btn">Create</Link>
                     </div>
 
                     <div className="card">
                         <h3>Delete Records</h3>
-                        <p>Remove species or habitat records.</p>
+                        <p>Remove species, habitat, diet or classification records.</p>
                         <Link to="/zoologix/delete" className="btn">Delete</Link>
                     </div>
                 </div>
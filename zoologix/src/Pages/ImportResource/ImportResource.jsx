@@ -0,0 +1,328 @@
+import React, { useEffect, useState } from 'react';
+import Swal from 'sweetalert2';
+import { api } from '../../utils/apiClient';
+import { ERROR_CATEGORIES, parseApiError } from '../../utils/apiError';
+import { RESOURCE_TYPES, toPayload, validateRecord } from '../../utils/resourceForms';
+import { applyMapping, guessMapping, parseImportFile } from '../../utils/importData';
+import { sendInBatches } from '../../utils/batchRequests';
+import './import-resource.css';
+
+/**
+ * Labels and styles of the per-row import results.
+ * @type {Object<string, {label: string, className: string}>}
+ */
+const RESULT_STATUSES = {
+  created: { label: 'Created', className: 'status-created' },
+  duplicate: { label: 'Duplicate', className: 'status-duplicate' },
+  failed: { label: 'Failed', className: 'status-failed' },
+  unknown: { label: 'Status unknown', className: 'status-unknown' },
+  notSent: { label: 'Not sent', className: 'status-skipped' },
+  skipped: { label: 'Skipped (invalid)', className: 'status-skipped' }
+};
+
+/**
+ * Default number of records sent per POST request.
+ * @type {number}
+ */
+const DEFAULT_BATCH_SIZE = 10;
+
+/**
+ * ImportResource Component
+ *
+ * Imports many Habitat or Species records from a CSV or JSON file.
+ * - The file's columns are mapped to the form fields (guessed from names, editable).
+ * - Every row is checked with the same rules as the Create form and previewed with its errors.
+ * - Valid rows are POSTed in batches of a configurable size. If a batch is rejected, its rows are
+ *   retried one by one so the report shows exactly which ones were duplicates (code 23000) or failed.
+ *
+ * @component
+ * @returns {JSX.Element} The import wizard.
+ *
+ * @author `NatBitton54`
+ */
+const ImportResource = () => {
+  const [resourceType, setResourceType] = useState('species');
+  const [fileName, setFileName] = useState('');
+  const [file, setFile] = useState(null);
+  const [mapping, setMapping] = useState({});
+  const [batchSize, setBatchSize] = useState(DEFAULT_BATCH_SIZE);
+  const [importing, setImporting] = useState(false);
+  const [progress, setProgress] = useState({ sent: 0, total: 0 });
+  const [results, setResults] = useState(null);
+
+  const { label, endpoint, idField, fields } = RESOURCE_TYPES[resourceType];
+
+  /**
+   * useEffect - Re-guesses the column mapping when a new file is loaded or the type changes.
+   */
+  useEffect(() => {
+    setMapping(file ? guessMapping(file.columns, fields) : {});
+    setResults(null);
+  }, [file, fields]);
+
+  const records = file ? applyMapping(file.rows, mapping) : [];
+  const rowErrors = records.map((record) => validateRecord(fields, record));
+  const validCount = rowErrors.filter((errors) => Object.keys(errors).length === 0).length;
+
+  /**
+   * handleFileChange
+   *
+   * Reads and parses the chosen CSV or JSON file.
+   *
+   * @async
+   * @param {React.ChangeEvent<HTMLInputElement>} e
+   * @returns {Promise<void>}
+   * @author `NatBitton54`
+   */
+  const handleFileChange = async (e) => {
+    const chosen = e.target.files?.[0];
+    if (!chosen) return;
+
+    try {
+      setFile(parseImportFile(chosen.name, await chosen.text()));
+      setFileName(chosen.name);
+    } catch (err) {
+      setFile(null);
+      setFileName('');
+      e.target.value = '';
+      Swal.fire('Invalid File', err.message, 'error');
+    }
+  };
+
+  /**
+   * describeFailure
+   *
+   * Turns a failed POST into a result entry for one row.
+   *
+   * @param {Error} err - The request error.
+   * @returns {{status: string, message: string}}
+   * @author `NatBitton54`
+   */
+  const describeFailure = (err) => {
+    const apiError = parseApiError(err);
+
+    if (apiError.category === ERROR_CATEGORIES.DUPLICATE) {
+      return { status: 'duplicate', message: 'A record with this ID already exists.' };
+    }
+    if (apiError.hasFieldErrors()) {
+      return {
+        status: 'failed',
+        message: Object.entries(apiError.fieldErrors).map(([field, msg]) => `${field}: ${msg}`).join('; ')
+      };
+    }
+    return { status: 'failed', message: apiError.userMessage };
+  };
+
+  /**
+   * handleImport
+   *
+   * Sends the valid rows in batches (see `sendInBatches`) and records a result for every row.
+   * Invalid rows are skipped. A timed-out batch is reported as "status unknown" rather than
+   * replayed, since the server may have created it, and the rows after it are not sent.
+   *
+   * @async
+   * @returns {Promise<void>}
+   * @author `NatBitton54`
+   */
+  const handleImport = async () => {
+    const report = records.map((record, index) => (
+      Object.keys(rowErrors[index]).length > 0
+        ? { index, id: record[idField], status: 'skipped', message: Object.values(rowErrors[index]).join('; ') }
+        : null
+    ));
+    const pending = records
+      .map((record, index) => ({ record, index }))
+      .filter(({ index }) => !report[index]);
+
+    setImporting(true);
+    setProgress({ sent: 0, total: pending.length });
+
+    const outcomes = await sendInBatches(
+      pending,
+      batchSize,
+      (batch) => api.post(endpoint, batch.map(({ record }) => toPayload(resourceType, record))),
+      (sent, total) => setProgress({ sent, total })
+    );
+
+    outcomes.forEach(({ item: { record, index }, ok, error, unknown, notSent }) => {
+      const id = record[idField];
+      if (ok) {
+        report[index] = { index, id, status: 'created', message: '' };
+      } else if (unknown) {
+        report[index] = { index, id, status: 'unknown', message: 'The request timed out; the record may have been created. Check the list before importing it again.' };
+      } else if (notSent) {
+        report[index] = { index, id, status: 'notSent', message: `The import stopped after an error: ${parseApiError(error).userMessage}` };
+      } else {
+        report[index] = { index, id, ...describeFailure(error) };
+      }
+    });
+
+    setImporting(false);
+    setResults(report);
+
+    const created = report.filter((r) => r.status === 'created').length;
+    const unknown = report.filter((r) => r.status === 'unknown').length;
+    Swal.fire(
+      'Import Finished',
+      `${created} of ${records.length} ${label.toLowerCase()} record(s) created.`
+        + (unknown ? ` ${unknown} record(s) timed out and may have been created.` : ''),
+      created === records.length ? 'success' : unknown ? 'warning' : 'info'
+    );
+  };
+
+  const mappedFields = fields.filter(({ name }) => mapping[name]);
+
+  return (
+    <div className="contain-import">
+      <div className="full-width-header">
+        <h4>Import {label} Records</h4>
+      </div>
+
+      <div className="import-container">
+        <div className="import-step">
+          <h5>1. Choose a file</h5>
+          <select
+            className="form-select"
+            value={resourceType}
+            disabled={importing}
+            onChange={(e) => setResourceType(e.target.value)}
+          >
+            <option value="habitat">Habitat</option>
+            <option value="species">Species</option>
+          </select>
+          <input
+            type="file"
+            className="form-control"
+            accept=".csv,.json,text/csv,application/json"
+            disabled={importing}
+            onChange={handleFileChange}
+          />
+          {fileName && <p className="muted">{fileName}: {records.length} row(s) found.</p>}
+        </div>
+
+        {file && (
+          <div className="import-step">
+            <h5>2. Map columns to fields</h5>
+            <div className="mapping-grid">
+              {fields.map(({ name, label: fieldLabel }) => (
+                <label key={name}>
+                  <span>{fieldLabel}</span>
+                  <select
+                    className="form-select form-select-sm"
+                    value={mapping[name] || ''}
+                    disabled={importing}
+                    onChange={(e) => setMapping({ ...mapping, [name]: e.target.value })}
+                  >
+                    <option value="">-- Not mapped --</option>
+                    {file.columns.map((column) => (
+                      <option key={column} value={column}>{column}</option>
+                    ))}
+                  </select>
+                </label>
+              ))}
+            </div>
+          </div>
+        )}
+
+        {file && (
+          <div className="import-step">
+            <h5>
+              3. Preview <span className="muted">({validCount} valid, {records.length - validCount} with errors)</span>
+            </h5>
+            <div className="table-responsive preview-grid">
+              <table className="table table-sm">
+                <thead>
+                  <tr>
+                    <th>Row</th>
+                    {mappedFields.map(({ name, label: fieldLabel }) => <th key={name}>{fieldLabel}</th>)}
+                    <th>Errors</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {records.map((record, i) => {
+                    const errors = rowErrors[i];
+                    return (
+                      <tr key={i} className={Object.keys(errors).length ? 'row-invalid' : ''}>
+                        <td>{i + 1}</td>
+                        {mappedFields.map(({ name }) => (
+                          <td key={name} className={errors[name] ? 'cell-invalid' : ''} title={errors[name] || ''}>
+                            {record[name]}
+                          </td>
+                        ))}
+                        <td className="error-text">
+                          {Object.entries(errors).map(([field, message]) => (
+                            <div key={field}>{field}: {message}</div>
+                          ))}
+                        </td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        )}
+
+        {file && (
+          <div className="import-step import-actions">
+            <label>
+              Records per request
+              <input
+                type="number"
+                className="form-control form-control-sm"
+                min="1"
+                max="100"
+                value={batchSize}
+                disabled={importing}
+                onChange={(e) => setBatchSize(Math.max(1, parseInt(e.target.value, 10) || 1))}
+              />
+            </label>
+            <button
+              type="button"
+              className="submit-btn"
+              disabled={importing || validCount === 0}
+              onClick={handleImport}
+            >
+              {importing ? `Importing ${progress.sent}/${progress.total}...` : `Import ${validCount} valid row(s)`}
+            </button>
+            {importing && <progress value={progress.sent} max={progress.total || 1} />}
+          </div>
+        )}
+
+        {results && (
+          <div className="import-step">
+            <h5>4. Results</h5>
+            <div className="table-responsive preview-grid">
+              <table className="table table-sm">
+                <thead>
+                  <tr>
+                    <th>Row</th>
+                    <th>{label} ID</th>
+                    <th>Result</th>
+                    <th>Details</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {results.map((result) => (
+                    <tr key={result.index}>
+                      <td>{result.index + 1}</td>
+                      <td>{result.id || '—'}</td>
+                      <td>
+                        <span className={`import-status ${RESULT_STATUSES[result.status].className}`}>
+                          {RESULT_STATUSES[result.status].label}
+                        </span>
+                      </td>
+                      <td>{result.message}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ImportResource;
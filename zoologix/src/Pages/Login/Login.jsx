@@ -0,0 +1,160 @@
+import React, { useEffect, useState } from 'react';
+import Swal from 'sweetalert2';
+import { useLocation, useNavigate } from 'react-router-dom';
+import { api } from '../../utils/apiClient';
+import { LOGIN_ENDPOINT, signIn } from '../../utils/auth';
+import './login.css';
+
+/**
+ * Login Component
+ *
+ * Signs the user in against the species-api and stores the returned bearer token.
+ * - Validates email and password on the client before sending them.
+ * - Sends the user back to the page they tried to open (e.g. Create or Delete) after login.
+ * - Shows a notice when the user was redirected here because their session expired.
+ *
+ * @component
+ * @returns {JSX.Element} The login form.
+ *
+ * @author `NatBitton54`
+ */
+const Login = () => {
+  const [formData, setFormData] = useState({ email: '', password: '' });
+  const [errors, setErrors] = useState({});
+  const [submitting, setSubmitting] = useState(false);
+
+  const navigate = useNavigate();
+  const location = useLocation();
+  const redirectTo = location.state?.from || '/';
+
+  /**
+   * useEffect - Tells the user why they landed here when their session expired.
+   */
+  useEffect(() => {
+    if (location.state?.expired) {
+      Swal.fire('Session Expired', 'Please sign in again to continue.', 'info');
+    }
+  }, [location.state]);
+
+  /**
+   * handleInputChange
+   *
+   * Updates the form state and clears the field's error.
+   *
+   * @param {React.ChangeEvent<HTMLInputElement>} e
+   * @author `NatBitton54`
+   */
+  const handleInputChange = (e) => {
+    const { name, value } = e.target;
+    setFormData({ ...formData, [name]: value });
+    setErrors({ ...errors, [name]: '' });
+  };
+
+  /**
+   * validate
+   *
+   * Checks that an email-like address and a password were entered.
+   *
+   * @function
+   * @returns {boolean} True if the form is valid; false otherwise.
+   * @author `NatBitton54`
+   */
+  const validate = () => {
+    const newErrors = {};
+
+    if (!formData.email.trim()) {
+      newErrors.email = 'This field is required';
+    } else if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(formData.email.trim())) {
+      newErrors.email = 'Please enter a valid email address';
+    }
+
+    if (!formData.password) {
+      newErrors.password = 'This field is required';
+    }
+
+    setErrors(newErrors);
+    return Object.keys(newErrors).length === 0;
+  };
+
+  /**
+   * handleSubmit
+   *
+   * Sends the credentials, stores the token on success and redirects back.
+   *
+   * @param {React.FormEvent<HTMLFormElement>} e
+   * @author `NatBitton54`
+   */
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!validate()) return;
+
+    setSubmitting(true);
+    try {
+      const email = formData.email.trim();
+      const res = await api.post(LOGIN_ENDPOINT, { email, password: formData.password });
+      const token = res?.token || res?.access_token || res?.data?.token;
+
+      if (!token) {
+        throw new Error('The server did not return a token.');
+      }
+
+      signIn(token, res?.user?.email || res?.user?.name || email);
+      Swal.fire('Welcome', `Signed in as ${email}.`, 'success');
+      navigate(redirectTo, { replace: true });
+    } catch (err) {
+      if (err?.statusCode === 401) {
+        Swal.fire('Login Failed', 'Invalid email or password.', 'error');
+      } else {
+        Swal.fire('Error', err?.message || 'Something went wrong.', 'error');
+      }
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="contain-login">
+      <div className="full-width-header">
+        <h4>Sign In</h4>
+      </div>
+
+      <div className="login-container">
+        <form onSubmit={handleSubmit} noValidate>
+          <div className="form-group">
+            <label htmlFor="email">Email</label>
+            <input
+              id="email"
+              type="email"
+              name="email"
+              autoComplete="username"
+              value={formData.email}
+              onChange={handleInputChange}
+              className={errors.email ? 'invalid' : ''}
+            />
+            {errors.email && <span className="error-text">{errors.email}</span>}
+          </div>
+
+          <div className="form-group">
+            <label htmlFor="password">Password</label>
+            <input
+              id="password"
+              type="password"
+              name="password"
+              autoComplete="current-password"
+              value={formData.password}
+              onChange={handleInputChange}
+              className={errors.password ? 'invalid' : ''}
+            />
+            {errors.password && <span className="error-text">{errors.password}</span>}
+          </div>
+
+          <button type="submit" className="submit-btn" disabled={submitting}>
+            {submitting ? 'Signing in...' : 'Sign In'}
+          </button>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default Login;
@@ -0,0 +1,343 @@
+import React, { useEffect, useState } from 'react';
+import Swal from 'sweetalert2';
+import { Link, useLocation, useNavigate } from 'react-router-dom';
+import { api } from '../../utils/apiClient';
+import { useSession } from '../../utils/auth';
+import { readFilters, toFilterQuery } from '../../utils/filterQuery';
+import { nextSort, readSort, toSortParams } from '../../utils/sortQuery';
+import { RESOURCE_TYPES } from '../../utils/resourceForms';
+import { CLASSIFICATION_COLUMNS, DIET_COLUMNS, editColumn } from '../../utils/tableColumns';
+import { readPaging, usePagedList } from '../../utils/usePagedList';
+import Pagination from '../../Components/Pagination';
+import InfiniteScroll from '../../Components/InfiniteScroll';
+import PagingModeToggle from '../../Components/PagingModeToggle';
+import FilterChips from '../../Components/FilterChips';
+import DataTable from '../../Components/DataTable';
+import ExportMenu from '../../Components/ExportMenu';
+import BulkActions from '../../Components/BulkActions';
+import '../Habitats/Habitats.css';
+import './reference-data.css';
+
+/**
+ * Listing settings of each reference collection, keyed like `RESOURCE_TYPES`.
+ * `filters` maps the query params accepted by the endpoint to their labels.
+ * @type {Object<string, {plural: string, title: string, filters: Object<string, string>, columns: Array<object>}>}
+ */
+const REFERENCE_TYPES = {
+    diet: {
+        plural: 'diets',
+        title: 'Diets',
+        filters: {
+            name: 'Name',
+            diet_type: 'Diet Type',
+            food_items: 'Food Items'
+        },
+        columns: [...DIET_COLUMNS, editColumn('diet_id', '/zoologix/diets', 'Edit diet')]
+    },
+    classification: {
+        plural: 'classifications',
+        title: 'Classifications',
+        filters: {
+            kingdom: 'Kingdom',
+            phylum: 'Phylum',
+            class: 'Class',
+            order: 'Order',
+            family: 'Family',
+            genus: 'Genus'
+        },
+        columns: [...CLASSIFICATION_COLUMNS, editColumn('classification_id', '/zoologix/classifications', 'Edit classification')]
+    }
+};
+
+/**
+ * ReferenceData Component
+ *
+ * Lists the reference collections that species point to: `/diets` or `/classifications`.
+ * - Works like the Habitats page: combinable filters shown as chips, server-side sorting,
+ *   pagination or infinite scroll, and every setting kept in the URL.
+ * - Each row links to the Edit page; the Create link opens the Create form on this type.
+ * - Signed-in users can tick rows and delete them in bulk.
+ *
+ * @component
+ * @param {Object} props
+ * @param {'diet'|'classification'} props.resourceType - Collection to list.
+ * @returns {JSX.Element} The listing page.
+ *
+ * @author `NatBitton54`
+ */
+const ReferenceData = ({ resourceType }) => {
+    const [searchName, setSearchName] = useState('');
+    const [filter, setFilter] = useState('');
+    const [selectedIds, setSelectedIds] = useState([]);
+
+    const session = useSession();
+    const navigate = useNavigate();
+    const location = useLocation();
+
+    const { label, endpoint, idField } = RESOURCE_TYPES[resourceType];
+    const { plural, title, filters: filterLabels, columns } = REFERENCE_TYPES[resourceType];
+
+    // The page, page size, filter clauses, sort columns and paging mode all live in the URL
+    const params = new URLSearchParams(location.search);
+    const { page, pageSize, mode } = readPaging(params);
+    const filters = readFilters(params, filterLabels);
+    const sort = readSort(params);
+
+    const { rows: records, loading, totalPages, totalItems, loadMore, reload } = usePagedList(endpoint, {
+        page, pageSize, sort, filters, mode, label: plural
+    });
+
+    /**
+     * useEffect - Clears the row selection when the filters change.
+     */
+    const filterKey = toFilterQuery(filters);
+    useEffect(() => {
+        setSelectedIds([]);
+    }, [filterKey]);
+
+    /**
+     * useEffect - Dynamically loads Bootstrap CSS into the document head.
+     * Removes it on component unmount.
+     */
+    useEffect(() => {
+        const link = document.createElement('link');
+        link.rel = 'stylesheet';
+        link.href = 'https://cdn.jsdelivr.net/npm/bootstrap@5.3.2/dist/css/bootstrap.min.css';
+        document.head.appendChild(link);
+        return () => document.head.removeChild(link);
+    }, []);
+
+    /**
+     * updateURL
+     *
+     * Stores filters, sort, pagination and paging mode in the URL, which triggers a reload.
+     * The current paging mode is kept when none is given.
+     *
+     * @param {{filters?: Object<string, string>, sort?: Array<object>, page: number, pageSize: number, mode?: string}} paramObj
+     * @param {{replace?: boolean}} [options] - `replace` swaps the current history entry instead of adding one.
+     * @author `NatBitton54`
+     */
+    const updateURL = (paramObj, options) => {
+        const query = toFilterQuery(paramObj.filters || {}, {
+            page: paramObj.page,
+            pageSize: paramObj.pageSize,
+            ...toSortParams(paramObj.sort || []),
+            mode: (paramObj.mode || mode) === 'scroll' ? 'scroll' : undefined
+        });
+
+        navigate(`?${query}`, options);
+    };
+
+    /**
+     * handleSearchSubmit
+     *
+     * Adds the chosen field/value as a filter clause, replacing any clause on the same field.
+     *
+     * @param {React.FormEvent<HTMLFormElement>} e
+     * @author `NatBitton54`
+     */
+    const handleSearchSubmit = (e) => {
+        e.preventDefault();
+
+        if (!searchName.trim()) {
+            Swal.fire('Info', 'Please enter a search term to search.', 'info');
+            return;
+        }
+
+        if (!/^[A-Za-z0-9\s\-',]+$/.test(searchName)) {
+            Swal.fire('Invalid input', 'Allowed characters: letters, numbers, spaces, commas, hyphens, apostrophes.', 'info');
+            return;
+        }
+
+        updateURL({ filters: { ...filters, [filter]: searchName.trim() }, sort, page: 1, pageSize });
+        setSearchName('');
+    };
+
+    /**
+     * handleRemoveFilter
+     *
+     * Removes one filter clause and reloads from the first page.
+     *
+     * @param {string} key - Filter param to remove.
+     * @author `NatBitton54`
+     */
+    const handleRemoveFilter = (key) => {
+        const { [key]: _removed, ...rest } = filters;
+        updateURL({ filters: rest, sort, page: 1, pageSize });
+    };
+
+    /**
+     * handleSort
+     *
+     * Updates the sort after a column header click and reloads from the first page.
+     *
+     * @param {string} field - Field of the clicked column.
+     * @param {boolean} multi - True when shift was held, to sort by several columns.
+     * @author `NatBitton54`
+     */
+    const handleSort = (field, multi) => {
+        updateURL({ filters, sort: nextSort(sort, field, multi), page: 1, pageSize });
+    };
+
+    /**
+     * handleClearSearch
+     *
+     * Clears the search input and every filter clause, and reloads from the first page.
+     *
+     * @author `NatBitton54`
+     */
+    const handleClearSearch = () => {
+        setSearchName('');
+        setFilter('');
+        updateURL({ sort, page: 1, pageSize });
+        Swal.fire('Cleared', `Search reset. Displaying all ${plural}.`, 'success');
+    };
+
+    /**
+     * fetchAllRecords
+     *
+     * Loads every record matching the current filters and sort, for exports and "Select all matching".
+     *
+     * @param {AbortSignal} [signal] - Cancels the load.
+     * @param {function} [onProgress] - Receives `{loaded, total, items}` after each page.
+     * @returns {Promise<Array<object>>}
+     * @author `NatBitton54`
+     */
+    const fetchAllRecords = (signal, onProgress) => {
+        const query = toFilterQuery(filters, toSortParams(sort));
+        return api.fetchAll(query ? `${endpoint}?${query}` : endpoint, { signal, onProgress, pageSize: 50 });
+    };
+
+    return (
+        <div className="container-">
+            <div className="full-width-header">
+                <h4>/species-api{endpoint}</h4>
+            </div>
+
+            <form onSubmit={handleSearchSubmit} className="search-form">
+                <div className="search-box">
+                    <input
+                        type="text"
+                        placeholder={filter ? `Add a ${filterLabels[filter].toLowerCase()} filter` : 'Choose a filter first'}
+                        value={searchName}
+                        onChange={(e) => setSearchName(e.target.value)}
+                        disabled={!filter}
+                        required
+                    />
+                    <button type="button" className="icon clear-btn" onClick={handleClearSearch}>
+                        <i className="fas fa-times"></i>
+                    </button>
+                    <button type="submit" className="icon search-btn" title="Add filter">
+                        <i className="fas fa-search"></i>
+                    </button>
+                </div>
+
+                <div className="filter-dropdown" style={{ marginRight: '20px' }}>
+                    <select
+                        className="form-select"
+                        value={filter}
+                        onChange={(e) => setFilter(e.target.value)}
+                        required
+                    >
+                        <option value="">Select Filter</option>
+                        {Object.entries(filterLabels).map(([key, filterLabel]) => (
+                            <option key={key} value={key}>{filterLabel}</option>
+                        ))}
+                    </select>
+                </div>
+            </form>
+
+            <FilterChips
+                filters={filters}
+                labels={filterLabels}
+                onRemove={handleRemoveFilter}
+                onClearAll={handleClearSearch}
+            />
+
+            <div className="reference-actions">
+                <div className="reference-links">
+                    <Link to="#" onClick={(e) => { e.preventDefault(); reload(); }}>
+                        Fetch {title}
+                    </Link>
+                    <Link to="/zoologix/create" state={{ resourceType }}>
+                        <i className="fas fa-plus"></i> New {label.toLowerCase()}
+                    </Link>
+                </div>
+
+                <PagingModeToggle mode={mode} onChange={(newMode) => updateURL({ filters, sort, page, pageSize, mode: newMode })} />
+            </div>
+
+            {session && (
+                <BulkActions
+                    selectedIds={selectedIds}
+                    onSelectionChange={setSelectedIds}
+                    pageCount={records.length}
+                    totalItems={totalItems}
+                    fetchAllIds={async () => (await fetchAllRecords()).map(r => r[idField])}
+                    endpoint={endpoint}
+                    idField={idField}
+                    label={plural}
+                    onDeleted={reload}
+                />
+            )}
+
+            <DataTable
+                tableId={plural}
+                columns={columns}
+                rows={records}
+                rowKey={(r) => r[idField]}
+                selectedKeys={selectedIds}
+                onSelectionChange={session ? setSelectedIds : undefined}
+                sort={sort}
+                onSort={handleSort}
+                emptyMessage={`No ${plural} found.`}
+                toolbar={(visibleColumns) => (
+                    <ExportMenu
+                        columns={visibleColumns}
+                        rows={records}
+                        fetchAllRows={fetchAllRecords}
+                        fileName={plural}
+                    />
+                )}
+            />
+
+            <div
+                className="d-flex justify-content-center align-items-center my-4 position-relative"
+                style={{ width: '100%' }}
+            >
+                {mode === 'scroll' ? (
+                    <InfiniteScroll
+                        hasMore={page < totalPages}
+                        loading={loading}
+                        onLoadMore={loadMore}
+                        loadedCount={records.length}
+                        totalItems={totalItems}
+                    />
+                ) : (
+                    <Pagination
+                        page={page}
+                        totalPages={totalPages}
+                        visiblePages={5}
+                        onPageChange={(newPage) => updateURL({ filters, sort, page: newPage, pageSize })}
+                    />
+                )}
+
+                <div className="position-absolute" style={{ right: '20px' }}>
+                    <select
+                        className="form-select w-auto"
+                        value={pageSize}
+                        onChange={(e) => updateURL({ filters, sort, page: 1, pageSize: parseInt(e.target.value) })}
+                    >
+                        <option value="5">5 per page</option>
+                        <option value="10">10 per page</option>
+                        <option value="20">20 per page</option>
+                    </select>
+                </div>
+            </div>
+
+            <div style={{ marginTop: '50px' }} />
+        </div>
+    );
+};
+
+export default ReferenceData;
@@ -0,0 +1,140 @@
+import React, { useEffect, useState } from 'react';
+import Swal from 'sweetalert2';
+import { Link, useLocation, useNavigate } from 'react-router-dom';
+import { MIN_QUERY_LENGTH, searchAll } from '../../utils/globalSearch';
+import { RequestCancelledError } from '../../utils/fetchWrapper';
+import './search.css';
+
+/**
+ * Matches requested per searched field on the results page.
+ * @type {number}
+ */
+const PAGE_LIMIT = 20;
+
+/**
+ * Search Component
+ *
+ * Full results page of the Navbar search, at `/zoologix/search?q=`.
+ * - Searches species, habitats and diets in parallel (see `searchAll`), with more matches than the dropdown.
+ * - Results are grouped by collection and link to the matching record.
+ * - The query lives in the URL, so results can be bookmarked and shared.
+ *
+ * @component
+ * @returns {JSX.Element} The search results page.
+ *
+ * @author `NatBitton54`
+ */
+const Search = () => {
+  const location = useLocation();
+  const navigate = useNavigate();
+  const query = new URLSearchParams(location.search).get('q')?.trim() || '';
+
+  const [input, setInput] = useState(query);
+  const [groups, setGroups] = useState(null);
+  const [loading, setLoading] = useState(false);
+
+  /**
+   * useEffect - Runs the search whenever the `q` param changes; a newer query cancels the previous one.
+   */
+  useEffect(() => {
+    setInput(query);
+    if (query.length < MIN_QUERY_LENGTH) {
+      setGroups(null);
+      setLoading(false);
+      return undefined;
+    }
+
+    const controller = new AbortController();
+
+    /**
+     * Searches every collection for the current query.
+     *
+     * @returns {Promise<void>}
+     */
+    const runSearch = async () => {
+      setLoading(true);
+      try {
+        setGroups(await searchAll(query, { signal: controller.signal, limit: PAGE_LIMIT }));
+        setLoading(false);
+      } catch (err) {
+        if (err instanceof RequestCancelledError) return;
+
+        setGroups([]);
+        setLoading(false);
+        Swal.fire('Error', `Search failed: ${err.message}`, 'error');
+      }
+    };
+    runSearch();
+
+    return () => controller.abort();
+  }, [query]);
+
+  /**
+   * handleSubmit
+   *
+   * Puts the new query in the URL, which runs the search.
+   *
+   * @param {React.FormEvent<HTMLFormElement>} e
+   * @author `NatBitton54`
+   */
+  const handleSubmit = (e) => {
+    e.preventDefault();
+
+    if (input.trim().length < MIN_QUERY_LENGTH) {
+      Swal.fire('Info', `Please enter at least ${MIN_QUERY_LENGTH} characters.`, 'info');
+      return;
+    }
+    navigate(`?q=${encodeURIComponent(input.trim())}`);
+  };
+
+  const total = (groups || []).reduce((sum, group) => sum + group.results.length, 0);
+
+  return (
+    <div className="contain-search">
+      <div className="full-width-header">
+        <h4>Search</h4>
+      </div>
+
+      <div className="search-page">
+        <form onSubmit={handleSubmit} className="search-page-form">
+          <input
+            type="search"
+            className="form-control"
+            placeholder="Search species, habitats and diets"
+            value={input}
+            onChange={(e) => setInput(e.target.value)}
+          />
+          <button type="submit" className="btn btn-primary">Search</button>
+        </form>
+
+        {loading && <p className="muted">Searching...</p>}
+
+        {!loading && groups && (
+          <p className="muted">
+            {total} result{total === 1 ? '' : 's'} for "{query}"
+          </p>
+        )}
+
+        {!loading && (groups || []).map((group) => (
+          <section key={group.key} className="search-group">
+            <h5>
+              {group.label} <span className="muted">({group.results.length})</span>
+            </h5>
+            {group.error && <p className="error-text">Could not search {group.label.toLowerCase()}: {group.error}</p>}
+            {!group.error && group.results.length === 0 && <p className="muted">No matching {group.label.toLowerCase()}.</p>}
+            <ul>
+              {group.results.map((result) => (
+                <li key={result.id}>
+                  <Link to={result.path}>{result.title}</Link>
+                  <span className="muted">{result.subtitle}</span>
+                </li>
+              ))}
+            </ul>
+          </section>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default Search;
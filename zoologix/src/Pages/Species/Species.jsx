@@ -1,22 +1,72 @@
 import React, { useEffect, useState } from 'react';
 import './Species.css';
 import Swal from 'sweetalert2';
-import { FetchWrapper } from '../../utils/fetchWrapper';
+import { api } from '../../utils/apiClient';
 import { Link, useNavigate, useLocation } from 'react-router-dom';
 import Pagination from '../../Components/Pagination';
+import InfiniteScroll from '../../Components/InfiniteScroll';
+import PagingModeToggle from '../../Components/PagingModeToggle';
+import FilterChips from '../../Components/FilterChips';
+import DataTable from '../../Components/DataTable';
+import ExportMenu from '../../Components/ExportMenu';
+import BulkActions from '../../Components/BulkActions';
+import { useSession } from '../../utils/auth';
+import { readFilters, toFilterQuery } from '../../utils/filterQuery';
+import { nextSort, readSort, toSortParams } from '../../utils/sortQuery';
+import { SPECIES_COLUMNS, editColumn } from '../../utils/tableColumns';
+import { SEARCH_PATTERN, useInstantSearch } from '../../utils/useInstantSearch';
+import { readPaging, usePagedList } from '../../utils/usePagedList';
 
-const api = new FetchWrapper('http://localhost/species-api');
+/**
+ * Filters accepted by `/species`: query param → label.
+ * @type {Object<string, string>}
+ */
+const SPECIES_FILTERS = {
+    name: 'Name',
+    description: 'Description',
+    diet: 'Diet',
+    genus: 'Genus',
+    class: 'Class',
+    order: 'Order'
+};
+
+/**
+ * Filters that get autocomplete suggestions in instant mode: query param → species field holding its values.
+ * @type {Object<string, string>}
+ */
+const SUGGESTION_FIELDS = {
+    name: 'common_name',
+    diet: 'diet_type',
+    genus: 'genus',
+    class: 'class',
+    order: 'order'
+};
+
+/**
+ * Table columns: the shared species columns plus an Edit link.
+ * @type {Array<object>}
+ */
+const COLUMNS = [...SPECIES_COLUMNS, editColumn('species_id', '/zoologix/species', 'Edit species')];
 
 /**
  * Species component
  *
  * Displays a paginated and filterable list of species from the `/species-api/species` endpoint.
  * - Supports filtering by name, description, diet, genus, class, and order.
- * - Allows search queries to be submitted and clears them as needed.
+ * - Several filters can be combined (e.g. diet and class); each one is shown as a removable chip.
+ * - Instant mode searches as you type (by name until another filter is chosen), suggests known
+ *   values of the chosen field, and replaces the history entry instead of adding one per keystroke.
+ * - Clicking a column header sorts by it on the server; shift-click sorts by several columns.
  * - Updates the URL with query parameters for deep linking or browser navigation.
+ * - Each row links to the detail and Edit pages for that species.
+ * - Rendered with the shared DataTable, so columns can be hidden and reordered.
+ * - The Export menu downloads the current page, or every matching species, in the visible columns.
+ * - Signed-in users can tick rows (or every matching species) and delete them in bulk.
  * - Uses SweetAlert2 for friendly error/info feedback and Bootstrap for styling.
  *
  * Pagination is handled using a separate Pagination component, and page size can be changed.
+ * The Infinite scroll mode instead appends the next page as the end of the table scrolls into view
+ * (see `usePagedList`).
  * 
  * @component
  * @returns {JSX.Element} A searchable, paginated table of species data.
@@ -24,41 +74,53 @@ const api = new FetchWrapper('http://localhost/species-api');
  * @author `NatBitton54`
  */
 const Species = () => {
-    const [speciesList, setSpeciesList] = useState([]);
-    const [searchName, setSearchName] = useState('');
-    const [filter, setFilter] = useState('');
-    const [page, setPage] = useState(1);
-    const [pageSize, setPageSize] = useState(5);
-    const [totalPages, setTotalPages] = useState(1);
+    const [selectedIds, setSelectedIds] = useState([]);
+
+    const session = useSession();
 
     const navigate = useNavigate();
     const location = useLocation();
 
+    // The page, page size, filter clauses, sort columns and paging mode all live in the URL
+    const params = new URLSearchParams(location.search);
+    const { page, pageSize, mode } = readPaging(params);
+    const filters = readFilters(params, SPECIES_FILTERS);
+    const sort = readSort(params);
+
+    // In instant mode the URL change reloads the list, which cancels any load still running for an older term
+    const {
+        searchName,
+        setSearchName,
+        filter,
+        setFilter,
+        instant,
+        setInstant,
+        searchField,
+        suggestions,
+        reset: resetSearch
+    } = useInstantSearch('/species', {
+        filters,
+        suggestionFields: SUGGESTION_FIELDS,
+        onApply: (nextFilters) => updateURL({ filters: nextFilters, sort, page: 1, pageSize }, { replace: true })
+    });
+
+    const {
+        rows: speciesList,
+        loading,
+        totalPages,
+        totalItems,
+        loadMore,
+        reload
+    } = usePagedList('/species', { page, pageSize, sort, filters, mode, label: 'species', notifyEmpty: !instant });
+
     /**
-    * useEffect hook that runs when the URL query parameters change.
-    *
-    * - Extracts `page`, `pageSize`, `name`, and `filter` from the URL.
-    * - Updates corresponding state variables.
-    * - Triggers data fetching (`loadSpecies`) using extracted values.
-    *
-    * Dependencies:
-    * - Triggers only when `location.search` changes.
-    * 
-    */
+     * useEffect - Clears the row selection when the filters change, since it may
+     * then hold records that no longer match.
+     */
+    const filterKey = toFilterQuery(filters);
     useEffect(() => {
-        const params = new URLSearchParams(location.search);
-        const queryPage = parseInt(params.get('page')) || 1;
-        const querySize = parseInt(params.get('pageSize')) || 5;
-        const queryName = params.get('name') || '';
-        const queryFilter = params.get('filter') || '';
-
-        setPage(queryPage);
-        setPageSize(querySize);
-        setSearchName(queryName);
-        setFilter(queryFilter);
-
-        loadSpecies(queryPage, querySize, queryName, queryFilter);
-    }, [location.search]);
+        setSelectedIds([]);
+    }, [filterKey]);
 
     useEffect(() => {
         const link = document.createElement('link');
@@ -68,69 +130,34 @@ const Species = () => {
         return () => document.head.removeChild(link);
     }, []);
 
-    /**
-     * Loads species data from the API based on pagination and filter options.
-     *
-     * @async
-     * @function
-     * @param {number} [pageToLoad=page] - The page number to fetch.
-     * @param {number} [size=pageSize] - The number of records per page.
-     * @param {string} [name=searchName] - The value to search/filter by.
-     * @param {string} [filterBy=filter] - The field to apply the filter on.
-     * @returns {Promise<void>}
-     * @author `NatBitton54`
-     */
-    const loadSpecies = async (pageToLoad = page, size = pageSize, name = searchName, filterBy = filter) => {
-        try {
-            let endpoint = `/species?page=${pageToLoad}&pageSize=${size}`;
-
-            const isSearch = name.trim() && filterBy;
-
-            if (isSearch) {
-                endpoint += `&${encodeURIComponent(filterBy)}=${encodeURIComponent(name)}`;
-            }
-
-
-            const response = await api.get(endpoint);
-            const data = response.data || [];
-
-            setSpeciesList(data);
-            setTotalPages(response.metadata?.total_pages || 1);
-
-            // Show alert ONLY when searching and no results found
-            if (isSearch && data.length === 0) {
-                Swal.fire('No Results', 'No records found with the selected search criteria.', 'info');
-            }
-        } catch (error) {
-            Swal.fire('Error', `Could not load species: ${error.message}`, 'error');
-        }
-    };
-
-
     /**
      * Updates the browser's URL with the given query parameters.
      *
      * @function
      * @param {Object} paramsObj - Parameters to include in the query string.
-     * @param {string} [paramsObj.name] - Search term.
-     * @param {string} [paramsObj.filter] - Filter type.
+     * @param {Object<string, string>} [paramsObj.filters] - Filter clauses, one query param each.
+     * @param {Array<{field: string, direction: string}>} [paramsObj.sort] - Sort columns.
      * @param {number} paramsObj.page - Current page.
      * @param {number} paramsObj.pageSize - Number of items per page.
+     * @param {'pages'|'scroll'} [paramsObj.mode] - Paging mode; the current one is kept when none is given.
+     * @param {{replace?: boolean}} [options] - `replace` swaps the current history entry instead of adding one.
      * @author `NatBitton54`
      */
-    const updateURL = (paramsObj) => {
-        const params = new URLSearchParams();
-
-        if (paramsObj.name) params.set('name', paramsObj.name);
-        if (paramsObj.filter) params.set('filter', paramsObj.filter);
-        params.set('page', paramsObj.page);
-        params.set('pageSize', paramsObj.pageSize);
-
-        navigate(`?${params.toString()}`);
+    const updateURL = (paramsObj, options) => {
+        const query = toFilterQuery(paramsObj.filters || {}, {
+            page: paramsObj.page,
+            pageSize: paramsObj.pageSize,
+            ...toSortParams(paramsObj.sort || []),
+            mode: (paramsObj.mode || mode) === 'scroll' ? 'scroll' : undefined
+        });
+
+        navigate(`?${query}`, options);
     };
 
     /**
-     * Handles form submission for filtering/searching species.
+     * Handles form submission: adds the chosen field/value as a filter clause,
+     * replacing any existing clause on the same field. In instant mode it applies
+     * the term right away and keeps it in the input.
      *
      * @async
      * @function
@@ -145,28 +172,76 @@ const Species = () => {
             return Swal.fire('Info', 'Please enter a search term to search.', 'info');
         }
 
-        const validPattern = /^[A-Za-z0-9\s\-']+$/;
-        if (!validPattern.test(searchName)) {
+        if (!SEARCH_PATTERN.test(searchName)) {
             return Swal.fire('Invalid input', 'Allowed characters: letters, numbers, spaces, hyphens, apostrophes.', 'info');
         }
 
-        updateURL({ name: searchName, filter, page: 1, pageSize });
+        updateURL({ filters: { ...filters, [searchField]: searchName.trim() }, sort, page: 1, pageSize }, { replace: instant });
+        if (!instant) setSearchName('');
+    };
+
+    /**
+     * Removes one filter clause and reloads from the first page.
+     *
+     * @function
+     * @param {string} key - Filter param to remove.
+     * @author `NatBitton54`
+     */
+    const handleRemoveFilter = (key) => {
+        const { [key]: _removed, ...rest } = filters;
+        if (instant && key === searchField) setSearchName('');
+        updateURL({ filters: rest, sort, page: 1, pageSize });
     };
 
     /**
-     * Clears the current search input and filter, resets pagination, and updates the URL.
+     * Handles a click on a column header: updates the sort and reloads from the first page.
+     *
+     * @function
+     * @param {string} field - Field of the clicked column.
+     * @param {boolean} multi - True when shift was held, to sort by several columns.
+     * @author `NatBitton54`
+     */
+    const handleSort = (field, multi) => {
+        updateURL({ filters, sort: nextSort(sort, field, multi), page: 1, pageSize });
+    };
+
+    /**
+     * Clears the search input and every filter clause, resets pagination, and updates the URL.
      *
      * @function
      * @author `NatBitton54`
      */
     const handleClear = () => {
-        setSearchName('');
-        setFilter('');
-        setPage(1);
-        updateURL({ page: 1, pageSize });
+        resetSearch();
+        updateURL({ sort, page: 1, pageSize });
         Swal.fire('Cleared', 'Search reset. Displaying all species.', 'success');
     };
 
+    /**
+     * Loads every species matching the current filters and sort, for "All matching" exports.
+     *
+     * @async
+     * @function
+     * @param {AbortSignal} signal - Cancels the export.
+     * @param {function} onProgress - Receives `{loaded, total, items}` after each page.
+     * @returns {Promise<Array<object>>}
+     * @author `NatBitton54`
+     */
+    const fetchAllSpecies = (signal, onProgress) => {
+        const query = toFilterQuery(filters, toSortParams(sort));
+        return api.fetchAll(query ? `/species?${query}` : '/species', { signal, onProgress, pageSize: 50 });
+    };
+
+    /**
+     * Loads the IDs of every species matching the current filters, for "Select all matching".
+     *
+     * @async
+     * @function
+     * @returns {Promise<string[]>}
+     * @author `NatBitton54`
+     */
+    const fetchAllIds = async () => (await fetchAllSpecies()).map(s => s.species_id);
+
     /**
      * Handles pagination changes triggered by the Pagination component.
      *
@@ -175,8 +250,7 @@ const Species = () => {
      * @author `NatBitton54`
      */
     const handlePageChange = (newPage) => {
-        setPage(newPage);
-        updateURL({ name: searchName, filter, page: newPage, pageSize });
+        updateURL({ filters, sort, page: newPage, pageSize });
     };
 
     /**
@@ -187,11 +261,25 @@ const Species = () => {
      * @author `NatBitton54`
      */
     const handlePageSizeChange = (newSize) => {
-        setPageSize(newSize);
-        setPage(1);
-        updateURL({ name: searchName, filter, page: 1, pageSize: newSize });
+        updateURL({ filters, sort, page: 1, pageSize: newSize });
     };
 
+    /**
+     * Switches between numbered pages and infinite scroll, keeping the current page:
+     * infinite scroll then shows every page up to it.
+     *
+     * @function
+     * @param {'pages'|'scroll'} newMode - Paging mode to use.
+     * @author `NatBitton54`
+     */
+    const handleModeChange = (newMode) => {
+        updateURL({ filters, sort, page, pageSize, mode: newMode });
+    };
+
+    const placeholder = instant
+        ? `Search by ${SPECIES_FILTERS[searchField].toLowerCase()}`
+        : filter ? `Add a ${SPECIES_FILTERS[filter].toLowerCase()} filter` : 'Choose a filter first';
+
     return (
         <div className="container-">
             <div className="full-width-header">
@@ -202,18 +290,26 @@ const Species = () => {
                 <div className="search-box">
                     <input
                         type="text"
-                        placeholder={filter ? `Search by ${filter}` : "Choose a filter first"}
+                        placeholder={placeholder}
                         value={searchName}
                         onChange={(e) => setSearchName(e.target.value)}
-                        disabled={!filter}
+                        disabled={!searchField}
                         required
+                        list={instant ? 'species-suggestions' : undefined}
+                        autoComplete="off"
+                        aria-invalid={Boolean(searchName.trim()) && !SEARCH_PATTERN.test(searchName)}
                     />
                     <button type="button" className="icon clear-btn" onClick={handleClear}>
                         <i className="fas fa-times"></i>
                     </button>
-                    <button type="submit" className="icon search-btn">
+                    <button type="submit" className="icon search-btn" title="Add filter">
                         <i className="fas fa-search"></i>
                     </button>
+                    {instant && (
+                        <datalist id="species-suggestions">
+                            {suggestions.map((value) => <option key={value} value={value} />)}
+                        </datalist>
+                    )}
                 </div>
 
                 <div className="filter-dropdown" style={{ marginRight: '20px' }}>
@@ -221,81 +317,94 @@ const Species = () => {
                         className="form-select"
                         value={filter}
                         onChange={(e) => setFilter(e.target.value)}
-                        required
+                        required={!instant}
                     >
                         <option value="">Select Filter</option>
-                        <option value="name">Name</option>
-                        <option value="description">Description</option>
-                        <option value="diet">Diet</option>
-                        <option value="genus">Genus</option>
-                        <option value="class">Class</option>
-                        <option value="order">Order</option>
+                        {Object.entries(SPECIES_FILTERS).map(([key, label]) => (
+                            <option key={key} value={key}>{label}</option>
+                        ))}
                     </select>
                 </div>
+
+                <label className="instant-toggle" title="Search as you type">
+                    <input
+                        type="checkbox"
+                        checked={instant}
+                        onChange={(e) => setInstant(e.target.checked)}
+                    />
+                    Instant
+                </label>
             </form>
 
-            <Link to="#" className="fetch-species" onClick={(e) => { e.preventDefault(); loadSpecies(); }}>
-                Fetch Species
-            </Link>
-
-            <div className="table-responsive">
-                <table className="table table-striped">
-                    <thead>
-                        <tr>
-                            {[
-                                'Species ID', 'Common Name', 'Description', 'Name of Offspring', 'Group Behaviour',
-                                'Gestation Period', 'Breeding Season', 'Number of Offspring', 'Average Lifespan',
-                                'Date Added', 'Diet ID','Habitat ID', 'Classification ID', 'Name', 'Diet Type',
-                                'Food Items', 'Kingdom', 'Phylum', 'Class', 'Order', 'Family', 'Genus', 'Status Code'
-                            ].map((header, i) => <th key={i}>{header}</th>)}
-                        </tr>
-                    </thead>
-                    <tbody>
-                        {speciesList.length === 0 ? (
-                            <tr>
-                                <td colSpan="21" className="not-found">No species found</td>
-                            </tr>
-                        ) : speciesList.map((s, i) => (
-                            <tr key={i}>
-                                <td>{s.species_id}</td>
-                                <td>{s.common_name}</td>
-                                <td>{s.description}</td>
-                                <td>{s.name_of_offspring}</td>
-                                <td>{s.group_behaviour}</td>
-                                <td>{s.gestation_period}</td>
-                                <td>{s.breeding_season}</td>
-                                <td>{s.num_of_offspring}</td>
-                                <td>{s.average_lifespan}</td>
-                                <td>{s.date_added}</td>
-                                <td>{s.diet_id}</td>
-                                <td>{s.habitat_id}</td>
-                                <td>{s.classification_id}</td>
-                                <td>{s.name}</td>
-                                <td>{s.diet_type}</td>
-                                <td>{s.food_items}</td>
-                                <td>{s.kingdom}</td>
-                                <td>{s.phylum}</td>
-                                <td>{s.class}</td>
-                                <td>{s.order}</td>
-                                <td>{s.family}</td>
-                                <td>{s.genus}</td>
-                                <td>{s.status_code}</td>
-                            </tr>
-                        ))} 
-                    </tbody>
-                </table>
+            <FilterChips
+                filters={filters}
+                labels={SPECIES_FILTERS}
+                onRemove={handleRemoveFilter}
+                onClearAll={handleClear}
+            />
+
+            <div className="species-actions">
+                <Link to="#" className="fetch-species" onClick={(e) => { e.preventDefault(); reload(); }}>
+                    Fetch Species
+                </Link>
+
+                <PagingModeToggle mode={mode} onChange={handleModeChange} />
             </div>
 
+            {session && (
+                <BulkActions
+                    selectedIds={selectedIds}
+                    onSelectionChange={setSelectedIds}
+                    pageCount={speciesList.length}
+                    totalItems={totalItems}
+                    fetchAllIds={fetchAllIds}
+                    endpoint="/species"
+                    idField="species_id"
+                    label="species"
+                    onDeleted={reload}
+                />
+            )}
+
+            <DataTable
+                tableId="species"
+                columns={COLUMNS}
+                rows={speciesList}
+                rowKey={(s) => s.species_id}
+                selectedKeys={selectedIds}
+                onSelectionChange={session ? setSelectedIds : undefined}
+                sort={sort}
+                onSort={handleSort}
+                emptyMessage="No species found"
+                toolbar={(visibleColumns) => (
+                    <ExportMenu
+                        columns={visibleColumns}
+                        rows={speciesList}
+                        fetchAllRows={fetchAllSpecies}
+                        fileName="species"
+                    />
+                )}
+            />
+
             <div
                 className="d-flex justify-content-center align-items-center my-4 position-relative"
                 style={{ width: '100%' }}
             >
-                <Pagination
-                    page={page}
-                    totalPages={totalPages}
-                    visiblePages={5}
-                    onPageChange={handlePageChange}
-                />
+                {mode === 'scroll' ? (
+                    <InfiniteScroll
+                        hasMore={page < totalPages}
+                        loading={loading}
+                        onLoadMore={loadMore}
+                        loadedCount={speciesList.length}
+                        totalItems={totalItems}
+                    />
+                ) : (
+                    <Pagination
+                        page={page}
+                        totalPages={totalPages}
+                        visiblePages={5}
+                        onPageChange={handlePageChange}
+                    />
+                )}
 
                 <div className="position-absolute" style={{ right: '20px' }}>
                     <select
@@ -0,0 +1,240 @@
+import React, { useEffect, useState } from 'react';
+import Swal from 'sweetalert2';
+import { Link, useParams } from 'react-router-dom';
+import { api, fetchRecord } from '../../utils/apiClient';
+import { ERROR_CATEGORIES, parseApiError } from '../../utils/apiError';
+import { describeStatus } from '../../utils/conservationStatus';
+import './species-detail.css';
+
+/**
+ * Field groups shown on the profile card, in display order.
+ * @type {Array<{title: string, icon: string, fields: Array<[string, string]>}>}
+ */
+const FIELD_GROUPS = [
+  {
+    title: 'Biology',
+    icon: 'fa-dna',
+    fields: [
+      ['name_of_offspring', 'Name of Offspring'],
+      ['group_behaviour', 'Group Behaviour'],
+      ['gestation_period', 'Gestation Period'],
+      ['breeding_season', 'Breeding Season'],
+      ['num_of_offspring', 'Number of Offspring'],
+      ['average_lifespan', 'Average Lifespan']
+    ]
+  },
+  {
+    title: 'Taxonomy',
+    icon: 'fa-sitemap',
+    fields: [
+      ['kingdom', 'Kingdom'],
+      ['phylum', 'Phylum'],
+      ['class', 'Class'],
+      ['order', 'Order'],
+      ['family', 'Family'],
+      ['genus', 'Genus']
+    ]
+  },
+  {
+    title: 'Diet',
+    icon: 'fa-utensils',
+    fields: [
+      ['diet_id', 'Diet ID'],
+      ['name', 'Diet Name'],
+      ['diet_type', 'Diet Type'],
+      ['food_items', 'Food Items']
+    ]
+  }
+];
+
+/**
+ * How many related species to show per list.
+ * @type {number}
+ */
+const RELATED_LIMIT = 8;
+
+/**
+ * SpeciesDetail Component
+ *
+ * Shows one species from `/species/:id` as a profile card instead of a 23-column table row.
+ * - Groups biology, taxonomy and diet fields, and badges the conservation `status_code`.
+ * - Links to the species' habitat and to other species sharing its genus or habitat.
+ *
+ * @component
+ * @returns {JSX.Element} The species profile page.
+ *
+ * @author `NatBitton54`
+ */
+const SpeciesDetail = () => {
+  const [species, setSpecies] = useState(null);
+  const [sameGenus, setSameGenus] = useState([]);
+  const [sameHabitat, setSameHabitat] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  const { id } = useParams();
+
+  /**
+   * useEffect - Loads the species and its related species whenever the ID changes.
+   * Navigating to a related species cancels the previous page's requests.
+   */
+  useEffect(() => {
+    /**
+     * loadSpecies
+     *
+     * Fetches the species, then the species sharing its genus and its habitat.
+     * Related lists are best-effort: if they fail the profile is still shown.
+     *
+     * @async
+     * @function
+     * @param {AbortSignal} signal - Cancels the requests when the ID changes.
+     * @returns {Promise<void>}
+     * @author `NatBitton54`
+     */
+    const loadSpecies = async (signal) => {
+      setLoading(true);
+      setSameGenus([]);
+      setSameHabitat([]);
+      try {
+        const record = await fetchRecord('/species', id, { signal });
+        setSpecies(record);
+        setLoading(false);
+
+        const others = (res) => (res?.data || []).filter((s) => s.species_id !== record.species_id).slice(0, RELATED_LIMIT);
+        const [genusRes, habitatRes] = await Promise.allSettled([
+          record.genus
+            ? api.get(`/species?genus=${encodeURIComponent(record.genus)}&page=1&pageSize=${RELATED_LIMIT + 1}`, {}, { signal })
+            : Promise.resolve(null),
+          record.habitat_id
+            ? api.get(`/habitats/${encodeURIComponent(record.habitat_id)}/species?page=1&pageSize=${RELATED_LIMIT + 1}`, {}, { signal })
+            : Promise.resolve(null)
+        ]);
+
+        if (signal.aborted) return;
+        setSameGenus(genusRes.status === 'fulfilled' ? others(genusRes.value) : []);
+        setSameHabitat(habitatRes.status === 'fulfilled' ? others(habitatRes.value) : []);
+      } catch (err) {
+        const apiError = parseApiError(err);
+        if (apiError.category === ERROR_CATEGORIES.CANCELLED) return;
+
+        setSpecies(null);
+        setLoading(false);
+        Swal.fire('Error', `Could not load species ${id}: ${apiError.userMessage}`, 'error');
+      }
+    };
+
+    const controller = new AbortController();
+    loadSpecies(controller.signal);
+
+    return () => controller.abort();
+  }, [id]);
+
+  /**
+   * Renders a list of related species as links to their own profile.
+   *
+   * @param {string} title - Heading of the list.
+   * @param {Array<object>} list - Related species.
+   * @returns {JSX.Element}
+   */
+  const renderRelated = (title, list) => (
+    <div className="related-list">
+      <h6>{title}</h6>
+      {list.length === 0 ? (
+        <p className="muted">None found.</p>
+      ) : (
+        <ul>
+          {list.map((s) => (
+            <li key={s.species_id}>
+              <Link to={`/zoologix/species/${encodeURIComponent(s.species_id)}`}>
+                {s.common_name} <span className="muted">({s.species_id})</span>
+              </Link>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+
+  const status = describeStatus(species?.status_code);
+
+  return (
+    <div className="contain-species-detail">
+      <div className="full-width-header">
+        <h4>/species-api/species/{id}</h4>
+      </div>
+
+      <div className="species-detail">
+        <Link to="/zoologix/species" className="back-link">
+          <i className="fas fa-arrow-left"></i> Back to species
+        </Link>
+
+        {loading && <p className="muted">Loading species...</p>}
+
+        {!loading && !species && <p className="muted">No species found with ID {id}.</p>}
+
+        {!loading && species && (
+          <div className="profile-card">
+            <div className="profile-header">
+              <div>
+                <h2>{species.common_name}</h2>
+                <p className="scientific-name">
+                  {[species.genus, species.family].filter(Boolean).join(' · ')}
+                </p>
+              </div>
+              <span
+                className="status-badge"
+                style={{ backgroundColor: status.color }}
+                title={status.label}
+              >
+                {status.code} · {status.label}
+              </span>
+            </div>
+
+            <p className="profile-description">{species.description}</p>
+
+            <div className="profile-meta">
+              <span><strong>ID:</strong> {species.species_id}</span>
+              <span>
+                <strong>Habitat:</strong>{' '}
+                {species.habitat_id ? (
+                  <Link to={`/zoologix/habitats/${encodeURIComponent(species.habitat_id)}`}>
+                    {species.habitat_id}
+                  </Link>
+                ) : '—'}
+              </span>
+              <span><strong>Classification:</strong> {species.classification_id || '—'}</span>
+              <span><strong>Date Added:</strong> {species.date_added || '—'}</span>
+              <Link to={`/zoologix/species/${encodeURIComponent(species.species_id)}/edit`} className="edit-link">
+                <i className="fas fa-pen"></i> Edit
+              </Link>
+            </div>
+
+            <div className="profile-groups">
+              {FIELD_GROUPS.map(({ title, icon, fields }) => (
+                <section key={title} className="profile-group">
+                  <h5><i className={`fas ${icon}`}></i> {title}</h5>
+                  <dl>
+                    {fields.map(([field, label]) => (
+                      <React.Fragment key={field}>
+                        <dt>{label}</dt>
+                        <dd>{species[field] ?? '—'}</dd>
+                      </React.Fragment>
+                    ))}
+                  </dl>
+                </section>
+              ))}
+            </div>
+
+            <div className="profile-related">
+              {renderRelated(`Other species in genus ${species.genus || '—'}`, sameGenus)}
+              {renderRelated(`Other species in habitat ${species.habitat_id || '—'}`, sameHabitat)}
+            </div>
+          </div>
+        )}
+      </div>
+
+      <div style={{ marginTop: '50px' }} />
+    </div>
+  );
+};
+
+export default SpeciesDetail;
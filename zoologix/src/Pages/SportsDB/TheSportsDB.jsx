@@ -3,12 +3,49 @@ import './the-sports-db.css';
 import Swal from 'sweetalert2';
 import { FetchWrapper } from '../../utils/fetchWrapper';
 import { Link, useNavigate, useLocation } from 'react-router-dom';
+import DataTable from '../../Components/DataTable';
+import ExportMenu from '../../Components/ExportMenu';
 
 const api = new FetchWrapper('https://www.thesportsdb.com/api/v1/json/3');
 
+/**
+ * Renders a league field, or a dash when TheSportsDB has no value for it.
+ *
+ * @param {string} key - League field.
+ * @returns {function(object): string}
+ */
+const orDash = (key) => (league) => league[key] || '—';
+
+/**
+ * Table columns for the leagues returned by `search_all_leagues.php`.
+ * @type {Array<object>}
+ */
+const LEAGUE_COLUMNS = [
+    { key: 'idLeague', label: 'League ID', hideable: false },
+    { key: 'strSport', label: 'League Sport', render: orDash('strSport') },
+    { key: 'strCountry', label: 'Country', render: orDash('strCountry') },
+    { key: 'strLeague', label: 'League Name', render: orDash('strLeague') },
+    { key: 'intFormedYear', label: 'Year Formed', render: orDash('intFormedYear') },
+    { key: 'strGender', label: 'League Gender', render: orDash('strGender') },
+    { key: 'strDescriptionEN', label: 'Description', render: orDash('strDescriptionEN') },
+    {
+        key: 'strBadge',
+        label: 'Badge',
+        render: (league) => (league.strBadge ? (
+            <img
+                src={league.strBadge}
+                alt="League Badge"
+                style={{ width: '50px', height: '50px', objectFit: 'contain' }}
+            />
+        ) : '—')
+    }
+];
+
 /**
  * TheSportsDB component allows users to search and view sports leagues
  * by country or sport using TheSportsDB public API.
+ * Results are shown in the shared DataTable, so columns can be hidden and reordered,
+ * and can be exported (the search returns every league at once, so there is no "All matching").
  *
  * @component
  * @author `NatBitton54`
@@ -199,47 +236,16 @@ const TheSportsDB = () => {
             </Link>
 
             {/* Result Table */}
-            <div className="table-responsive">
-                <table className="table table-striped">
-                    <thead>
-                        <tr>
-                            <th>League ID</th>
-                            <th>League Sport</th>
-                            <th>Country</th>
-                            <th>League Name</th>
-                            <th>Year Formed</th>
-                            <th>League Gender</th>
-                            <th>Description</th>
-                            <th>Badge</th>
-                        </tr>
-                    </thead>
-                    <tbody>
-                        {sportsList.map((league) => (
-                            <tr key={league.idLeague}>
-                                <td>{league.idLeague}</td>
-                                <td>{league.strSport || '—'}</td>
-                                <td>{league.strCountry || '—'}</td>
-                                <td>{league.strLeague || '—'}</td>
-                                <td>{league.intFormedYear || '—'}</td>
-                                <td>{league.strGender || '—'}</td>
-                                <td>{league.strDescriptionEN || '—'}</td>
-                                <td>
-                                    {league.strBadge ? (
-                                        <img
-                                            src={league.strBadge}
-                                            alt="League Badge"
-                                            style={{ width: '50px', height: '50px', objectFit: 'contain' }}
-                                        />
-                                    ) : '—'}
-                                </td>
-                            </tr>
-                        ))}
-                        {searchInitiated && sportsList.length === 0 && (
-                            <tr><td colSpan="8" className="text-center">No results found.</td></tr>
-                        )}
-                    </tbody>
-                </table>
-            </div>
+            <DataTable
+                tableId="sports-leagues"
+                columns={LEAGUE_COLUMNS}
+                rows={sportsList}
+                rowKey={(league) => league.idLeague}
+                emptyMessage={searchInitiated ? 'No results found.' : null}
+                toolbar={(visibleColumns) => (
+                    <ExportMenu columns={visibleColumns} rows={sportsList} fileName="sports-leagues" />
+                )}
+            />
         </div>
     );
 };
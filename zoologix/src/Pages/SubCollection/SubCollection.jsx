@@ -1,19 +1,28 @@
 import React, { use, useEffect, useState } from 'react'
 import Swal from 'sweetalert2';
-import { FetchWrapper } from '../../utils/fetchWrapper';
+import { api } from '../../utils/apiClient';
 import { useLocation, useNavigate } from 'react-router-dom';
 import Pagination from '../../Components/Pagination';
+import InfiniteScroll from '../../Components/InfiniteScroll';
+import PagingModeToggle from '../../Components/PagingModeToggle';
+import DataTable from '../../Components/DataTable';
+import ExportMenu from '../../Components/ExportMenu';
+import { nextSort, readSort, toSortParams } from '../../utils/sortQuery';
+import { SPECIES_COLUMNS } from '../../utils/tableColumns';
+import { readPaging, usePagedList } from '../../utils/usePagedList';
 import './sub-collection.css';
 
-const api = new FetchWrapper('http://localhost/species-api');
-
 /**
  * SubCollection component
  *
  * Displays a paginated list of species filtered by selected habitat.
  * - Loads all available habitat IDs for dropdown selection.
  * - Fetches species records belonging to the selected habitat.
- * - Supports pagination and page size adjustments.
+ * - Supports pagination and page size adjustments, or infinite scroll (see `usePagedList`).
+ * - Clicking a column header sorts by it on the server; shift-click sorts by several columns.
+ * - The habitat, page, page size, sort and paging mode are kept in the URL for deep linking.
+ * - Uses the same species columns as the Species page via the shared DataTable.
+ * - The Export menu downloads the current page, or every species of the habitat.
  *
  * Uses:
  * - FetchWrapper for API requests
@@ -27,37 +36,32 @@ const api = new FetchWrapper('http://localhost/species-api');
  */
 function SubCollection() {
   const [habitatsId, setHabitatsId] = useState([]);
-  const [selectedHabitatId, setSelectedHabitatId] = useState('');
-  const [speciesList, setSpeciesList] = useState([]);
-  const [page, setPage] = useState(1);
-  const [pageSize, setPageSize] = useState(5);
-  const [totalPages, setTotalPages] = useState(1);
 
   const navigate = useNavigate();
   const location = useLocation();
 
+  // The habitat, page, page size, sort and paging mode all live in the URL
+  const params = new URLSearchParams(location.search);
+  const selectedHabitatId = params.get('habitat') || '';
+  const { page, pageSize, mode } = readPaging(params);
+  const sort = readSort(params);
+
+  const { rows: speciesList, loading, totalPages, totalItems, loadMore } = usePagedList(
+    selectedHabitatId ? `/habitats/${selectedHabitatId}/species` : null,
+    { page, pageSize, sort, mode, label: 'sub collection' }
+  );
+
   /**
-   * On component mount or URL change:
-   * - Fetch all habitat IDs.
-   * - If URL has habitat, page, or pageSize, trigger a filtered data load.
+   * On component mount: fetch all habitat IDs for the dropdown.
    *
    * @returns {void}
    */
   useEffect(() => {
     fetchHabitatsId();
-    const params = new URLSearchParams(location.search);
-    const habitat = params.get('habitat') || '';
-    const page = parseInt(params.get('page')) || 1;
-    const size = parseInt(params.get('pageSize')) || 5;
-
-    if (habitat) {
-      setSelectedHabitatId(habitat);
-      loadSubCollection(habitat, page, size);
-    }
-  }, [location.search]);
+  }, []);
 
   /**
-   * Fetches all habitat IDs across paginated API responses and sets them to state.
+   * Fetches all habitat IDs across paginated API responses (via `api.fetchAll`) and sets them to state.
    *
    * @async
    * @function
@@ -66,17 +70,7 @@ function SubCollection() {
    */
   const fetchHabitatsId = async () => {
     try {
-      let allData = [];
-      let page = 1
-      let totalPages = 1;
-
-      do {
-        const res = await api.get(`/habitats?page=${page}&pageSize=20`);
-        allData = [...allData, ...res.data];
-        totalPages = res.metadata?.total_pages || 1;
-        page++;
-      } while (page <= totalPages);
-
+      const allData = await api.fetchAll('/habitats');
       const ids = [...new Set(allData.map(habitat => habitat.habitat_id))];
       setHabitatsId(ids);
     } catch (error) {
@@ -85,30 +79,30 @@ function SubCollection() {
   }
 
   /**
-  * Loads species data for a specific habitat ID with optional pagination parameters.
+  * Updates the browser's URL with the given parameters, which triggers a reload.
   *
-  * @async
   * @function
-  * @param {string} habitatId - The habitat ID to filter by.
-  * @param {number} [pg=page] - The page number to fetch.
-  * @param {number} [size=pageSize] - The number of records per page.
-  * @returns {Promise<void>}
+  * @param {Object} paramsObj - Parameters to include in the query string.
+  * @param {string} [paramsObj.habitat] - Selected habitat ID.
+  * @param {number} paramsObj.page - Current page.
+  * @param {number} paramsObj.pageSize - Number of items per page.
+  * @param {Array<{field: string, direction: string}>} [paramsObj.sort] - Sort columns.
+  * @param {'pages'|'scroll'} [paramsObj.mode] - Paging mode; the current one is kept when none is given.
+  * @param {{replace?: boolean}} [options] - `replace` swaps the current history entry instead of adding one.
+  * @returns {void}
   * @author `NatBitton54`
   */
-  const loadSubCollection = async (habitatId, pg = page, size = pageSize) => {
-    try {
-      const endPoint = `/habitats/${habitatId}/species?page=${pg}&pageSize=${size}`;
-      const res = await api.get(endPoint);
-      const data = res.data || [];
+  const updateURL = ({ habitat, page, pageSize, sort = [], mode: pagingMode = mode }, options) => {
+    const params = new URLSearchParams();
 
-      setSpeciesList(data);
-      setTotalPages(res.metadata?.total_pages || 1);
-      setPage(pg);
-      setPageSize(size);
-    } catch (error) {
-      Swal.fire('Error', 'Failed to load sub collection.', 'error');
-    }
-  }
+    if (habitat) params.set('habitat', habitat);
+    params.set('page', page);
+    params.set('pageSize', pageSize);
+    Object.entries(toSortParams(sort)).forEach(([key, value]) => params.set(key, value));
+    if (pagingMode === 'scroll') params.set('mode', 'scroll');
+
+    navigate(`?${params.toString()}`, options);
+  };
 
   /**
  * Handles habitat ID dropdown changes and triggers a fresh species fetch.
@@ -119,15 +113,25 @@ function SubCollection() {
  * @author `NatBitton54`
  */
   const handleHabitatChange = (e) => {
-    const habitatId = e.target.value;
-    setSelectedHabitatId(habitatId);
-    if (habitatId) {
-      loadSubCollection(habitatId, 1, pageSize);
-    } else {
-      loadSubCollection([]);
-    }
+    updateURL({ habitat: e.target.value, page: 1, pageSize, sort });
   }
 
+  /**
+  * Loads every species of the selected habitat in the current sort, for "All matching" exports.
+  *
+  * @async
+  * @function
+  * @param {AbortSignal} signal - Cancels the export.
+  * @param {function} onProgress - Receives `{loaded, total, items}` after each page.
+  * @returns {Promise<Array<object>>}
+  * @author `NatBitton54`
+  */
+  const fetchAllHabitatSpecies = (signal, onProgress) => {
+    const query = new URLSearchParams(toSortParams(sort)).toString();
+    const endPoint = `/habitats/${selectedHabitatId}/species`;
+    return api.fetchAll(query ? `${endPoint}?${query}` : endPoint, { signal, onProgress, pageSize: 50 });
+  };
+
   /**
   * Handles pagination page change triggered from Pagination component.
   *
@@ -137,8 +141,7 @@ function SubCollection() {
   * @author `NatBitton54`
   */
   const handlePageChange = (newPage) => {
-    setPage(newPage);
-    loadSubCollection(selectedHabitatId, newPage, pageSize);
+    updateURL({ habitat: selectedHabitatId, page: newPage, pageSize, sort });
   };
 
   /**
@@ -150,9 +153,20 @@ function SubCollection() {
   * @author `NatBitton54`
   */
   const handlePageSizeChange = (newSize) => {
-    setPageSize(newSize);
-    setPage(1);
-    loadSubCollection(selectedHabitatId, 1, newSize);
+    updateURL({ habitat: selectedHabitatId, page: 1, pageSize: newSize, sort });
+  };
+
+  /**
+  * Handles a click on a column header: updates the sort and reloads from the first page.
+  *
+  * @function
+  * @param {string} field - Field of the clicked column.
+  * @param {boolean} multi - True when shift was held, to sort by several columns.
+  * @returns {void}
+  * @author `NatBitton54`
+  */
+  const handleSort = (field, multi) => {
+    updateURL({ habitat: selectedHabitatId, page: 1, pageSize, sort: nextSort(sort, field, multi) });
   };
 
   return (
@@ -180,67 +194,50 @@ function SubCollection() {
 
       {selectedHabitatId && speciesList.length > 0 && (
         <>
-          <div className="table-responsive">
-            <table className="table table-striped">
-              <thead>
-                <tr>
-                  {[
-                    'Species ID', 'Common Name', 'Description', 'Name of Offspring', 'Group Behaviour',
-                    'Gestation Period', 'Breeding Season', 'Number of Offspring', 'Average Lifespan',
-                    'Date Added', 'Diet ID', 'Habitat ID', 'Classification ID', 'Name', 'Diet Type',
-                    'Food Items', 'Kingdom', 'Phylum', 'Class', 'Order', 'Family', 'Genus', 'Status Code'
-                  ].map((header, i) => <th key={i}>{header}</th>)}
-                </tr>
-              </thead>
-              <tbody>
-                {speciesList.length === 0 ? (
-                  <tr>
-                    <td colSpan={23} className='text center text-muted py-3'>
-                      No species found for this habitat.
-                    </td>
-                  </tr>
-                ) : (
-                  speciesList.map((species, i) => (
-                    <tr key={i}>
-                      <td>{species.id}</td>
-                      <td>{species.common_name}</td>
-                      <td>{species.description}</td>
-                      <td>{species.name_of_offspring}</td>
-                      <td>{species.group_behaviour}</td>
-                      <td>{species.gestation_period}</td>
-                      <td>{species.breeding_season}</td>
-                      <td>{species.number_of_offspring}</td>
-                      <td>{species.average_lifespan}</td>
-                      <td>{species.date_added}</td>
-                      <td>{species.diet_id}</td>
-                      <td>{species.habitat_id}</td>
-                      <td>{species.classification_id}</td>
-                      <td>{species.name}</td>
-                      <td>{species.diet_type}</td>
-                      <td>{species.food_items}</td>
-                      <td>{species.kingdom}</td>
-                      <td>{species.phylum}</td>
-                      <td>{species.class}</td>
-                      <td>{species.order}</td>
-                      <td>{species.family}</td>
-                      <td>{species.genus}</td>
-                      <td>{species.status_code}</td>
-                    </tr>
-                  )))}
-              </tbody>
-            </table>
+          <div className="sub-collection-actions">
+            <PagingModeToggle
+              mode={mode}
+              onChange={(newMode) => updateURL({ habitat: selectedHabitatId, page, pageSize, sort, mode: newMode })}
+            />
           </div>
 
+          <DataTable
+            tableId="sub-collection"
+            columns={SPECIES_COLUMNS}
+            rows={speciesList}
+            rowKey={(s) => s.species_id}
+            sort={sort}
+            onSort={handleSort}
+            toolbar={(visibleColumns) => (
+              <ExportMenu
+                columns={visibleColumns}
+                rows={speciesList}
+                fetchAllRows={fetchAllHabitatSpecies}
+                fileName={`${selectedHabitatId}-species`}
+              />
+            )}
+          />
+
           <div
             className="d-flex justify-content-center align-items-center my-4 position-relative"
             style={{ width: '100%' }}
           >
-            <Pagination
-              page={page}
-              totalPages={totalPages}
-              visiblePages={5}
-              onPageChange={handlePageChange}
-            />
+            {mode === 'scroll' ? (
+              <InfiniteScroll
+                hasMore={page < totalPages}
+                loading={loading}
+                onLoadMore={loadMore}
+                loadedCount={speciesList.length}
+                totalItems={totalItems}
+              />
+            ) : (
+              <Pagination
+                page={page}
+                totalPages={totalPages}
+                visiblePages={5}
+                onPageChange={handlePageChange}
+              />
+            )}
 
             <div className="position-absolute" style={{ right: '20px' }}>
               <select
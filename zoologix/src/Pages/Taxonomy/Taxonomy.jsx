@@ -0,0 +1,242 @@
+import React, { useEffect, useState } from 'react';
+import Swal from 'sweetalert2';
+import { Link } from 'react-router-dom';
+import { api } from '../../utils/apiClient';
+import { ERROR_CATEGORIES, parseApiError } from '../../utils/apiError';
+import { toFilterQuery } from '../../utils/filterQuery';
+import {
+    FILTERABLE_RANKS,
+    ancestorKeys,
+    buildTaxonomyTree,
+    findTaxa,
+    toSpeciesFilters
+} from '../../utils/taxonomyTree';
+import './taxonomy.css';
+
+/**
+ * Taxonomy Component
+ *
+ * Browses every species as a collapsible tree of kingdom → phylum → class → order → family → genus,
+ * built from the `/species` rows (see `utils/taxonomyTree`).
+ * - Each node shows how many species are below it; genus nodes list their species.
+ * - "View species" opens the Species list filtered to the node. The list can only filter by
+ *   class, order and genus, so other ranks use the filterable ranks above them.
+ * - The search box expands the path to every genus or family whose name matches.
+ *
+ * @component
+ * @returns {JSX.Element} The taxonomy tree page.
+ *
+ * @author `NatBitton54`
+ */
+const Taxonomy = () => {
+    const [tree, setTree] = useState(null);
+    const [expanded, setExpanded] = useState(new Set(['']));
+    const [search, setSearch] = useState('');
+    const [matches, setMatches] = useState(new Set());
+
+    /**
+     * useEffect - Loads every species and builds the tree; leaving the page cancels the load.
+     */
+    useEffect(() => {
+        const controller = new AbortController();
+        loadTree(controller.signal);
+
+        return () => controller.abort();
+    }, []);
+
+    /**
+     * loadTree
+     *
+     * Fetches all species and builds the taxonomy tree from them.
+     *
+     * @async
+     * @function
+     * @param {AbortSignal} signal - Cancels the load on unmount.
+     * @returns {Promise<void>}
+     * @author `NatBitton54`
+     */
+    const loadTree = async (signal) => {
+        try {
+            setTree(buildTaxonomyTree(await api.fetchAll('/species', { signal, pageSize: 50 })));
+        } catch (err) {
+            const apiError = parseApiError(err);
+            if (apiError.category === ERROR_CATEGORIES.CANCELLED) return;
+
+            setTree(buildTaxonomyTree([]));
+            Swal.fire('Error', `Could not load species: ${apiError.userMessage}`, 'error');
+        }
+    };
+
+    /**
+     * Opens or closes one node.
+     *
+     * @param {string} key - Node key.
+     */
+    const toggleNode = (key) => {
+        const next = new Set(expanded);
+        if (next.has(key)) {
+            next.delete(key);
+        } else {
+            next.add(key);
+        }
+        setExpanded(next);
+    };
+
+    /**
+     * Opens every node down to (but not including) the genus species lists, or closes them all.
+     *
+     * @param {boolean} open - True to expand, false to collapse.
+     */
+    const setAllExpanded = (open) => {
+        if (!open) {
+            setExpanded(new Set(['']));
+            return;
+        }
+
+        const keys = new Set();
+        const visit = (node) => {
+            if (node.rank === 'genus') return;
+            keys.add(node.key);
+            node.children.forEach(visit);
+        };
+        visit(tree);
+        setExpanded(keys);
+    };
+
+    /**
+     * handleSearch
+     *
+     * Highlights every genus or family matching the search and expands the path to it.
+     *
+     * @param {React.FormEvent<HTMLFormElement>} e
+     * @author `NatBitton54`
+     */
+    const handleSearch = (e) => {
+        e.preventDefault();
+
+        const found = findTaxa(tree, search);
+        if (found.length === 0) {
+            setMatches(new Set());
+            Swal.fire('No Results', `No genus or family matches "${search.trim()}".`, 'info');
+            return;
+        }
+
+        const next = new Set(expanded);
+        found.forEach(({ key }) => ancestorKeys(key).forEach((ancestor) => next.add(ancestor)));
+        setExpanded(next);
+        setMatches(new Set(found.map(({ key }) => key)));
+    };
+
+    /**
+     * Clears the search and its highlights.
+     */
+    const clearSearch = () => {
+        setSearch('');
+        setMatches(new Set());
+    };
+
+    /**
+     * Renders one node and, when it is open, its children.
+     *
+     * @param {import('../../utils/taxonomyTree').TaxonomyNode} node
+     * @returns {JSX.Element}
+     */
+    const renderNode = (node) => {
+        const isOpen = expanded.has(node.key);
+        const hasChildren = node.children.length > 0 || node.species.length > 0;
+        const filters = toSpeciesFilters(node);
+        const exact = node.rank === null || FILTERABLE_RANKS.includes(node.rank);
+
+        return (
+            <li key={node.key} className={matches.has(node.key) ? 'taxon-match' : ''}>
+                <div className="taxon-row">
+                    <button
+                        type="button"
+                        className="taxon-toggle"
+                        onClick={() => toggleNode(node.key)}
+                        disabled={!hasChildren}
+                        aria-expanded={isOpen}
+                        aria-label={`${isOpen ? 'Collapse' : 'Expand'} ${node.name}`}
+                    >
+                        <i className={`fas ${isOpen ? 'fa-chevron-down' : 'fa-chevron-right'}`}></i>
+                    </button>
+                    {node.rank && <span className="taxon-rank">{node.rank}</span>}
+                    <span className="taxon-name">{node.name}</span>
+                    <span className="taxon-count">{node.count}</span>
+                    <Link
+                        to={`/zoologix/species${Object.keys(filters).length ? `?${toFilterQuery(filters)}` : ''}`}
+                        className="taxon-link"
+                        title={exact ? 'Open the Species list filtered to this taxon' : 'The Species list cannot filter by this rank; opens the ranks above it'}
+                    >
+                        View species{!exact && '*'}
+                    </Link>
+                </div>
+
+                {isOpen && node.children.length > 0 && (
+                    <ul>{node.children.map(renderNode)}</ul>
+                )}
+                {isOpen && node.species.length > 0 && (
+                    <ul className="taxon-species">
+                        {node.species.map((s) => (
+                            <li key={s.species_id}>
+                                <Link to={`/zoologix/species/${encodeURIComponent(s.species_id)}`}>
+                                    {s.common_name}
+                                </Link>{' '}
+                                <span className="muted">({s.species_id})</span>
+                            </li>
+                        ))}
+                    </ul>
+                )}
+            </li>
+        );
+    };
+
+    return (
+        <div className="contain-taxonomy">
+            <div className="full-width-header">
+                <h4>Taxonomy</h4>
+            </div>
+
+            <div className="taxonomy">
+                <div className="taxonomy-toolbar">
+                    <form onSubmit={handleSearch} className="taxonomy-search">
+                        <input
+                            type="text"
+                            className="form-control form-control-sm"
+                            placeholder="Find a genus or family"
+                            value={search}
+                            onChange={(e) => setSearch(e.target.value)}
+                            disabled={!tree}
+                            required
+                        />
+                        <button type="submit" className="btn btn-sm btn-primary" disabled={!tree}>Find</button>
+                        {matches.size > 0 && (
+                            <button type="button" className="btn btn-sm btn-link" onClick={clearSearch}>Clear</button>
+                        )}
+                    </form>
+                    <div>
+                        <button type="button" className="btn btn-sm btn-outline-secondary" disabled={!tree} onClick={() => setAllExpanded(true)}>
+                            Expand all
+                        </button>{' '}
+                        <button type="button" className="btn btn-sm btn-outline-secondary" disabled={!tree} onClick={() => setAllExpanded(false)}>
+                            Collapse all
+                        </button>
+                    </div>
+                </div>
+
+                {!tree ? (
+                    <p className="muted">Loading species...</p>
+                ) : (
+                    <>
+                        <ul className="taxonomy-tree">{renderNode(tree)}</ul>
+                        <p className="muted taxonomy-note">
+                            * Kingdom, phylum and family cannot be filtered on the Species list, so these links use the ranks above them.
+                        </p>
+                    </>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default Taxonomy;
@@ -0,0 +1,160 @@
+import { CustomError, FetchWrapper } from './fetchWrapper';
+import { ResponseCache } from './responseCache';
+import { LOGIN_ENDPOINT, getToken, handleUnauthorized } from './auth';
+
+/**
+ * localStorage key under which the selected API environment is persisted.
+ * @type {string}
+ */
+const STORAGE_KEY = 'zoologix.apiEnvironment';
+
+/**
+ * Named species-api deployments the app can talk to.
+ *
+ * Base URLs are read from build-time env vars (see `how-to-run.md`):
+ * - `REACT_APP_API_URL_LOCAL`   (defaults to `http://localhost/species-api`)
+ * - `REACT_APP_API_URL_STAGING`
+ * - `REACT_APP_API_URL_DEMO`
+ *
+ * Environments without a base URL are not offered in the switcher.
+ *
+ * @type {Object<string, {label: string, baseURL: string}>}
+ * @author `NatBitton54`
+ */
+export const API_ENVIRONMENTS = Object.fromEntries(
+    Object.entries({
+        local: {
+            label: 'Local',
+            baseURL: process.env.REACT_APP_API_URL_LOCAL || 'http://localhost/species-api'
+        },
+        staging: {
+            label: 'Staging',
+            baseURL: process.env.REACT_APP_API_URL_STAGING
+        },
+        demo: {
+            label: 'Demo',
+            baseURL: process.env.REACT_APP_API_URL_DEMO
+        }
+    }).filter(([, env]) => Boolean(env.baseURL))
+);
+
+/**
+ * Environment used when nothing has been saved yet (`REACT_APP_API_ENV`, else `local`).
+ * @type {string}
+ */
+const DEFAULT_ENVIRONMENT = API_ENVIRONMENTS[process.env.REACT_APP_API_ENV]
+    ? process.env.REACT_APP_API_ENV
+    : 'local';
+
+/**
+ * Returns the key of the currently selected API environment.
+ * Falls back to the default if the saved key is unknown to this build.
+ *
+ * @function
+ * @returns {string} The active environment key (e.g. `local`, `staging`, `demo`).
+ * @author `NatBitton54`
+ */
+export const getActiveEnvironment = () => {
+    try {
+        const saved = window.localStorage.getItem(STORAGE_KEY);
+        return API_ENVIRONMENTS[saved] ? saved : DEFAULT_ENVIRONMENT;
+    } catch {
+        return DEFAULT_ENVIRONMENT;
+    }
+};
+
+/**
+ * Shared species-api client used by every page.
+ * Its base URL follows the active environment; the default timeout comes from
+ * `REACT_APP_API_TIMEOUT` (milliseconds). Requests are logged to the console in development
+ * builds only; `REACT_APP_API_LOGGING=true` or `false` overrides that.
+ *
+ * GET responses are cached for the browser session. Reference collections
+ * (habitats, diets, classifications) change rarely and are kept longer than species.
+ *
+ * @type {FetchWrapper}
+ */
+export const api = new FetchWrapper(API_ENVIRONMENTS[getActiveEnvironment()].baseURL, {
+    timeout: Number(process.env.REACT_APP_API_TIMEOUT) || 15000,
+    logging: process.env.REACT_APP_API_LOGGING
+        ? process.env.REACT_APP_API_LOGGING === 'true'
+        : process.env.NODE_ENV === 'development',
+    cache: new ResponseCache({
+        persist: true,
+        defaultTTL: 30 * 1000,
+        routes: {
+            '/species': 60 * 1000,
+            '/habitats': 5 * 60 * 1000,
+            '/habitats/': 60 * 1000, // sub-collections such as /habitats/:id/species
+            '/diets': 5 * 60 * 1000,
+            '/classifications': 5 * 60 * 1000
+        }
+    })
+});
+
+/**
+ * Adds the signed-in user's bearer token to every request.
+ */
+api.interceptors.request.use((request) => {
+    const token = getToken();
+    if (!token) return request;
+
+    return { ...request, headers: { ...request.headers, Authorization: `Bearer ${token}` } };
+});
+
+/**
+ * Ends the session and hands off to the unauthorized handler when the API answers 401.
+ * Failed logins are left to the login page.
+ */
+api.interceptors.response.use(undefined, (error, request) => {
+    if (error?.statusCode === 401 && request.uri !== LOGIN_ENDPOINT) {
+        handleUnauthorized(error);
+    }
+    throw error;
+});
+
+/**
+ * Loads a single record such as `/species/SP-001`.
+ * Accepts the record itself or a `{ data: record }` / `{ data: [record] }` envelope.
+ *
+ * @async
+ * @function
+ * @param {string} endpoint - Collection endpoint (e.g. `/species`).
+ * @param {string} id - Record ID.
+ * @param {object} [options={}] - Request options (`signal`, `cache`, ...).
+ * @returns {Promise<object>} The record.
+ * @throws {CustomError} With status 404 if the response holds no record.
+ * @author `NatBitton54`
+ */
+export const fetchRecord = async (endpoint, id, options = {}) => {
+    const res = await api.get(`${endpoint}/${encodeURIComponent(id)}`, {}, options);
+    const record = Array.isArray(res?.data) ? res.data[0] : (res?.data || res);
+
+    if (!record || typeof record !== 'object') {
+        throw new CustomError(`No record found with ID: ${id}`, 404, { id });
+    }
+    return record;
+};
+
+/**
+ * Switches the shared client to another environment and saves the choice
+ * so it survives page reloads.
+ *
+ * @function
+ * @param {string} key - Environment key from `API_ENVIRONMENTS`.
+ * @throws {Error} If the key is not a configured environment.
+ * @author `NatBitton54`
+ */
+export const setActiveEnvironment = (key) => {
+    if (!API_ENVIRONMENTS[key]) {
+        throw new Error(`Unknown API environment: ${key}`);
+    }
+
+    try {
+        window.localStorage.setItem(STORAGE_KEY, key);
+    } catch {
+        // Storage may be unavailable (private mode); the switch still applies for this session.
+    }
+
+    api.baseURL = API_ENVIRONMENTS[key].baseURL;
+};
@@ -0,0 +1,69 @@
+const ENV_KEYS = ['REACT_APP_API_URL_LOCAL', 'REACT_APP_API_URL_STAGING', 'REACT_APP_API_URL_DEMO', 'REACT_APP_API_ENV'];
+const savedEnv = {};
+
+/**
+ * Loads a fresh copy of the client module, since it reads the env vars when first imported.
+ *
+ * @param {Object<string, string>} env - Env vars to set for this load.
+ * @returns {object} The module exports.
+ */
+const loadClient = (env) => {
+    ENV_KEYS.forEach((key) => delete process.env[key]);
+    Object.assign(process.env, env);
+
+    let client;
+    jest.isolateModules(() => {
+        client = require('./apiClient');
+    });
+    return client;
+};
+
+beforeAll(() => {
+    ENV_KEYS.forEach((key) => { savedEnv[key] = process.env[key]; });
+});
+
+afterEach(() => {
+    window.localStorage.clear();
+});
+
+afterAll(() => {
+    ENV_KEYS.forEach((key) => {
+        if (savedEnv[key] === undefined) delete process.env[key];
+        else process.env[key] = savedEnv[key];
+    });
+});
+
+describe('API environments', () => {
+    it('offers only the environments with a base URL, with a local default', () => {
+        const { API_ENVIRONMENTS, api, getActiveEnvironment } = loadClient({ REACT_APP_API_URL_DEMO: 'https://demo.test/api' });
+
+        expect(Object.keys(API_ENVIRONMENTS)).toEqual(['local', 'demo']);
+        expect(getActiveEnvironment()).toBe('local');
+        expect(api.baseURL).toBe('http://localhost/species-api');
+    });
+
+    it('starts on REACT_APP_API_ENV unless another environment was saved', () => {
+        const env = { REACT_APP_API_URL_STAGING: 'https://staging.test/api', REACT_APP_API_ENV: 'staging' };
+
+        expect(loadClient(env).api.baseURL).toBe('https://staging.test/api');
+
+        window.localStorage.setItem('zoologix.apiEnvironment', 'local');
+        expect(loadClient(env).getActiveEnvironment()).toBe('local');
+    });
+
+    it('ignores a saved environment this build does not configure', () => {
+        window.localStorage.setItem('zoologix.apiEnvironment', 'demo');
+
+        expect(loadClient({}).getActiveEnvironment()).toBe('local');
+    });
+
+    it('switches the shared client and saves the choice', () => {
+        const { api, getActiveEnvironment, setActiveEnvironment } = loadClient({ REACT_APP_API_URL_DEMO: 'https://demo.test/api' });
+
+        setActiveEnvironment('demo');
+
+        expect(api.baseURL).toBe('https://demo.test/api');
+        expect(getActiveEnvironment()).toBe('demo');
+        expect(() => setActiveEnvironment('staging')).toThrow('Unknown API environment: staging');
+    });
+});
@@ -0,0 +1,168 @@
+import { CustomError, RequestCancelledError, RequestTimeoutError } from './fetchWrapper';
+
+/**
+ * Categories an API failure can fall into. Pages switch on these instead of raw status codes.
+ * @readonly
+ * @enum {string}
+ */
+export const ERROR_CATEGORIES = Object.freeze({
+    VALIDATION: 'validation',
+    DUPLICATE: 'duplicate',
+    NOT_FOUND: 'not_found',
+    UNAUTHORIZED: 'unauthorized',
+    FORBIDDEN: 'forbidden',
+    RATE_LIMITED: 'rate_limited',
+    TIMEOUT: 'timeout',
+    CANCELLED: 'cancelled',
+    NETWORK: 'network',
+    SERVER: 'server',
+    UNKNOWN: 'unknown'
+});
+
+/**
+ * Message shown to the user when the response carries nothing better.
+ * @type {Object<string, string>}
+ */
+const DEFAULT_MESSAGES = {
+    [ERROR_CATEGORIES.VALIDATION]: 'Some fields are invalid. Please correct them and try again.',
+    [ERROR_CATEGORIES.DUPLICATE]: 'A record with this ID already exists.',
+    [ERROR_CATEGORIES.NOT_FOUND]: 'The requested record could not be found.',
+    [ERROR_CATEGORIES.UNAUTHORIZED]: 'Please sign in to continue.',
+    [ERROR_CATEGORIES.FORBIDDEN]: 'You are not allowed to perform this action.',
+    [ERROR_CATEGORIES.RATE_LIMITED]: 'Too many requests. Please wait a moment and try again.',
+    [ERROR_CATEGORIES.TIMEOUT]: 'The species API took too long to respond. Please try again.',
+    [ERROR_CATEGORIES.CANCELLED]: 'The request was cancelled.',
+    [ERROR_CATEGORIES.NETWORK]: 'Could not reach the species API. Check your connection.',
+    [ERROR_CATEGORIES.SERVER]: 'The species API ran into a problem. Please try again later.',
+    [ERROR_CATEGORIES.UNKNOWN]: 'Something went wrong.'
+};
+
+/**
+ * MySQL/PDO SQLSTATE for integrity constraint violations (duplicate keys).
+ * @type {number}
+ */
+const DUPLICATE_KEY_CODE = 23000;
+
+/**
+ * ApiError is the single, typed shape of a failed species-api call.
+ * It keeps the original `statusCode` and `details` so existing checks still work.
+ *
+ * @class
+ * @extends {CustomError}
+ *
+ * @author `NatBitton54`
+ */
+export class ApiError extends CustomError {
+    /**
+     * @param {object} init
+     * @param {string} init.category - One of `ERROR_CATEGORIES`.
+     * @param {string} init.userMessage - Message safe to show to the user.
+     * @param {Object<string, string>} [init.fieldErrors={}] - Field name → message.
+     * @param {number} init.statusCode - HTTP status (0 for network failures).
+     * @param {any} init.details - Raw error body.
+     * @param {Error} [init.cause] - The error that was parsed.
+     */
+    constructor({ category, userMessage, fieldErrors = {}, statusCode, details, cause }) {
+        super(userMessage, statusCode, details);
+        this.name = 'ApiError';
+        this.category = category;
+        this.userMessage = userMessage;
+        this.fieldErrors = fieldErrors;
+        this.cause = cause;
+        this.retries = cause?.retries ?? 0;
+    }
+
+    /**
+     * Whether the error carries at least one field-level message.
+     * @returns {boolean}
+     */
+    hasFieldErrors() {
+        return Object.keys(this.fieldErrors).length > 0;
+    }
+}
+
+/**
+ * Picks a category from the status code and body.
+ *
+ * @param {CustomError} error
+ * @param {object} body - Parsed error body (may be empty).
+ * @param {Object<string, string>} fieldErrors
+ * @returns {string}
+ */
+const categorize = (error, body, fieldErrors) => {
+    const status = error.statusCode;
+
+    if (error instanceof RequestCancelledError) return ERROR_CATEGORIES.CANCELLED;
+    if (error instanceof RequestTimeoutError || status === 408) return ERROR_CATEGORIES.TIMEOUT;
+    if (Number(body.code) === DUPLICATE_KEY_CODE || status === 409) return ERROR_CATEGORIES.DUPLICATE;
+    if (Object.keys(fieldErrors).length || status === 400 || status === 422) return ERROR_CATEGORIES.VALIDATION;
+    if (status === 401) return ERROR_CATEGORIES.UNAUTHORIZED;
+    if (status === 403) return ERROR_CATEGORIES.FORBIDDEN;
+    if (status === 404) return ERROR_CATEGORIES.NOT_FOUND;
+    if (status === 429) return ERROR_CATEGORIES.RATE_LIMITED;
+    if (status === 0) return ERROR_CATEGORIES.NETWORK;
+    if (status >= 500) return ERROR_CATEGORIES.SERVER;
+    return ERROR_CATEGORIES.UNKNOWN;
+};
+
+/**
+ * Collects field-level messages from the validation formats we have seen:
+ * - `errors: [{ field, message }]` (species-api)
+ * - `errors: { field: 'message' | ['message', ...] }`
+ * - `invalid-params` / `invalid_params: [{ name, reason }]` (problem+json)
+ *
+ * The first message per field wins.
+ *
+ * @param {object} body - Parsed error body.
+ * @returns {Object<string, string>} Field name → message.
+ */
+const extractFieldErrors = (body) => {
+    const fieldErrors = {};
+    const add = (field, message) => {
+        if (field && message && !fieldErrors[field]) fieldErrors[field] = String(message);
+    };
+
+    const { errors } = body;
+    const invalidParams = body['invalid-params'] || body.invalid_params;
+
+    if (Array.isArray(errors)) {
+        errors.forEach((item) => add(item?.field ?? item?.name ?? item?.param, item?.message ?? item?.reason ?? item?.msg));
+    } else if (errors && typeof errors === 'object') {
+        Object.entries(errors).forEach(([field, messages]) => add(field, Array.isArray(messages) ? messages[0] : messages));
+    }
+
+    if (Array.isArray(invalidParams)) {
+        invalidParams.forEach((item) => add(item?.name, item?.reason));
+    }
+
+    return fieldErrors;
+};
+
+/**
+ * Turns any error thrown by FetchWrapper into an `ApiError`.
+ * Understands plain `{ message }` bodies, the duplicate-key shape (`code: 23000`),
+ * problem+json (`title`/`detail`) and per-field validation arrays.
+ *
+ * @function
+ * @param {Error} error - Error thrown by the API client.
+ * @returns {ApiError} The parsed error (returned as is if it already is one).
+ * @author `NatBitton54`
+ */
+export const parseApiError = (error) => {
+    if (error instanceof ApiError) return error;
+
+    const statusCode = error?.statusCode ?? 0;
+    const details = error?.details;
+    const body = details && typeof details === 'object' ? details : {};
+    const fieldErrors = extractFieldErrors(body);
+    const category = categorize(error || {}, body, fieldErrors);
+
+    const serverMessage = body.detail || body.message || body.title
+        || (typeof details === 'string' && details.length < 200 ? details : '');
+
+    const userMessage = [ERROR_CATEGORIES.TIMEOUT, ERROR_CATEGORIES.CANCELLED, ERROR_CATEGORIES.NETWORK, ERROR_CATEGORIES.SERVER].includes(category)
+        ? DEFAULT_MESSAGES[category]
+        : serverMessage || DEFAULT_MESSAGES[category];
+
+    return new ApiError({ category, userMessage, fieldErrors, statusCode, details, cause: error });
+};
@@ -0,0 +1,136 @@
+import { useSyncExternalStore } from 'react';
+
+/**
+ * localStorage key under which the signed-in session is persisted.
+ * @type {string}
+ */
+const STORAGE_KEY = 'zoologix.session';
+
+/**
+ * species-api endpoint that exchanges credentials for a bearer token.
+ * @type {string}
+ */
+export const LOGIN_ENDPOINT = '/login';
+
+const listeners = new Set();
+let unauthorizedHandler = null;
+
+/**
+ * Reads the persisted session once; later reads use the in-memory copy so
+ * `useSyncExternalStore` always gets a stable snapshot.
+ *
+ * @returns {{token: string, user: string}|null}
+ */
+const readSession = () => {
+    try {
+        const raw = window.localStorage.getItem(STORAGE_KEY);
+        const session = raw ? JSON.parse(raw) : null;
+        return session?.token ? session : null;
+    } catch {
+        return null;
+    }
+};
+
+let session = readSession();
+
+/**
+ * Replaces the current session, persists it and notifies subscribers.
+ *
+ * @param {{token: string, user: string}|null} next - New session, or null to sign out.
+ */
+const writeSession = (next) => {
+    session = next;
+
+    try {
+        if (next) {
+            window.localStorage.setItem(STORAGE_KEY, JSON.stringify(next));
+        } else {
+            window.localStorage.removeItem(STORAGE_KEY);
+        }
+    } catch {
+        // Storage may be unavailable; the session still lives for this page load.
+    }
+
+    listeners.forEach((listener) => listener());
+};
+
+/**
+ * Returns the current session.
+ *
+ * @function
+ * @returns {{token: string, user: string}|null} The signed-in session, or null.
+ * @author `NatBitton54`
+ */
+export const getSession = () => session;
+
+/**
+ * Returns the bearer token of the current session.
+ *
+ * @function
+ * @returns {string|null}
+ * @author `NatBitton54`
+ */
+export const getToken = () => session?.token || null;
+
+/**
+ * Stores a new session after a successful login.
+ *
+ * @function
+ * @param {string} token - Bearer token returned by the API.
+ * @param {string} user - Name or email shown in the Navbar.
+ * @author `NatBitton54`
+ */
+export const signIn = (token, user) => writeSession({ token, user });
+
+/**
+ * Clears the current session.
+ *
+ * @function
+ * @author `NatBitton54`
+ */
+export const signOut = () => writeSession(null);
+
+/**
+ * Subscribes to session changes.
+ *
+ * @function
+ * @param {function} listener - Called whenever the session changes.
+ * @returns {function} Unsubscribe function.
+ */
+export const subscribe = (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+};
+
+/**
+ * React hook returning the current session and re-rendering when it changes.
+ *
+ * @function
+ * @returns {{token: string, user: string}|null}
+ * @author `NatBitton54`
+ */
+export const useSession = () => useSyncExternalStore(subscribe, getSession);
+
+/**
+ * Registers the function called when the API rejects a request with 401.
+ * The App component sets it so the user can be sent to the login page.
+ *
+ * @function
+ * @param {function|null} handler - Receives the `CustomError`.
+ * @author `NatBitton54`
+ */
+export const setUnauthorizedHandler = (handler) => {
+    unauthorizedHandler = handler;
+};
+
+/**
+ * Ends the session and hands the error to the registered unauthorized handler.
+ *
+ * @function
+ * @param {import('./fetchWrapper').CustomError} error - The 401 error.
+ * @author `NatBitton54`
+ */
+export const handleUnauthorized = (error) => {
+    signOut();
+    unauthorizedHandler?.(error);
+};
@@ -0,0 +1,100 @@
+import { ERROR_CATEGORIES, parseApiError } from './apiError';
+
+/**
+ * Splits a list into batches.
+ *
+ * @function
+ * @param {Array} items - Items to split.
+ * @param {number} size - Maximum batch size (at least 1).
+ * @returns {Array<Array>} The batches, in order.
+ * @author `NatBitton54`
+ */
+export const toBatches = (items, size) => {
+    const batchSize = Math.max(1, Math.floor(size) || 1);
+    const batches = [];
+    for (let i = 0; i < items.length; i += batchSize) {
+        batches.push(items.slice(i, i + batchSize));
+    }
+    return batches;
+};
+
+/**
+ * Error categories that concern the records themselves. A batch rejected for one of these
+ * is retried one item at a time to find the records at fault.
+ * @type {string[]}
+ */
+const PER_RECORD_CATEGORIES = [
+    ERROR_CATEGORIES.VALIDATION,
+    ERROR_CATEGORIES.DUPLICATE,
+    ERROR_CATEGORIES.NOT_FOUND
+];
+
+/**
+ * Sends items to the API in batches and reports the outcome of every item.
+ *
+ * - A batch rejected for a per-record reason (validation, duplicate, not found) is retried
+ *   one item at a time to find out which items are at fault.
+ * - Any other failure (timeout, network, unauthorized, cancelled, server error) ends the run:
+ *   replaying the batch could repeat a request the server already applied, or fail the same
+ *   way once per item. The batch is reported with that error and the items not sent yet are
+ *   marked `notSent`.
+ * - Items of a timed-out request are marked `unknown`: the server may have applied them.
+ *
+ * @async
+ * @function
+ * @param {Array} items - Items to send.
+ * @param {number} batchSize - Items per request.
+ * @param {function(Array): Promise<any>} send - Sends one batch, e.g. `(batch) => api.delete('/species', batch)`.
+ * @param {function(number, number): void} [onProgress] - Receives the number of items done and the total.
+ * @returns {Promise<Array<{item: any, ok: boolean, error?: Error, unknown?: boolean, notSent?: boolean}>>}
+ *   One result per item, in input order.
+ * @author `NatBitton54`
+ */
+export const sendInBatches = async (items, batchSize, send, onProgress) => {
+    const results = [];
+    let stopError = null;
+
+    /**
+     * Records a failed request, and stops the run unless the failure is per-record.
+     */
+    const fail = (batch, error) => {
+        const { category } = parseApiError(error);
+        const unknown = category === ERROR_CATEGORIES.TIMEOUT;
+
+        batch.forEach(item => results.push(unknown ? { item, ok: false, error, unknown } : { item, ok: false, error }));
+        if (!PER_RECORD_CATEGORIES.includes(category)) stopError = error;
+    };
+
+    for (const batch of toBatches(items, batchSize)) {
+        try {
+            await send(batch);
+            batch.forEach(item => results.push({ item, ok: true }));
+        } catch (batchError) {
+            const { category } = parseApiError(batchError);
+
+            if (batch.length === 1 || !PER_RECORD_CATEGORIES.includes(category)) {
+                fail(batch, batchError);
+            } else {
+                for (const item of batch) {
+                    if (stopError) break;
+                    try {
+                        await send([item]);
+                        results.push({ item, ok: true });
+                    } catch (error) {
+                        fail([item], error);
+                    }
+                }
+            }
+        }
+
+        if (stopError) break;
+        onProgress?.(results.length, items.length);
+    }
+
+    if (stopError) {
+        items.slice(results.length).forEach(item => results.push({ item, ok: false, error: stopError, notSent: true }));
+        onProgress?.(results.length, items.length);
+    }
+
+    return results;
+};
@@ -0,0 +1,77 @@
+import { sendInBatches, toBatches } from './batchRequests';
+import { CustomError, RequestTimeoutError } from './fetchWrapper';
+
+const notFound = (ids) => new CustomError(`No species found with ID: ${ids.join(', ')}`, 404, { ids });
+
+describe('toBatches', () => {
+    it('splits items into batches of the given size', () => {
+        expect(toBatches([1, 2, 3, 4, 5], 2)).toEqual([[1, 2], [3, 4], [5]]);
+    });
+
+    it('uses batches of one for an invalid size', () => {
+        expect(toBatches([1, 2], 0)).toEqual([[1], [2]]);
+    });
+});
+
+describe('sendInBatches', () => {
+    it('reports every item of a successful run and its progress', async () => {
+        const send = jest.fn().mockResolvedValue({});
+        const onProgress = jest.fn();
+
+        const results = await sendInBatches(['a', 'b', 'c'], 2, send, onProgress);
+
+        expect(results).toEqual([{ item: 'a', ok: true }, { item: 'b', ok: true }, { item: 'c', ok: true }]);
+        expect(send.mock.calls).toEqual([[['a', 'b']], [['c']]]);
+        expect(onProgress.mock.calls).toEqual([[2, 3], [3, 3]]);
+    });
+
+    it('retries a batch rejected for a per-record reason one item at a time', async () => {
+        const send = jest.fn(async (batch) => {
+            if (batch.includes('b')) throw notFound(['b']);
+        });
+
+        const results = await sendInBatches(['a', 'b', 'c'], 3, send);
+
+        expect(send.mock.calls).toEqual([[['a', 'b', 'c']], [['a']], [['b']], [['c']]]);
+        expect(results.map(({ item, ok }) => [item, ok])).toEqual([['a', true], ['b', false], ['c', true]]);
+        expect(results[1].error.statusCode).toBe(404);
+    });
+
+    it('stops after a timeout without replaying the batch, marking it unknown', async () => {
+        const send = jest.fn().mockRejectedValue(new RequestTimeoutError(15000, '/species'));
+
+        const results = await sendInBatches(['a', 'b', 'c', 'd'], 2, send);
+
+        expect(send).toHaveBeenCalledTimes(1);
+        expect(results).toEqual([
+            { item: 'a', ok: false, error: expect.any(RequestTimeoutError), unknown: true },
+            { item: 'b', ok: false, error: expect.any(RequestTimeoutError), unknown: true },
+            { item: 'c', ok: false, error: expect.any(RequestTimeoutError), notSent: true },
+            { item: 'd', ok: false, error: expect.any(RequestTimeoutError), notSent: true }
+        ]);
+    });
+
+    it('stops after a 401 instead of sending it once per item', async () => {
+        const send = jest.fn().mockRejectedValue(new CustomError('Unauthorized', 401, {}));
+
+        const results = await sendInBatches(['a', 'b', 'c'], 2, send);
+
+        expect(send).toHaveBeenCalledTimes(1);
+        expect(results.map(({ item, notSent = false, unknown = false }) => [item, notSent, unknown]))
+            .toEqual([['a', false, false], ['b', false, false], ['c', true, false]]);
+    });
+
+    it('stops when an item retried on its own fails for a reason that is not per-record', async () => {
+        const send = jest.fn()
+            .mockRejectedValueOnce(notFound(['a']))
+            .mockRejectedValueOnce(notFound(['a']))
+            .mockRejectedValueOnce(new CustomError('Network Error', 0, {}));
+
+        const results = await sendInBatches(['a', 'b', 'c'], 3, send);
+
+        expect(send).toHaveBeenCalledTimes(3);
+        expect(results.map(({ item, ok, notSent = false }) => [item, ok, notSent]))
+            .toEqual([['a', false, false], ['b', false, false], ['c', false, true]]);
+        expect(results[1].error.statusCode).toBe(0);
+    });
+});
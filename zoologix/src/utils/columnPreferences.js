@@ -0,0 +1,79 @@
+/**
+ * localStorage prefix for saved table layouts; the user and table ID follow it.
+ * @type {string}
+ */
+const STORAGE_PREFIX = 'zoologix.columns:';
+
+/**
+ * Builds the storage key for one user's layout of one table.
+ *
+ * @param {string} tableId - Table identifier, e.g. `species`.
+ * @param {string|null} user - Signed-in user, or null for guests.
+ * @returns {string}
+ */
+const storageKey = (tableId, user) => `${STORAGE_PREFIX}${user || 'guest'}:${tableId}`;
+
+/**
+ * The layout used when nothing is saved: definition order, `defaultHidden` columns hidden.
+ *
+ * @function
+ * @param {Array<{key: string, defaultHidden?: boolean}>} columns - Column definitions.
+ * @returns {{order: string[], hidden: string[]}}
+ * @author `NatBitton54`
+ */
+export const defaultLayout = (columns) => ({
+    order: columns.map(c => c.key),
+    hidden: columns.filter(c => c.defaultHidden).map(c => c.key)
+});
+
+/**
+ * Loads a saved table layout and reconciles it with the current columns:
+ * unknown keys are dropped and columns added since it was saved are appended.
+ *
+ * @function
+ * @param {string} tableId - Table identifier.
+ * @param {string|null} user - Signed-in user, or null for guests.
+ * @param {Array<{key: string, defaultHidden?: boolean}>} columns - Column definitions.
+ * @returns {{order: string[], hidden: string[]}} Column keys in display order, and the hidden keys.
+ * @author `NatBitton54`
+ */
+export const loadLayout = (tableId, user, columns) => {
+    const fallback = defaultLayout(columns);
+
+    try {
+        const saved = JSON.parse(window.localStorage.getItem(storageKey(tableId, user)) || 'null');
+        if (!saved || !Array.isArray(saved.order)) return fallback;
+
+        const keys = new Set(fallback.order);
+        const order = saved.order.filter(key => keys.has(key));
+        fallback.order.forEach(key => {
+            if (!order.includes(key)) order.push(key);
+        });
+
+        const hidden = (Array.isArray(saved.hidden) ? saved.hidden : []).filter(key => keys.has(key));
+        return { order, hidden };
+    } catch {
+        return fallback;
+    }
+};
+
+/**
+ * Saves a table layout for a user, or forgets it when `layout` is null.
+ *
+ * @function
+ * @param {string} tableId - Table identifier.
+ * @param {string|null} user - Signed-in user, or null for guests.
+ * @param {{order: string[], hidden: string[]}|null} layout - Layout to save.
+ * @author `NatBitton54`
+ */
+export const saveLayout = (tableId, user, layout) => {
+    try {
+        if (layout) {
+            window.localStorage.setItem(storageKey(tableId, user), JSON.stringify(layout));
+        } else {
+            window.localStorage.removeItem(storageKey(tableId, user));
+        }
+    } catch {
+        // Storage may be unavailable; the layout still applies until the page reloads.
+    }
+};
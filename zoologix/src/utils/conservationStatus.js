@@ -0,0 +1,34 @@
+/**
+ * IUCN Red List categories used by the species `status_code` column,
+ * from least to most threatened, with the colour used to badge them.
+ *
+ * @type {Object<string, {label: string, color: string}>}
+ */
+export const CONSERVATION_STATUSES = {
+    LC: { label: 'Least Concern', color: '#2e7d32' },
+    NT: { label: 'Near Threatened', color: '#7cb342' },
+    VU: { label: 'Vulnerable', color: '#f9a825' },
+    EN: { label: 'Endangered', color: '#ef6c00' },
+    CR: { label: 'Critically Endangered', color: '#c62828' },
+    EW: { label: 'Extinct in the Wild', color: '#6a1b9a' },
+    EX: { label: 'Extinct', color: '#212121' },
+    DD: { label: 'Data Deficient', color: '#757575' },
+    NE: { label: 'Not Evaluated', color: '#9e9e9e' }
+};
+
+/**
+ * Describes a status code, falling back gracefully for unknown or missing codes.
+ *
+ * @function
+ * @param {string|null|undefined} code - Status code such as `EN`.
+ * @returns {{code: string, label: string, color: string}}
+ * @author `NatBitton54`
+ */
+export const describeStatus = (code) => {
+    const key = (code || '').toUpperCase();
+    const status = CONSERVATION_STATUSES[key];
+
+    return status
+        ? { code: key, ...status }
+        : { code: key || '—', label: key ? 'Unknown status' : 'Not recorded', color: '#9e9e9e' };
+};
@@ -0,0 +1,104 @@
+/**
+ * Export formats offered by the Export menu.
+ * @type {Object<string, {label: string, extension: string, mimeType: string}>}
+ */
+export const EXPORT_FORMATS = {
+    csv: { label: 'CSV', extension: 'csv', mimeType: 'text/csv;charset=utf-8' },
+    tsv: { label: 'TSV (spreadsheet)', extension: 'tsv', mimeType: 'text/tab-separated-values;charset=utf-8' },
+    json: { label: 'JSON', extension: 'json', mimeType: 'application/json;charset=utf-8' }
+};
+
+/**
+ * Byte order mark that makes Excel read a CSV file as UTF-8.
+ * @type {string}
+ */
+const UTF8_BOM = '\uFEFF';
+
+/**
+ * Returns a cell value as text; empty for null or undefined.
+ *
+ * @param {any} value - Raw record value.
+ * @returns {string}
+ */
+const toText = (value) => (value === null || value === undefined ? '' : String(value));
+
+/**
+ * Quotes a CSV field when it contains a comma, quote or line break (RFC 4180).
+ *
+ * @param {any} value - Raw record value.
+ * @returns {string}
+ */
+const csvField = (value) => {
+    const text = toText(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Makes a value safe for a TSV cell: tabs and line breaks become spaces.
+ *
+ * @param {any} value - Raw record value.
+ * @returns {string}
+ */
+const tsvField = (value) => toText(value).replace(/[\t\r\n]+/g, ' ');
+
+/**
+ * Serialises records to one of the export formats, keeping only the given columns.
+ * Columns marked `exportable: false` (such as Actions) are skipped.
+ *
+ * @function
+ * @param {Array<object>} rows - Records to export.
+ * @param {Array<{key: string, label: string, exportable?: boolean}>} columns - Columns to include, in order.
+ * @param {string} format - A key of `EXPORT_FORMATS`.
+ * @param {{bom?: boolean}} [options={}] - `bom` prefixes CSV output with a UTF-8 byte order mark.
+ * @returns {string} The file contents.
+ * @author `NatBitton54`
+ */
+export const serialiseRows = (rows, columns, format, options = {}) => {
+    const fields = columns.filter(c => c.exportable !== false);
+
+    switch (format) {
+        case 'json':
+            return JSON.stringify(
+                rows.map(row => Object.fromEntries(fields.map(({ key }) => [key, row[key] ?? null]))),
+                null,
+                2
+            );
+        case 'tsv':
+            return [
+                fields.map(c => tsvField(c.label)).join('\t'),
+                ...rows.map(row => fields.map(c => tsvField(row[c.key])).join('\t'))
+            ].join('\r\n');
+        case 'csv': {
+            const csv = [
+                fields.map(c => csvField(c.label)).join(','),
+                ...rows.map(row => fields.map(c => csvField(row[c.key])).join(','))
+            ].join('\r\n');
+            return options.bom ? UTF8_BOM + csv : csv;
+        }
+        default:
+            throw new Error(`Unknown export format: ${format}`);
+    }
+};
+
+/**
+ * Saves text as a file through a temporary download link.
+ *
+ * @function
+ * @param {string} content - File contents.
+ * @param {string} fileName - Name without extension.
+ * @param {string} format - A key of `EXPORT_FORMATS`.
+ * @author `NatBitton54`
+ */
+export const downloadFile = (content, fileName, format) => {
+    const { extension, mimeType } = EXPORT_FORMATS[format];
+    const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `${fileName}.${extension}`;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+
+    URL.revokeObjectURL(url);
+};
@@ -0,0 +1,51 @@
+import { serialiseRows } from './exportData';
+import { parseCSV } from './importData';
+
+const COLUMNS = [
+    { key: 'habitat_id', label: 'Habitat ID' },
+    { key: 'description', label: 'Description' },
+    { key: 'actions', label: 'Actions', exportable: false }
+];
+
+const ROWS = [
+    { habitat_id: 'HA-001', description: 'Hot, dry "desert"\nplains', actions: 'Edit' },
+    { habitat_id: 'HA-002', description: null }
+];
+
+describe('serialiseRows', () => {
+    it('quotes CSV fields holding commas, quotes or line breaks', () => {
+        expect(serialiseRows(ROWS, COLUMNS, 'csv')).toBe(
+            'Habitat ID,Description\r\nHA-001,"Hot, dry ""desert""\nplains"\r\nHA-002,'
+        );
+    });
+
+    it('writes CSV that parses back to the same cells', () => {
+        expect(parseCSV(serialiseRows(ROWS, COLUMNS, 'csv'))).toEqual([
+            ['Habitat ID', 'Description'],
+            ['HA-001', 'Hot, dry "desert"\nplains'],
+            ['HA-002', '']
+        ]);
+    });
+
+    it('prefixes CSV with a byte order mark only when asked', () => {
+        expect(serialiseRows([], COLUMNS, 'csv', { bom: true })).toBe('\uFEFFHabitat ID,Description');
+        expect(serialiseRows([], COLUMNS, 'tsv', { bom: true })).toBe('Habitat ID\tDescription');
+    });
+
+    it('flattens tabs and line breaks in TSV cells', () => {
+        const rows = [{ habitat_id: 'HA-001', description: 'Rain\tforest\r\ncanopy' }];
+
+        expect(serialiseRows(rows, COLUMNS, 'tsv')).toBe('Habitat ID\tDescription\r\nHA-001\tRain forest canopy');
+    });
+
+    it('keeps only the exportable columns in JSON, with null for missing values', () => {
+        expect(JSON.parse(serialiseRows(ROWS, COLUMNS, 'json'))).toEqual([
+            { habitat_id: 'HA-001', description: 'Hot, dry "desert"\nplains' },
+            { habitat_id: 'HA-002', description: null }
+        ]);
+    });
+
+    it('rejects an unknown format', () => {
+        expect(() => serialiseRows(ROWS, COLUMNS, 'xml')).toThrow('Unknown export format: xml');
+    });
+});
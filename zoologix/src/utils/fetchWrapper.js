@@ -13,6 +13,8 @@ export class CustomError extends Error {
         this.name = 'CustomError';
         this.statusCode = statusCode;
         this.details = details;
+        this.retries = 0;
+        this.retryAfter = null;
 
         if (Error.captureStackTrace) {
             Error.captureStackTrace(this, this.constructor);
@@ -20,9 +22,206 @@ export class CustomError extends Error {
     }
 }
 
+/**
+ * RequestTimeoutError is thrown when a request does not complete within its timeout.
+ * Uses HTTP status 408 so it can be told apart from a network failure (status 0).
+ *
+ * @class
+ * @extends {CustomError}
+ *
+ * @author `NatBitton54`
+ */
+export class RequestTimeoutError extends CustomError {
+    constructor(timeout, url) {
+        super(`Request timed out after ${timeout / 1000}s`, 408, { timeout, url });
+        this.name = 'RequestTimeoutError';
+    }
+}
+
+/**
+ * RequestCancelledError is thrown when a request is aborted through its `signal`,
+ * e.g. because a newer request superseded it. Callers usually ignore it.
+ *
+ * @class
+ * @extends {CustomError}
+ *
+ * @author `NatBitton54`
+ */
+export class RequestCancelledError extends CustomError {
+    constructor(url) {
+        super('Request was cancelled', 0, { url });
+        this.name = 'RequestCancelledError';
+    }
+}
+
+/**
+ * Default retry policy: idempotent methods only, retried on network failures,
+ * timeouts, rate limiting and transient gateway errors.
+ *
+ * - `retries`       Maximum number of retries after the first attempt.
+ * - `baseDelay`     Delay (ms) before the first retry; doubles on each retry.
+ * - `maxDelay`      Upper bound (ms) for a computed backoff delay.
+ * - `maxRetryAfter` Longest `Retry-After` (ms) we are willing to wait; longer ones are not retried.
+ * - `methods`       HTTP methods that may be retried.
+ * - `timeoutMethods` HTTP methods that may be retried after a client-side timeout. The server may
+ *                   still have applied a PUT/DELETE we stopped waiting for, so a retry could report
+ *                   a false failure (e.g. a 404 for a record that was in fact deleted).
+ * - `statusCodes`   Status codes that trigger a retry (0 = network error, 408 = timeout).
+ *
+ * @type {object}
+ */
+export const DEFAULT_RETRY_POLICY = {
+    retries: 2,
+    baseDelay: 300,
+    maxDelay: 5000,
+    maxRetryAfter: 30000,
+    methods: ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'],
+    timeoutMethods: ['GET', 'HEAD', 'OPTIONS'],
+    statusCodes: [0, 408, 429, 502, 503, 504]
+};
+
+/**
+ * Parses a `Retry-After` header (delay in seconds or an HTTP date) into milliseconds.
+ *
+ * @param {string|null} value - Raw header value.
+ * @returns {number|null} Delay in milliseconds, or null if absent/invalid.
+ */
+const parseRetryAfter = (value) => {
+    if (!value) return null;
+
+    const seconds = Number(value);
+    if (!Number.isNaN(seconds)) return Math.max(0, seconds * 1000);
+
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+};
+
+/**
+ * Computes an exponential backoff delay with "equal jitter":
+ * half of the delay is fixed and the other half is random.
+ *
+ * @param {number} attempt - Zero-based retry number.
+ * @param {object} policy - Retry policy.
+ * @returns {number} Delay in milliseconds.
+ */
+const backoffDelay = (attempt, policy) => {
+    const delay = Math.min(policy.maxDelay, policy.baseDelay * 2 ** attempt);
+    return delay / 2 + Math.random() * (delay / 2);
+};
+
+/**
+ * Waits for the given time, rejecting early if the signal is aborted.
+ *
+ * @param {number} ms - Time to wait in milliseconds.
+ * @param {AbortSignal} [signal] - Signal that interrupts the wait.
+ * @param {string} url - Request URL, used for the cancellation error.
+ * @returns {Promise<void>}
+ */
+const wait = (ms, signal, url) => new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+        reject(new RequestCancelledError(url));
+        return;
+    }
+
+    const onAbort = () => {
+        clearTimeout(timer);
+        reject(new RequestCancelledError(url));
+    };
+    const timer = setTimeout(() => {
+        signal?.removeEventListener('abort', onAbort);
+        resolve();
+    }, ms);
+
+    signal?.addEventListener('abort', onAbort, { once: true });
+});
+
+/**
+ * Appends query parameters to a URI, keeping any query string it already has.
+ * Parameters with `undefined`, `null` or empty values are skipped.
+ *
+ * @param {string} uri - Endpoint path, optionally with a query string.
+ * @param {object} [params={}] - Parameters to append.
+ * @returns {string} The URI including the extra parameters.
+ */
+const withParams = (uri, params = {}) => {
+    const query = new URLSearchParams();
+    Object.entries(params).forEach(([key, value]) => {
+        if (value !== undefined && value !== null && value !== '') query.set(key, value);
+    });
+
+    const extra = query.toString();
+    if (!extra) return uri;
+    return `${uri}${uri.includes('?') ? '&' : '?'}${extra}`;
+};
+
+/**
+ * Built-in request interceptor that logs every outgoing request.
+ * Off by default; turn it on with the `logging` option or `client.setLogging(true)`.
+ *
+ * @param {object} request - Outgoing request.
+ * @param {FetchWrapper} client - Client sending the request.
+ * @returns {object} The unchanged request.
+ */
+export const logRequest = (request, client) => {
+    console.log(`Making request to: ${client.baseURL}${withParams(request.uri, request.params)}`);
+    return request;
+};
+
+/**
+ * InterceptorManager keeps an ordered list of interceptors for one side
+ * (requests or responses) of a FetchWrapper.
+ *
+ * @class
+ * @author `NatBitton54`
+ */
+export class InterceptorManager {
+    constructor() {
+        this.handlers = [];
+        this.nextId = 0;
+    }
+
+    /**
+     * Registers an interceptor.
+     *
+     * @param {function} [fulfilled] - Receives the request/response and returns the (possibly changed) value.
+     * @param {function} [rejected] - Receives an error; may throw a mapped error or return a value to recover.
+     * @returns {number} Id to pass to `eject`.
+     */
+    use(fulfilled, rejected) {
+        const id = this.nextId++;
+        this.handlers.push({ id, fulfilled, rejected });
+        return id;
+    }
+
+    /**
+     * Removes a previously registered interceptor.
+     *
+     * @param {number} id - Id returned by `use`.
+     */
+    eject(id) {
+        this.handlers = this.handlers.filter((handler) => handler.id !== id);
+    }
+
+    /**
+     * Removes every interceptor.
+     */
+    clear() {
+        this.handlers = [];
+    }
+}
+
 /**
  * FetchWrapper provides a reusable interface for performing HTTP requests using the Fetch API.
  * Supports all common methods (GET, POST, PUT, DELETE) and includes unified error handling.
+ * Every request can be cancelled through an `AbortSignal` and is aborted after a timeout.
+ * Failed requests are retried with exponential backoff according to a retry policy.
+ * GET responses can be cached through a `ResponseCache`; successful POST/PUT/DELETE
+ * requests invalidate the cached entries of the resource they touched.
+ *
+ * Requests and responses pass through interceptor chains (`client.interceptors.request`
+ * and `client.interceptors.response`). Request interceptors receive
+ * `{ uri, method, headers, body, params, ... }` and run last-registered first, like axios;
+ * response interceptors receive `{ status, data, etag }` and run in registration order.
  *
  * @class 
  * @author `NatBitton54`
@@ -30,41 +229,269 @@ export class CustomError extends Error {
 export class FetchWrapper {
     /**
     * @param {string} baseURL - The root URL to prepend to each request.
+    * @param {object} [config={}] - Client configuration.
+    * @param {number} [config.timeout=15000] - Default request timeout in milliseconds (0 disables it).
+    * @param {object|false} [config.retry] - Retry policy overrides (see `DEFAULT_RETRY_POLICY`), or `false` to disable retries.
+    * @param {import('./responseCache').ResponseCache|null} [config.cache=null] - Cache for GET responses.
+    * @param {boolean} [config.logging=false] - Register the built-in request logging interceptor.
     */
-    constructor(baseURL) {
+    constructor(baseURL, config = {}) {
         this.baseURL = baseURL;
+        this.timeout = config.timeout ?? 15000;
+        this.retry = config.retry === false
+            ? { ...DEFAULT_RETRY_POLICY, retries: 0 }
+            : { ...DEFAULT_RETRY_POLICY, ...config.retry };
+        this.cache = config.cache || null;
+        this.interceptors = {
+            request: new InterceptorManager(),
+            response: new InterceptorManager()
+        };
+        this.loggingId = null;
+        this.setLogging(config.logging ?? false);
+    }
+
+    /**
+     * Turns the built-in request logging interceptor on or off.
+     *
+     * @param {boolean} enabled - Whether requests should be logged.
+     * @author `NatBitton54`
+     */
+    setLogging(enabled) {
+        if (enabled && this.loggingId === null) {
+            this.loggingId = this.interceptors.request.use(logRequest);
+        } else if (!enabled && this.loggingId !== null) {
+            this.interceptors.request.eject(this.loggingId);
+            this.loggingId = null;
+        }
+    }
+
+    /**
+     * Runs the request interceptors, last-registered first, promise-chain style like the
+     * response chain: an error thrown by a `fulfilled` handler is passed to the `rejected`
+     * handlers of the interceptors that run after it, which may return a request to recover.
+     * If the chain ends rejected, the request is not sent.
+     *
+     * @param {object} request - Outgoing request.
+     * @returns {Promise<object>} The final request.
+     * @throws {Error} The final error if the chain ends rejected.
+     */
+    async applyRequestInterceptors(request) {
+        let chain = Promise.resolve(request);
+
+        [...this.interceptors.request.handlers].reverse().forEach(({ fulfilled, rejected }) => {
+            chain = chain.then(
+                fulfilled ? (result) => fulfilled(result, this) : undefined,
+                rejected ? (error) => rejected(error, this) : undefined
+            );
+        });
+
+        return chain;
     }
 
     /**
-      * Performs an HTTP request to the specified URI with given options.
+     * Runs the response interceptors in registration order, promise-chain style:
+     * a `fulfilled` handler may throw to reject the response, and a `rejected`
+     * handler may return a response to recover from an error.
+     *
+     * @param {Promise<object>} pending - The network response.
+     * @param {object} request - The request that produced it.
+     * @returns {Promise<object>} The final response.
+     * @throws {Error} The final error if the chain ends rejected.
+     */
+    async applyResponseInterceptors(pending, request) {
+        let chain = pending;
+
+        this.interceptors.response.handlers.forEach(({ fulfilled, rejected }) => {
+            chain = chain.then(
+                fulfilled ? (response) => fulfilled(response, request, this) : undefined,
+                rejected ? (error) => rejected(error, request, this) : undefined
+            );
+        });
+
+        return chain;
+    }
+
+    /**
+     * Sends a prepared request over the network (with retries) and runs the response interceptors.
+     * A 304 revalidation skips them, since the cached data was already processed.
+     *
+     * @param {object} request - Request after the request interceptors.
+     * @returns {Promise<{status: number, data: object|string, etag: string|null}>}
+     */
+    async fetchResponse(request) {
+        const uri = withParams(request.uri, request.params);
+        const pending = this.requestWithRetry(uri, request);
+
+        const response = await pending.catch(() => null);
+        if (response?.status === 304) return response;
+
+        return this.applyResponseInterceptors(pending, request);
+    }
+
+    /**
+      * Performs an HTTP request, serving GET requests from the cache when possible.
+      *
+      * - A fresh cache entry is returned without touching the network.
+      * - A stale entry with an `ETag` is revalidated with `If-None-Match`; a 304 keeps the cached data.
+      * - A successful POST/PUT/DELETE invalidates cached entries of the same resource.
+      *
+      * Request interceptors run before the cache lookup, so query defaults they add are part of the cache key.
       *
       * @param {string} uri - The endpoint path (relative to baseURL).
       * @param {object} [options={}] - Options including method, headers, and body.
+      * @param {AbortSignal} [options.signal] - Signal that cancels the request (and any pending retry) when aborted.
+      * @param {number} [options.timeout] - Timeout in milliseconds for each attempt, overriding the client default.
+      * @param {object|false} [options.retry] - Per-request retry policy overrides, or `false` to disable retries.
+      * @param {boolean} [options.cache=true] - Set to `false` to bypass the cache for this request.
+      * @param {object} [options.params] - Extra query parameters to append to the URI.
       * @returns {Promise<object|string>} Parsed JSON or text response.
+      * @throws {CustomError} The error of the last attempt once retries are exhausted or not allowed,
+      * or whatever error a response interceptor maps it to.
+      *
+      * @author `NatBitton54`
+      */
+    async sendRequest(uri, options = {}) {
+        const request = await this.applyRequestInterceptors({
+            ...options,
+            uri,
+            method: (options.method || 'GET').toUpperCase(),
+            headers: {
+                'Content-Type': 'application/json',
+                'Accept': 'application/json',
+                ...options.headers
+            },
+            params: { ...options.params }
+        });
+        const target = withParams(request.uri, request.params);
+
+        if (!this.cache || request.method !== 'GET' || request.cache === false) {
+            const { data } = await this.fetchResponse(request);
+
+            if (this.cache && request.method !== 'GET') {
+                this.cache.invalidate(target, this.baseURL);
+            }
+            return data;
+        }
+
+        const key = `${this.baseURL}${target}`;
+        const cached = this.cache.get(key);
+
+        if (this.cache.isFresh(cached)) {
+            return cached.data;
+        }
+
+        const headers = cached?.etag
+            ? { ...request.headers, 'If-None-Match': cached.etag }
+            : request.headers;
+
+        const response = await this.fetchResponse({ ...request, headers });
+
+        if (response.status === 304 && cached) {
+            this.cache.set(key, target, cached.data, cached.etag);
+            return cached.data;
+        }
+
+        this.cache.set(key, target, response.data, response.etag);
+        return response.data;
+    }
+
+    /**
+      * Performs an HTTP request, retrying transient failures according to the retry policy.
+      * The number of retries made is recorded on the thrown error as `error.retries`.
+      * A `Retry-After` header on the failed response takes precedence over the computed backoff.
+      *
+      * @param {string} uri - The endpoint path (relative to baseURL).
+      * @param {object} [options={}] - Options including method, headers, and body.
+      * @param {AbortSignal} [options.signal] - Signal that cancels the request (and any pending retry) when aborted.
+      * @param {number} [options.timeout] - Timeout in milliseconds for each attempt, overriding the client default.
+      * @param {object|false} [options.retry] - Per-request retry policy overrides, or `false` to disable retries.
+      * @returns {Promise<{status: number, data: object|string, etag: string|null}>} Status, parsed body and `ETag` of the response.
+      * @throws {CustomError} The error of the last attempt once retries are exhausted or not allowed.
+      *
+      * @author `NatBitton54`
+      */
+    async requestWithRetry(uri, options = {}) {
+        const policy = options.retry === false
+            ? { ...this.retry, retries: 0 }
+            : { ...this.retry, ...options.retry };
+        const method = (options.method || 'GET').toUpperCase();
+        const canRetry = policy.methods.includes(method);
+
+        for (let attempt = 0; ; attempt++) {
+            try {
+                return await this.attemptRequest(uri, options);
+            } catch (error) {
+                error.retries = attempt;
+
+                const retryable = canRetry
+                    && attempt < policy.retries
+                    && !(error instanceof RequestCancelledError)
+                    && !(error instanceof RequestTimeoutError && !policy.timeoutMethods.includes(method))
+                    && policy.statusCodes.includes(error.statusCode);
+
+                if (!retryable) throw error;
+                if (error.retryAfter !== null && error.retryAfter > policy.maxRetryAfter) throw error;
+
+                const delay = error.retryAfter ?? backoffDelay(attempt, policy);
+                await wait(delay, options.signal, `${this.baseURL}${uri}`);
+            }
+        }
+    }
+
+    /**
+      * Performs a single HTTP request attempt to the specified URI with given options.
+      *
+      * @param {string} uri - The endpoint path (relative to baseURL).
+      * @param {object} [options={}] - Options including method, headers, and body.
+      * @param {AbortSignal} [options.signal] - Signal that cancels the request when aborted.
+      * @param {number} [options.timeout] - Timeout in milliseconds, overriding the client default.
+      * @returns {Promise<{status: number, data: object|string, etag: string|null}>} Status, parsed body and `ETag` of the response.
+      * @throws {RequestTimeoutError} If the request takes longer than the timeout.
+      * @throws {RequestCancelledError} If the request is aborted through `options.signal`.
       * @throws {CustomError} Throws a wrapped error if fetch fails or response is not OK.
       * 
       * @author `NatBitton54`
       */
-    async sendRequest(uri, options = {}) {
+    async attemptRequest(uri, options = {}) {
         const headers = {
             'Content-Type': 'application/json',
             'Accept': 'application/json',
             ...options.headers
         };
 
+        const controller = new AbortController();
+        const timeout = options.timeout ?? this.timeout;
+        let timedOut = false;
+
         const fetchOptions = {
             method: options.method || 'GET',
             headers,
-            body: options.body ? JSON.stringify(options.body) : null
+            body: options.body ? JSON.stringify(options.body) : null,
+            signal: controller.signal
         };
 
         const url = `${this.baseURL}${uri}`;
-        console.log(`Making request to: ${url}`);
+
+        // Forward the caller's signal and the timeout to a single internal controller
+        const abortFromCaller = () => controller.abort();
+        if (options.signal?.aborted) {
+            controller.abort();
+        } else {
+            options.signal?.addEventListener('abort', abortFromCaller);
+        }
+
+        const timer = timeout > 0
+            ? setTimeout(() => {
+                timedOut = true;
+                controller.abort();
+            }, timeout)
+            : null;
 
         try {
             const response = await fetch(url, fetchOptions);
 
-            const isJSON = response.headers.get('Content-Type')?.includes('application/json');
+            // Also matches application/problem+json error bodies
+            const isJSON = /[/+]json\b/.test(response.headers.get('Content-Type') || '');
 
             let responseData = null;
             if (isJSON) {
@@ -73,20 +500,36 @@ export class FetchWrapper {
                 responseData = await response.text();
             }
 
-            if (!response.ok) {
-                throw new CustomError(
+            // 304 Not Modified answers a conditional GET; the caller keeps its cached copy
+            if (!response.ok && response.status !== 304) {
+                const error = new CustomError(
                     responseData?.message || response.statusText || 'Unknown error',
                     response.status,
                     responseData
                 );
+                error.retryAfter = parseRetryAfter(response.headers.get('Retry-After'));
+                throw error;
             }
 
-            return responseData;
+            return {
+                status: response.status,
+                data: responseData,
+                etag: response.headers.get('ETag')
+            };
         } catch (error) {
+            if (timedOut) {
+                throw new RequestTimeoutError(timeout, url);
+            }
+            if (controller.signal.aborted) {
+                throw new RequestCancelledError(url);
+            }
             if (!(error instanceof CustomError)) {
                 throw new CustomError(error.message || 'Network Error', 0, {});
             }
             throw error;
+        } finally {
+            clearTimeout(timer);
+            options.signal?.removeEventListener('abort', abortFromCaller);
         }
     }
 
@@ -94,12 +537,13 @@ export class FetchWrapper {
       * Sends a GET request.
       * @param {string} uri - Endpoint.
       * @param {object} [headers={}] - Optional headers.
+      * @param {object} [options={}] - Optional `signal`, `timeout` and `retry`.
       * @returns {Promise<any>}
       * 
       * @author `NatBitton54`
       */
-    get(uri, headers = {}) {
-        return this.sendRequest(uri, { method: 'GET', headers });
+    get(uri, headers = {}, options = {}) {
+        return this.sendRequest(uri, { ...options, method: 'GET', headers });
     }
 
     /**
@@ -107,12 +551,13 @@ export class FetchWrapper {
     * @param {string} uri - Endpoint.
     * @param {object} body - Request payload.
     * @param {object} [headers={}] - Optional headers.
+    * @param {object} [options={}] - Optional `signal`, `timeout` and `retry`.
     * @returns {Promise<any>}
     * 
     * @author `NatBitton54`
     */
-    post(uri, body, headers = {}) {
-        return this.sendRequest(uri, { method: 'POST', body, headers });
+    post(uri, body, headers = {}, options = {}) {
+        return this.sendRequest(uri, { ...options, method: 'POST', body, headers });
     }
 
      /**
@@ -120,12 +565,13 @@ export class FetchWrapper {
      * @param {string} uri - Endpoint.
      * @param {object} body - Request payload.
      * @param {object} [headers={}] - Optional headers.
+     * @param {object} [options={}] - Optional `signal`, `timeout` and `retry`.
      * @returns {Promise<any>}
      * 
      * @author `NatBitton54`
      */
-    put(uri, body, headers = {}) {
-        return this.sendRequest(uri, { method: 'PUT', body, headers });
+    put(uri, body, headers = {}, options = {}) {
+        return this.sendRequest(uri, { ...options, method: 'PUT', body, headers });
     }
 
     /**
@@ -133,11 +579,156 @@ export class FetchWrapper {
      * @param {string} uri - Endpoint.
      * @param {object|null} [body=null] - Optional payload.
      * @param {object} [headers={}] - Optional headers.
+     * @param {object} [options={}] - Optional `signal`, `timeout` and `retry`.
      * @returns {Promise<any>}
      * 
      * @author `NatBitton54`
      */
-    delete(uri, body = null, headers = {}) {
-        return this.sendRequest(uri, { method: 'DELETE', body, headers });
+    delete(uri, body = null, headers = {}, options = {}) {
+        return this.sendRequest(uri, { ...options, method: 'DELETE', body, headers });
+    }
+
+    /**
+     * Walks a run of pages of a paginated collection and yields each page's full response
+     * (`data` and `metadata`) in page order. Page `from` is fetched alone to learn
+     * `metadata.total_pages`, which caps `to`; the remaining pages are then fetched in
+     * parallel, never more than `concurrency` at a time.
+     *
+     * Stopping the loop early (`break`) or aborting `signal` cancels the pages still in flight.
+     * Shared by `paginate` and `fetchPageRange`.
+     *
+     * @param {string} uri - Collection endpoint (e.g. `/habitats`), optionally with filter params.
+     * @param {object} [options={}]
+     * @param {number} [options.from=1] - First page to load.
+     * @param {number} [options.to=Infinity] - Last page to load (inclusive); capped at the last page there is.
+     * @param {number} [options.pageSize=20] - Records per page.
+     * @param {number} [options.concurrency=4] - Maximum number of pages requested at once.
+     * @param {AbortSignal} [options.signal] - Cancels the walk when aborted.
+     * @param {object} [options.headers={}] - Optional headers.
+     * @yields {{page: number, lastPage: number, response: object}} Each page number, the capped last page and the response.
+     * @throws {RequestCancelledError} If `signal` is aborted.
+     *
+     * @author `NatBitton54`
+     */
+    async *pageResponses(uri, options = {}) {
+        const { from = 1, to = Infinity, pageSize = 20, concurrency = 4, signal, headers = {} } = options;
+        const controller = new AbortController();
+        const abort = () => controller.abort();
+
+        if (signal?.aborted) controller.abort();
+        signal?.addEventListener('abort', abort);
+
+        const fetchPage = (page) => this.get(
+            withParams(uri, { page, pageSize }),
+            headers,
+            { signal: controller.signal }
+        );
+
+        try {
+            const first = await fetchPage(from);
+            const lastPage = Math.min(to, first.metadata?.total_pages || 1);
+
+            yield { page: from, lastPage, response: first };
+
+            const pending = new Map();
+            let nextPage = from + 1;
+
+            const launch = () => {
+                while (nextPage <= lastPage && pending.size < concurrency) {
+                    const request = fetchPage(nextPage);
+                    // Errors surface when the page is awaited in order; avoid unhandled rejections meanwhile
+                    request.catch(() => {});
+                    pending.set(nextPage, request);
+                    nextPage++;
+                }
+            };
+
+            for (let page = from + 1; page <= lastPage; page++) {
+                launch();
+                const response = await pending.get(page);
+                pending.delete(page);
+
+                yield { page, lastPage, response };
+            }
+        } finally {
+            controller.abort();
+            signal?.removeEventListener('abort', abort);
+        }
+    }
+
+    /**
+     * Walks every page of a paginated collection (`metadata.total_pages`) and yields
+     * each page's `data` array in page order, with the bounded concurrency of `pageResponses`.
+     *
+     * Stopping the loop early (`break`) or aborting `signal` cancels the pages still in flight.
+     *
+     * @param {string} uri - Collection endpoint (e.g. `/habitats`), optionally with filter params.
+     * @param {object} [options={}]
+     * @param {number} [options.pageSize=20] - Records per page.
+     * @param {number} [options.concurrency=4] - Maximum number of pages requested at once.
+     * @param {AbortSignal} [options.signal] - Cancels the walk when aborted.
+     * @param {function({loaded: number, total: number, items: number}): void} [options.onProgress] - Called after each page arrives.
+     * @param {object} [options.headers={}] - Optional headers.
+     * @yields {Array<object>} The records of one page.
+     * @throws {RequestCancelledError} If `signal` is aborted.
+     *
+     * @author `NatBitton54`
+     */
+    async *paginate(uri, options = {}) {
+        const { onProgress, ...rest } = options;
+        let items = 0;
+
+        for await (const { page, lastPage, response } of this.pageResponses(uri, { ...rest, from: 1 })) {
+            items += (response.data || []).length;
+            onProgress?.({ loaded: page, total: lastPage, items });
+            yield response.data || [];
+        }
+    }
+
+    /**
+     * Loads every record of a paginated collection using `paginate`.
+     *
+     * @param {string} uri - Collection endpoint (e.g. `/habitats`).
+     * @param {object} [options={}] - Same options as `paginate`.
+     * @returns {Promise<Array<object>>} All records, in page order.
+     *
+     * @author `NatBitton54`
+     */
+    async fetchAll(uri, options = {}) {
+        const all = [];
+        for await (const items of this.paginate(uri, options)) {
+            all.push(...items);
+        }
+        return all;
+    }
+
+    /**
+     * Loads a run of consecutive pages and joins their records, e.g. to rebuild an
+     * infinite-scroll list up to the furthest page it had reached. `to` is capped at
+     * the collection's last page, and pages are requested like `pageResponses` does.
+     *
+     * @param {string} uri - Collection endpoint (e.g. `/habitats`), optionally with filter params.
+     * @param {object} options
+     * @param {number} options.from - First page to load.
+     * @param {number} options.to - Last page to load (inclusive).
+     * @param {number} [options.pageSize=20] - Records per page.
+     * @param {number} [options.concurrency=4] - Maximum number of pages requested at once.
+     * @param {AbortSignal} [options.signal] - Cancels every page when aborted.
+     * @param {object} [options.headers={}] - Optional headers.
+     * @returns {Promise<{data: Array<object>, metadata: object}>} The records in page order,
+     *   with the `metadata` of the last page loaded.
+     * @throws {RequestCancelledError} If `signal` is aborted.
+     *
+     * @author `NatBitton54`
+     */
+    async fetchPageRange(uri, options) {
+        const data = [];
+        let metadata = {};
+
+        for await (const { response } of this.pageResponses(uri, options)) {
+            data.push(...(response.data || []));
+            metadata = response.metadata || {};
+        }
+        return { data, metadata };
     }
 }
@@ -0,0 +1,257 @@
+import { CustomError, FetchWrapper, RequestCancelledError, RequestTimeoutError } from './fetchWrapper';
+import { ResponseCache } from './responseCache';
+
+const BASE_URL = 'http://api.test';
+
+/**
+ * Builds the minimal Response-like object `attemptRequest` reads.
+ *
+ * @param {number} status - HTTP status.
+ * @param {any} [body=null] - JSON body.
+ * @param {Object<string, string>} [headers={}] - Extra response headers.
+ * @returns {object}
+ */
+const respond = (status, body = null, headers = {}) => {
+    const all = { 'Content-Type': 'application/json', ...headers };
+    return {
+        ok: status >= 200 && status < 300,
+        status,
+        statusText: `Status ${status}`,
+        headers: { get: (name) => all[name] ?? null },
+        json: async () => body,
+        text: async () => JSON.stringify(body)
+    };
+};
+
+/**
+ * A fetch that only settles when its request is aborted.
+ */
+const hangingFetch = (url, { signal }) => new Promise((resolve, reject) => {
+    signal.addEventListener('abort', () => reject(new Error('The operation was aborted.')));
+});
+
+const createClient = (config = {}) => new FetchWrapper(BASE_URL, { logging: false, ...config });
+
+beforeEach(() => {
+    global.fetch = jest.fn();
+});
+
+afterEach(() => {
+    delete global.fetch;
+});
+
+describe('retries', () => {
+    it('retries a GET after a 503 and returns the next successful response', async () => {
+        fetch
+            .mockResolvedValueOnce(respond(503, { message: 'Unavailable' }))
+            .mockResolvedValueOnce(respond(200, { data: ['ok'] }));
+
+        const client = createClient({ retry: { baseDelay: 1 } });
+
+        await expect(client.get('/species')).resolves.toEqual({ data: ['ok'] });
+        expect(fetch).toHaveBeenCalledTimes(2);
+    });
+
+    it('waits for Retry-After instead of the computed backoff', async () => {
+        fetch
+            .mockResolvedValueOnce(respond(429, { message: 'Slow down' }, { 'Retry-After': '0.05' }))
+            .mockResolvedValueOnce(respond(200, { data: [] }));
+
+        // The backoff alone would outlast the test timeout
+        const client = createClient({ retry: { baseDelay: 60000, maxDelay: 60000 } });
+        const started = Date.now();
+
+        await expect(client.get('/species')).resolves.toEqual({ data: [] });
+        expect(fetch).toHaveBeenCalledTimes(2);
+        expect(Date.now() - started).toBeGreaterThanOrEqual(40);
+    });
+
+    it('gives up when Retry-After is longer than maxRetryAfter', async () => {
+        fetch.mockResolvedValue(respond(503, { message: 'Unavailable' }, { 'Retry-After': '120' }));
+
+        const client = createClient();
+
+        await expect(client.get('/species')).rejects.toMatchObject({ statusCode: 503, retries: 0 });
+        expect(fetch).toHaveBeenCalledTimes(1);
+    });
+
+    it('does not retry a POST', async () => {
+        fetch.mockResolvedValue(respond(503, { message: 'Unavailable' }));
+
+        const client = createClient({ retry: { baseDelay: 1 } });
+
+        await expect(client.post('/species', [{ species_id: 'SP-1' }])).rejects.toBeInstanceOf(CustomError);
+        expect(fetch).toHaveBeenCalledTimes(1);
+    });
+});
+
+describe('timeouts', () => {
+    it('rejects with RequestTimeoutError once the timeout elapses', async () => {
+        fetch.mockImplementation(hangingFetch);
+
+        const client = createClient({ timeout: 20, retry: false });
+
+        await expect(client.get('/species')).rejects.toBeInstanceOf(RequestTimeoutError);
+    });
+
+    it('retries a GET after a client timeout', async () => {
+        fetch
+            .mockImplementationOnce(hangingFetch)
+            .mockResolvedValueOnce(respond(200, { data: [] }));
+
+        const client = createClient({ timeout: 20, retry: { baseDelay: 1 } });
+
+        await expect(client.get('/species')).resolves.toEqual({ data: [] });
+        expect(fetch).toHaveBeenCalledTimes(2);
+    });
+
+    it('does not retry a DELETE after a client timeout, since the server may have applied it', async () => {
+        fetch.mockImplementation(hangingFetch);
+
+        const client = createClient({ timeout: 20, retry: { baseDelay: 1 } });
+
+        await expect(client.delete('/species', ['SP-1'])).rejects.toBeInstanceOf(RequestTimeoutError);
+        expect(fetch).toHaveBeenCalledTimes(1);
+    });
+});
+
+describe('response cache', () => {
+    it('serves the cached data when a stale entry is revalidated with a 304', async () => {
+        fetch
+            .mockResolvedValueOnce(respond(200, { data: ['cached'] }, { ETag: '"v1"' }))
+            .mockResolvedValueOnce(respond(304));
+
+        // A zero TTL makes every entry stale right away
+        const client = createClient({ cache: new ResponseCache({ defaultTTL: 0 }) });
+
+        await client.get('/species');
+        await expect(client.get('/species')).resolves.toEqual({ data: ['cached'] });
+
+        expect(fetch).toHaveBeenCalledTimes(2);
+        expect(fetch.mock.calls[1][1].headers['If-None-Match']).toBe('"v1"');
+    });
+
+    it('invalidates cached entries of a resource after a PUT', async () => {
+        fetch
+            .mockResolvedValueOnce(respond(200, { data: ['before'] }))
+            .mockResolvedValueOnce(respond(200, { rowsAffected: 1 }))
+            .mockResolvedValueOnce(respond(200, { data: ['after'] }));
+
+        const client = createClient({ cache: new ResponseCache({ defaultTTL: 60000 }) });
+
+        await client.get('/species?page=1');
+        await expect(client.get('/species?page=1')).resolves.toEqual({ data: ['before'] });
+        expect(fetch).toHaveBeenCalledTimes(1);
+
+        await client.put('/species', [{ species_id: 'SP-1' }]);
+        await expect(client.get('/species?page=1')).resolves.toEqual({ data: ['after'] });
+        expect(fetch).toHaveBeenCalledTimes(3);
+    });
+});
+
+describe('paging', () => {
+    /**
+     * Serves `pages` pages of two records each after a short delay, recording the
+     * most requests in flight at once.
+     */
+    const pagedFetch = (pages) => {
+        const stats = { inFlight: 0, maxInFlight: 0 };
+        fetch.mockImplementation(async (url) => {
+            const page = Number(new URL(url).searchParams.get('page'));
+            stats.inFlight++;
+            stats.maxInFlight = Math.max(stats.maxInFlight, stats.inFlight);
+            await new Promise((resolve) => setTimeout(resolve, 5));
+            stats.inFlight--;
+            return respond(200, { data: [`${page}a`, `${page}b`], metadata: { total_pages: pages } });
+        });
+        return stats;
+    };
+
+    it('fetchAll joins every page in order, never more than `concurrency` at a time', async () => {
+        const stats = pagedFetch(6);
+        const onProgress = jest.fn();
+
+        const all = await createClient().fetchAll('/species?class=Aves', { pageSize: 2, concurrency: 2, onProgress });
+
+        expect(all).toEqual(['1a', '1b', '2a', '2b', '3a', '3b', '4a', '4b', '5a', '5b', '6a', '6b']);
+        expect(fetch.mock.calls[0][0]).toBe(`${BASE_URL}/species?class=Aves&page=1&pageSize=2`);
+        expect(stats.maxInFlight).toBe(2);
+        expect(onProgress).toHaveBeenLastCalledWith({ loaded: 6, total: 6, items: 12 });
+    });
+
+    it('fetchPageRange caps the range at the last page', async () => {
+        pagedFetch(3);
+
+        const { data, metadata } = await createClient().fetchPageRange('/species', { from: 2, to: 10 });
+
+        expect(data).toEqual(['2a', '2b', '3a', '3b']);
+        expect(metadata.total_pages).toBe(3);
+        expect(fetch).toHaveBeenCalledTimes(2);
+    });
+
+    it('cancels the pages still in flight when the signal is aborted', async () => {
+        const pending = [];
+        fetch.mockImplementation((url, options) => {
+            if (new URL(url).searchParams.get('page') === '1') {
+                return Promise.resolve(respond(200, { data: ['1a'], metadata: { total_pages: 10 } }));
+            }
+            pending.push(options.signal);
+            return hangingFetch(url, options);
+        });
+
+        const controller = new AbortController();
+        const all = createClient({ retry: false }).fetchAll('/species', { concurrency: 3, signal: controller.signal });
+
+        await new Promise((resolve) => setTimeout(resolve, 5));
+        expect(pending).toHaveLength(3);
+
+        controller.abort();
+        await expect(all).rejects.toBeInstanceOf(RequestCancelledError);
+        expect(pending.every((signal) => signal.aborted)).toBe(true);
+        expect(fetch).toHaveBeenCalledTimes(4);
+    });
+});
+
+describe('interceptors', () => {
+    it('does not log requests unless logging is turned on', async () => {
+        fetch.mockResolvedValue(respond(200, { data: [] }));
+        const log = jest.spyOn(console, 'log').mockImplementation(() => {});
+
+        try {
+            await new FetchWrapper(BASE_URL).get('/species');
+            expect(log).not.toHaveBeenCalled();
+
+            await new FetchWrapper(BASE_URL, { logging: true }).get('/species');
+            expect(log).toHaveBeenCalledWith(`Making request to: ${BASE_URL}/species`);
+        } finally {
+            log.mockRestore();
+        }
+    });
+
+    it('passes a request interceptor error to the rejected handlers that run after it', async () => {
+        fetch.mockResolvedValue(respond(200, { data: [] }));
+        const client = createClient();
+
+        // Request interceptors run last-registered first
+        client.interceptors.request.use(undefined, (error) => ({
+            uri: '/species', method: 'GET', headers: { 'X-Recovered': error.message }, params: {}
+        }));
+        client.interceptors.request.use(() => {
+            throw new Error('no token');
+        });
+
+        await client.get('/habitats');
+        expect(fetch.mock.calls[0][0]).toBe(`${BASE_URL}/species`);
+        expect(fetch.mock.calls[0][1].headers['X-Recovered']).toBe('no token');
+    });
+
+    it('does not send the request when the request chain ends rejected', async () => {
+        const client = createClient();
+        client.interceptors.request.use(() => {
+            throw new Error('blocked');
+        });
+
+        await expect(client.get('/species')).rejects.toThrow('blocked');
+        expect(fetch).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,43 @@
+/**
+ * Collects the distinct values of one field, for autocomplete suggestions.
+ *
+ * @function
+ * @param {Array<object>} rows - Records to read.
+ * @param {string} field - Record field, e.g. `genus` or `climate`.
+ * @returns {string[]} Non-empty values without duplicates (case-insensitive), sorted.
+ * @author `NatBitton54`
+ */
+export const distinctValues = (rows, field) => {
+    const values = new Map();
+    rows.forEach((row) => {
+        const value = row?.[field] == null ? '' : String(row[field]).trim();
+        if (value && !values.has(value.toLowerCase())) values.set(value.toLowerCase(), value);
+    });
+    return [...values.values()].sort((a, b) => a.localeCompare(b));
+};
+
+/**
+ * Picks the values that contain the typed text, those starting with it first.
+ * A value equal to the text is left out, since there is nothing to complete.
+ *
+ * @function
+ * @param {string[]} values - Candidate values (see `distinctValues`).
+ * @param {string} text - What the user typed.
+ * @param {number} [limit=8] - Most suggestions to return.
+ * @returns {string[]} Suggestions, in order.
+ * @author `NatBitton54`
+ */
+export const matchSuggestions = (values, text, limit = 8) => {
+    const needle = text.trim().toLowerCase();
+    if (!needle) return values.slice(0, limit);
+
+    const starts = [];
+    const contains = [];
+    values.forEach((value) => {
+        const lower = value.toLowerCase();
+        if (lower === needle) return;
+        if (lower.startsWith(needle)) starts.push(value);
+        else if (lower.includes(needle)) contains.push(value);
+    });
+    return [...starts, ...contains].slice(0, limit);
+};
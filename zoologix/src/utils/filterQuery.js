@@ -0,0 +1,53 @@
+/**
+ * Reads the active filter clauses from a URL query.
+ *
+ * Each clause is its own query param named after the API filter (`?diet=carnivore&class=Mammalia`).
+ * The older single-filter form (`?filter=diet&name=carnivore`) is still understood so
+ * existing links keep working.
+ *
+ * @function
+ * @param {URLSearchParams} params - The URL query.
+ * @param {Object<string, string>} fields - Allowed filter param → label.
+ * @returns {Object<string, string>} Filter param → search value, in URL order.
+ * @author `NatBitton54`
+ */
+export const readFilters = (params, fields) => {
+    const filters = {};
+    const legacyField = params.get('filter');
+
+    params.forEach((value, key) => {
+        if (key in fields && value.trim()) filters[key] = value;
+    });
+
+    if (legacyField && legacyField in fields) {
+        const legacyValue = params.get('name') || '';
+        // `name` holds the search term for the legacy field, not a name filter
+        if (legacyField !== 'name') delete filters.name;
+        if (legacyValue.trim()) filters[legacyField] = legacyValue;
+        else delete filters[legacyField];
+    }
+
+    return filters;
+};
+
+/**
+ * Builds a query string from filter clauses plus extra params such as pagination or sorting.
+ *
+ * @function
+ * @param {Object<string, string>} filters - Filter param → search value.
+ * @param {Object<string, string|number>} [extra={}] - Other params to append, e.g. `page`.
+ * @returns {string} The encoded query string, without the leading `?`.
+ * @author `NatBitton54`
+ */
+export const toFilterQuery = (filters, extra = {}) => {
+    const params = new URLSearchParams();
+
+    Object.entries(filters).forEach(([key, value]) => {
+        if (value && value.trim()) params.set(key, value.trim());
+    });
+    Object.entries(extra).forEach(([key, value]) => {
+        if (value !== undefined && value !== null && value !== '') params.append(key, value);
+    });
+
+    return params.toString();
+};
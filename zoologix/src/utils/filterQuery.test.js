@@ -0,0 +1,42 @@
+import { readFilters, toFilterQuery } from './filterQuery';
+
+const FIELDS = { name: 'Name', diet: 'Diet', class: 'Class' };
+
+describe('readFilters', () => {
+    it('reads one clause per allowed param, in URL order', () => {
+        const params = new URLSearchParams('class=Mammalia&page=2&diet=carnivore&colour=red&name=');
+
+        expect(Object.entries(readFilters(params, FIELDS))).toEqual([['class', 'Mammalia'], ['diet', 'carnivore']]);
+    });
+
+    it('understands the older `filter` + `name` links', () => {
+        expect(readFilters(new URLSearchParams('filter=diet&name=carnivore'), FIELDS)).toEqual({ diet: 'carnivore' });
+        expect(readFilters(new URLSearchParams('filter=name&name=lion'), FIELDS)).toEqual({ name: 'lion' });
+    });
+
+    it('drops a legacy clause without a search term', () => {
+        expect(readFilters(new URLSearchParams('filter=diet&diet=herbivore&name='), FIELDS)).toEqual({});
+    });
+
+    it('ignores a legacy field that is not allowed', () => {
+        expect(readFilters(new URLSearchParams('filter=colour&name=lion'), FIELDS)).toEqual({ name: 'lion' });
+    });
+});
+
+describe('toFilterQuery', () => {
+    it('trims the values and skips empty clauses and params', () => {
+        const query = toFilterQuery(
+            { diet: ' carnivore ', class: '  ' },
+            { page: 1, pageSize: 10, sort: undefined, view: null, mode: '' }
+        );
+
+        expect(query).toBe('diet=carnivore&page=1&pageSize=10');
+    });
+
+    it('encodes values that readFilters reads back unchanged', () => {
+        const filters = { name: "Père David's deer", class: 'Aves & co' };
+        const params = new URLSearchParams(toFilterQuery(filters));
+
+        expect(readFilters(params, FIELDS)).toEqual(filters);
+    });
+});
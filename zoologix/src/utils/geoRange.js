@@ -0,0 +1,142 @@
+/**
+ * Helpers for the habitat coordinate ranges returned by the API, such as
+ * `longitude_range: "30E to 45W"` and `latitude_range: "20N to 40S"`.
+ *
+ * Longitudes are signed degrees (east positive, -180 to 180) and latitudes
+ * are signed degrees (north positive, -90 to 90).
+ */
+
+/**
+ * Matches one end of a range, e.g. `30E` or `12.5 S`.
+ * @type {RegExp}
+ */
+const COORDINATE_PATTERN = /^(\d+(?:\.\d+)?)\s*°?\s*([NSEW])$/i;
+
+/**
+ * Parses one coordinate such as `45W` into signed degrees.
+ *
+ * @param {string} text - Coordinate text.
+ * @param {string} axis - `NS` for a latitude, `EW` for a longitude.
+ * @returns {number|null} The signed value, or null if the text is not a coordinate on that axis.
+ */
+const parseCoordinate = (text, axis) => {
+    const match = COORDINATE_PATTERN.exec(text.trim());
+    if (!match) return null;
+
+    const hemisphere = match[2].toUpperCase();
+    if (!axis.includes(hemisphere)) return null;
+
+    const value = parseFloat(match[1]);
+    if (value > (axis === 'NS' ? 90 : 180)) return null;
+    return hemisphere === 'S' || hemisphere === 'W' ? -value : value;
+};
+
+/**
+ * Splits a range such as `30E to 45W` into its two coordinates.
+ *
+ * @param {string} text - Range text.
+ * @param {string} axis - `NS` or `EW`.
+ * @returns {number[]|null} The two signed values, or null if the range cannot be read.
+ */
+const parseRange = (text, axis) => {
+    const ends = String(text || '').split(/\s+to\s+/i);
+    if (ends.length !== 2) return null;
+
+    const values = ends.map(end => parseCoordinate(end, axis));
+    return values.includes(null) ? null : values;
+};
+
+/**
+ * Parses a longitude range into its western and eastern edges.
+ *
+ * The API does not agree on which end comes first ("50W to 75W" lists the eastern edge
+ * first), so the range is taken as the shorter arc between the two longitudes. An arc that
+ * crosses the antimeridian (e.g. "170E to 150W") has `west` greater than `east`.
+ *
+ * @function
+ * @param {string} text - Range text, e.g. `30E to 45W`.
+ * @returns {{west: number, east: number}|null} The edges, or null if the range cannot be read.
+ * @author `NatBitton54`
+ */
+export const parseLongitudeRange = (text) => {
+    const values = parseRange(text, 'EW');
+    if (!values) return null;
+
+    const [a, b] = values;
+    const low = Math.min(a, b);
+    const high = Math.max(a, b);
+    return high - low <= 180 ? { west: low, east: high } : { west: high, east: low };
+};
+
+/**
+ * Parses a latitude range into its southern and northern edges (in either order).
+ *
+ * @function
+ * @param {string} text - Range text, e.g. `20N to 40S`.
+ * @returns {{south: number, north: number}|null} The edges, or null if the range cannot be read.
+ * @author `NatBitton54`
+ */
+export const parseLatitudeRange = (text) => {
+    const values = parseRange(text, 'NS');
+    if (!values) return null;
+
+    return { south: Math.min(...values), north: Math.max(...values) };
+};
+
+/**
+ * Reads the bounding box of a habitat from its coordinate ranges.
+ * Accepts both the API column names and the form field names (`long_range`, `lat_range`).
+ *
+ * @function
+ * @param {object} habitat - Habitat record.
+ * @returns {{west: number, east: number, south: number, north: number}|null}
+ *   The box, or null when either range is missing or cannot be read.
+ * @author `NatBitton54`
+ */
+export const habitatBounds = (habitat) => {
+    const longitude = parseLongitudeRange(habitat.longitude_range || habitat.long_range);
+    const latitude = parseLatitudeRange(habitat.latitude_range || habitat.lat_range);
+
+    return longitude && latitude ? { ...longitude, ...latitude } : null;
+};
+
+/**
+ * Checks whether a point lies inside a bounding box, edges included.
+ *
+ * @function
+ * @param {{west: number, east: number, south: number, north: number}} bounds - Box from `habitatBounds`.
+ * @param {number} longitude - Point longitude.
+ * @param {number} latitude - Point latitude.
+ * @returns {boolean}
+ * @author `NatBitton54`
+ */
+export const boundsContain = ({ west, east, south, north }, longitude, latitude) => {
+    if (latitude < south || latitude > north) return false;
+
+    return west <= east
+        ? longitude >= west && longitude <= east
+        : longitude >= west || longitude <= east;
+};
+
+/**
+ * Converts a bounding box to rectangles on an equirectangular map whose x runs
+ * from 0 (180W) to 360 (180E) and y from 0 (90N) to 180 (90S).
+ * A box crossing the antimeridian becomes two rectangles, one at each map edge.
+ *
+ * @function
+ * @param {{west: number, east: number, south: number, north: number}} bounds - Box from `habitatBounds`.
+ * @returns {Array<{x: number, y: number, width: number, height: number}>}
+ * @author `NatBitton54`
+ */
+export const toMapRects = ({ west, east, south, north }) => {
+    const y = 90 - north;
+    const height = north - south;
+
+    if (west <= east) {
+        return [{ x: west + 180, y, width: east - west, height }];
+    }
+    return [
+        { x: west + 180, y, width: 180 - west, height },
+        { x: 0, y, width: east + 180, height }
+    ];
+};
@@ -0,0 +1,76 @@
+import { boundsContain, habitatBounds, parseLatitudeRange, parseLongitudeRange, toMapRects } from './geoRange';
+
+describe('parseLongitudeRange', () => {
+    it('reads signed edges in either order', () => {
+        expect(parseLongitudeRange('30E to 45W')).toEqual({ west: -45, east: 30 });
+        expect(parseLongitudeRange('50W to 75W')).toEqual({ west: -75, east: -50 });
+        expect(parseLongitudeRange('12.5 e TO 40°E')).toEqual({ west: 12.5, east: 40 });
+    });
+
+    it('takes the shorter arc across the antimeridian', () => {
+        expect(parseLongitudeRange('170E to 150W')).toEqual({ west: 170, east: -150 });
+    });
+
+    it('rejects text that is not a longitude range', () => {
+        expect(parseLongitudeRange('20N to 40S')).toBeNull();
+        expect(parseLongitudeRange('190E to 10W')).toBeNull();
+        expect(parseLongitudeRange('30E')).toBeNull();
+        expect(parseLongitudeRange(undefined)).toBeNull();
+    });
+});
+
+describe('parseLatitudeRange', () => {
+    it('reads the southern and northern edges in either order', () => {
+        expect(parseLatitudeRange('20N to 40S')).toEqual({ south: -40, north: 20 });
+        expect(parseLatitudeRange('10S to 5S')).toEqual({ south: -10, north: -5 });
+    });
+
+    it('rejects latitudes beyond the poles', () => {
+        expect(parseLatitudeRange('95N to 10N')).toBeNull();
+    });
+});
+
+describe('habitatBounds', () => {
+    it('accepts the API column names and the form field names', () => {
+        const expected = { west: -45, east: 30, south: -40, north: 20 };
+
+        expect(habitatBounds({ longitude_range: '30E to 45W', latitude_range: '20N to 40S' })).toEqual(expected);
+        expect(habitatBounds({ long_range: '30E to 45W', lat_range: '20N to 40S' })).toEqual(expected);
+    });
+
+    it('returns null when either range cannot be read', () => {
+        expect(habitatBounds({ longitude_range: '30E to 45W', latitude_range: '' })).toBeNull();
+    });
+});
+
+describe('boundsContain', () => {
+    it('includes the edges', () => {
+        const bounds = { west: -45, east: 30, south: -40, north: 20 };
+
+        expect(boundsContain(bounds, 30, 20)).toBe(true);
+        expect(boundsContain(bounds, 31, 0)).toBe(false);
+        expect(boundsContain(bounds, 0, -41)).toBe(false);
+    });
+
+    it('wraps around the antimeridian', () => {
+        const bounds = { west: 170, east: -150, south: -10, north: 10 };
+
+        expect(boundsContain(bounds, 179, 0)).toBe(true);
+        expect(boundsContain(bounds, -160, 0)).toBe(true);
+        expect(boundsContain(bounds, 0, 0)).toBe(false);
+    });
+});
+
+describe('toMapRects', () => {
+    it('draws one rectangle for an ordinary box', () => {
+        expect(toMapRects({ west: -45, east: 30, south: -40, north: 20 }))
+            .toEqual([{ x: 135, y: 70, width: 75, height: 60 }]);
+    });
+
+    it('splits a box crossing the antimeridian at the map edges', () => {
+        expect(toMapRects({ west: 170, east: -150, south: -10, north: 10 })).toEqual([
+            { x: 350, y: 80, width: 10, height: 20 },
+            { x: 0, y: 80, width: 30, height: 20 }
+        ]);
+    });
+});
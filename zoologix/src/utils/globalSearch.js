@@ -0,0 +1,104 @@
+import { api } from './apiClient';
+import { RequestCancelledError } from './fetchWrapper';
+
+/**
+ * Collections searched by the global search, in display order.
+ * `params` are the filters queried; a record matches when any one of them does.
+ * @type {Array<{key: string, label: string, endpoint: string, idField: string, params: string[],
+ *   title: function(object): string, subtitle: function(object): string, path: function(object): string}>}
+ */
+export const SEARCH_SOURCES = [
+    {
+        key: 'species',
+        label: 'Species',
+        endpoint: '/species',
+        idField: 'species_id',
+        params: ['name', 'description', 'genus'],
+        title: (r) => r.common_name,
+        subtitle: (r) => [r.species_id, r.genus].filter(Boolean).join(' · '),
+        path: (r) => `/zoologix/species/${encodeURIComponent(r.species_id)}`
+    },
+    {
+        key: 'habitats',
+        label: 'Habitats',
+        endpoint: '/habitats',
+        idField: 'habitat_id',
+        params: ['name', 'location', 'climate'],
+        title: (r) => r.name,
+        subtitle: (r) => [r.habitat_id, r.location, r.climate].filter(Boolean).join(' · '),
+        path: (r) => `/zoologix/habitats/${encodeURIComponent(r.habitat_id)}`
+    },
+    {
+        key: 'diets',
+        label: 'Diets',
+        endpoint: '/diets',
+        idField: 'diet_id',
+        params: ['name', 'diet_type', 'food_items'],
+        title: (r) => r.name,
+        subtitle: (r) => [r.diet_id, r.diet_type].filter(Boolean).join(' · '),
+        // Diets have no detail page; open the list filtered to this one
+        path: (r) => `/zoologix/diets?name=${encodeURIComponent(r.name)}`
+    }
+];
+
+/**
+ * Shortest query worth sending.
+ * @type {number}
+ */
+export const MIN_QUERY_LENGTH = 2;
+
+/**
+ * @typedef {Object} SearchGroup
+ * @property {string} key - Source key, e.g. `species`.
+ * @property {string} label - Source label, e.g. `Species`.
+ * @property {Array<{id: string, title: string, subtitle: string, path: string}>} results - Matches, by title.
+ * @property {string|null} error - Why the source could not be searched, if it failed.
+ */
+
+/**
+ * Searches every collection in parallel.
+ *
+ * The API combines filters with AND, so each searched field is a separate request
+ * and the matches of a collection are merged by ID. A collection only fails when
+ * all of its requests fail; cancelling rejects with `RequestCancelledError`.
+ *
+ * @async
+ * @function
+ * @param {string} query - Text to search for.
+ * @param {{signal?: AbortSignal, limit?: number}} [options] - `limit` caps the matches per field (default 5).
+ * @returns {Promise<Array<SearchGroup>>} One group per source, in `SEARCH_SOURCES` order.
+ * @author `NatBitton54`
+ */
+export const searchAll = async (query, { signal, limit = 5 } = {}) => {
+    const text = query.trim();
+
+    return Promise.all(SEARCH_SOURCES.map(async (source) => {
+        const settled = await Promise.allSettled(source.params.map((param) => {
+            const params = new URLSearchParams({ [param]: text, page: 1, pageSize: limit });
+            return api.get(`${source.endpoint}?${params}`, {}, { signal });
+        }));
+
+        const cancelled = settled.find(r => r.status === 'rejected' && r.reason instanceof RequestCancelledError);
+        if (cancelled) throw cancelled.reason;
+
+        const byId = new Map();
+        settled.forEach((r) => {
+            if (r.status !== 'fulfilled') return;
+            (r.value?.data || []).forEach((record) => {
+                const id = record[source.idField];
+                if (!byId.has(id)) {
+                    byId.set(id, { id, title: source.title(record), subtitle: source.subtitle(record), path: source.path(record) });
+                }
+            });
+        });
+
+        // Some API versions answer 404 when a filter matches nothing
+        const failed = settled.filter(r => r.status === 'rejected' && r.reason?.statusCode !== 404);
+        return {
+            key: source.key,
+            label: source.label,
+            results: [...byId.values()].sort((a, b) => String(a.title).localeCompare(String(b.title))),
+            error: failed.length === settled.length ? failed[0].reason?.message || 'Request failed' : null
+        };
+    }));
+};
@@ -0,0 +1,147 @@
+import { SERVER_FIELD_ALIASES, formatFieldValue } from './resourceForms';
+
+/**
+ * Parses CSV text (RFC 4180: quoted fields, doubled quotes, line breaks inside quotes).
+ * A UTF-8 byte order mark is ignored, and the delimiter may be a comma, semicolon or tab
+ * (whichever appears most in the header line).
+ *
+ * @function
+ * @param {string} text - File contents.
+ * @returns {string[][]} Rows of cells; blank lines are skipped.
+ * @author `NatBitton54`
+ */
+export const parseCSV = (text) => {
+    const input = text.replace(/^\uFEFF/, '');
+    const headerLine = input.split(/\r?\n/, 1)[0];
+    const delimiter = [',', ';', '\t']
+        .map(d => [d, headerLine.split(d).length])
+        .sort((a, b) => b[1] - a[1])[0][0];
+
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+
+        if (quoted) {
+            if (char === '"' && input[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === delimiter) {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') i++;
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+
+    row.push(cell);
+    rows.push(row);
+
+    return rows.filter(r => r.some(value => value.trim() !== ''));
+};
+
+/**
+ * Reads an uploaded CSV or JSON file into column names and row objects.
+ * JSON may be an array of records or an API-style `{ data: [...] }` response.
+ *
+ * @function
+ * @param {string} fileName - Name of the file; its extension picks the parser.
+ * @param {string} text - File contents.
+ * @returns {{columns: string[], rows: Array<Object<string, string>>}}
+ * @throws {Error} When the file cannot be parsed or holds no records.
+ * @author `NatBitton54`
+ */
+export const parseImportFile = (fileName, text) => {
+    if (/\.json$/i.test(fileName)) {
+        let parsed;
+        try {
+            parsed = JSON.parse(text);
+        } catch {
+            throw new Error('The file is not valid JSON.');
+        }
+
+        const records = Array.isArray(parsed) ? parsed : parsed?.data;
+        if (!Array.isArray(records) || records.length === 0) {
+            throw new Error('The JSON file must contain an array of records.');
+        }
+
+        const columns = [...new Set(records.flatMap(r => Object.keys(r || {})))];
+        const rows = records.map(r => Object.fromEntries(
+            columns.map(c => [c, r?.[c] === null || r?.[c] === undefined ? '' : String(r[c])])
+        ));
+        return { columns, rows };
+    }
+
+    const [header, ...lines] = parseCSV(text);
+    if (!header || lines.length === 0) {
+        throw new Error('The CSV file must have a header row and at least one record.');
+    }
+
+    const columns = header.map(h => h.trim());
+    const rows = lines.map(line => Object.fromEntries(columns.map((c, i) => [c, (line[i] ?? '').trim()])));
+    return { columns, rows };
+};
+
+/**
+ * Normalises a column or field name for matching: lower case, letters and digits only.
+ *
+ * @param {string} name
+ * @returns {string}
+ */
+const normaliseName = (name) => name.toLowerCase().replace(/[^a-z0-9]/g, '');
+
+/**
+ * Guesses which file column fills each form field, by field name, label or API alias
+ * (e.g. a `longitude_range` column fills `long_range`).
+ *
+ * @function
+ * @param {string[]} columns - Column names from the file.
+ * @param {Array<{name: string, label: string}>} fields - Form fields of the resource.
+ * @returns {Object<string, string>} Field name → column name ('' when no column matches).
+ * @author `NatBitton54`
+ */
+export const guessMapping = (columns, fields) => {
+    const mapping = {};
+
+    fields.forEach(({ name, label }) => {
+        const aliases = Object.keys(SERVER_FIELD_ALIASES).filter(alias => SERVER_FIELD_ALIASES[alias] === name);
+        const candidates = [name, label, ...aliases].map(normaliseName);
+        mapping[name] = columns.find(column => candidates.includes(normaliseName(column))) || '';
+    });
+
+    return mapping;
+};
+
+/**
+ * Builds form records from file rows using a field → column mapping,
+ * applying the same input formatting as the form (upper-case IDs, digits-only counts).
+ *
+ * @function
+ * @param {Array<Object<string, string>>} rows - Rows from `parseImportFile`.
+ * @param {Object<string, string>} mapping - Field name → column name.
+ * @returns {Array<Object<string, string>>} One record per row, keyed by field name.
+ * @author `NatBitton54`
+ */
+export const applyMapping = (rows, mapping) => rows.map(row => {
+    const record = {};
+    Object.entries(mapping).forEach(([field, column]) => {
+        record[field] = formatFieldValue(field, column ? (row[column] ?? '').trim() : '');
+    });
+    return record;
+});
@@ -0,0 +1,77 @@
+import { applyMapping, guessMapping, parseCSV, parseImportFile } from './importData';
+import { HABITAT_FIELDS } from './resourceForms';
+
+describe('parseCSV', () => {
+    it('keeps delimiters, doubled quotes and line breaks inside quoted fields', () => {
+        const text = 'id,description\r\nHA-001,"Hot, dry ""desert"" plains"\r\nHA-002,"Line one\nLine two"\r\n';
+
+        expect(parseCSV(text)).toEqual([
+            ['id', 'description'],
+            ['HA-001', 'Hot, dry "desert" plains'],
+            ['HA-002', 'Line one\nLine two']
+        ]);
+    });
+
+    it('picks the delimiter used most in the header and skips a byte order mark', () => {
+        expect(parseCSV('\uFEFFid;name\nHA-001;Savanna, East')).toEqual([['id', 'name'], ['HA-001', 'Savanna, East']]);
+        expect(parseCSV('id\tname\nHA-001\tTundra')).toEqual([['id', 'name'], ['HA-001', 'Tundra']]);
+    });
+
+    it('skips blank lines and keeps empty cells', () => {
+        expect(parseCSV('a,b,c\n\n1,,3\n   \n')).toEqual([['a', 'b', 'c'], ['1', '', '3']]);
+    });
+});
+
+describe('parseImportFile', () => {
+    it('reads CSV rows as objects keyed by the trimmed header', () => {
+        expect(parseImportFile('habitats.csv', ' habitat_id , name\nHA-001, Savanna ')).toEqual({
+            columns: ['habitat_id', 'name'],
+            rows: [{ habitat_id: 'HA-001', name: 'Savanna' }]
+        });
+    });
+
+    it('reads an API-style JSON response, turning missing values into empty strings', () => {
+        const text = JSON.stringify({ data: [{ habitat_id: 'HA-001', name: null }, { habitat_id: 'HA-002', climate: 'Arid' }] });
+
+        expect(parseImportFile('habitats.json', text)).toEqual({
+            columns: ['habitat_id', 'name', 'climate'],
+            rows: [
+                { habitat_id: 'HA-001', name: '', climate: '' },
+                { habitat_id: 'HA-002', name: '', climate: 'Arid' }
+            ]
+        });
+    });
+
+    it('rejects files without records', () => {
+        expect(() => parseImportFile('habitats.csv', 'habitat_id,name\n')).toThrow('header row and at least one record');
+        expect(() => parseImportFile('habitats.json', '{"data": []}')).toThrow('array of records');
+        expect(() => parseImportFile('habitats.json', '{')).toThrow('not valid JSON');
+    });
+});
+
+describe('guessMapping', () => {
+    it('matches columns by field name, label or API alias', () => {
+        const columns = ['Habitat ID', 'NAME', 'longitude_range', 'lat-range', 'notes'];
+
+        expect(guessMapping(columns, HABITAT_FIELDS)).toEqual({
+            habitat_id: 'Habitat ID',
+            name: 'NAME',
+            climate: '',
+            location: '',
+            long_range: 'longitude_range',
+            lat_range: 'lat-range',
+            description: ''
+        });
+    });
+});
+
+describe('applyMapping', () => {
+    it('builds one formatted record per row from the mapped columns', () => {
+        const rows = [{ ID: ' sp-001 ', Young: '3 cubs', Name: 'Lion' }];
+        const mapping = { species_id: 'ID', num_of_offspring: 'Young', common_name: 'Name', description: '' };
+
+        expect(applyMapping(rows, mapping)).toEqual([
+            { species_id: 'SP-001', num_of_offspring: '3', common_name: 'Lion', description: '' }
+        ]);
+    });
+});
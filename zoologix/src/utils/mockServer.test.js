@@ -0,0 +1,141 @@
+/**
+ * @jest-environment node
+ */
+import http from 'http';
+import { startMockServer } from '../../mock-server/server';
+import { CustomError } from './fetchWrapper';
+import { ERROR_CATEGORIES, parseApiError } from './apiError';
+
+let mock;
+
+/**
+ * Sends one request to the mock server.
+ *
+ * @param {string} method - HTTP method.
+ * @param {string} uri - Path below the API prefix, with any query string.
+ * @param {any} [body] - JSON payload.
+ * @returns {Promise<{status: number, body: any}>}
+ */
+const send = (method, uri, body) => new Promise((resolve, reject) => {
+    const payload = body === undefined ? null : JSON.stringify(body);
+    // Node only streams a DELETE body with an explicit length, as browsers send it
+    const req = http.request(`${mock.url}${uri}`, {
+        method,
+        headers: {
+            'Content-Type': 'application/json',
+            'Accept': 'application/json',
+            ...(payload && { 'Content-Length': Buffer.byteLength(payload) })
+        }
+    }, (res) => {
+        let raw = '';
+        res.setEncoding('utf8');
+        res.on('data', (chunk) => { raw += chunk; });
+        res.on('end', () => resolve({ status: res.statusCode, body: raw ? JSON.parse(raw) : null }));
+    });
+
+    req.on('error', reject);
+    req.end(payload);
+});
+
+/**
+ * A valid species record with the given ID, copied from the first seeded one.
+ */
+const newSpecies = (id) => {
+    const { species_id: _seeded, ...fields } = mock.db.species[0];
+    return { ...fields, species_id: id };
+};
+
+beforeAll(async () => {
+    mock = await startMockServer({ port: 0, requireAuth: false });
+});
+
+afterAll(() => mock.close());
+
+describe('listing', () => {
+    it('paginates and reports the pagination metadata', async () => {
+        const total = mock.db.species.length;
+        const { status, body } = await send('GET', '/species?page=2&pageSize=3');
+
+        expect(status).toBe(200);
+        expect(body.metadata).toEqual({
+            total_items: total,
+            total_pages: Math.ceil(total / 3),
+            current_page: 2,
+            page_size: 3
+        });
+        expect(body.data.map((s) => s.species_id)).toEqual(
+            mock.db.species.slice(3, 6).map((s) => s.species_id)
+        );
+    });
+
+    it('filters by a query param with a case-insensitive substring match', async () => {
+        const climate = mock.db.habitats[0].climate;
+        const expected = mock.db.habitats
+            .filter((h) => h.climate.toLowerCase().includes(climate.toLowerCase()))
+            .map((h) => h.habitat_id);
+
+        const { status, body } = await send('GET', `/habitats?climate=${encodeURIComponent(climate.toUpperCase())}&pageSize=50`);
+
+        expect(status).toBe(200);
+        expect(body.metadata.total_items).toBe(expected.length);
+        expect(body.data.map((h) => h.habitat_id)).toEqual(expected);
+    });
+
+    it('sorts by `sort`/`dir` next to the species `order` filter', async () => {
+        const order = mock.db.classifications[0].order;
+        const classificationIds = mock.db.classifications
+            .filter((c) => c.order.toLowerCase().includes(order.toLowerCase()))
+            .map((c) => c.classification_id);
+        const expected = mock.db.species
+            .filter((s) => classificationIds.includes(s.classification_id))
+            .map((s) => s.common_name)
+            .sort((a, b) => b.localeCompare(a, undefined, { numeric: true, sensitivity: 'base' }));
+
+        const { status, body } = await send('GET', `/species?order=${encodeURIComponent(order)}&sort=common_name&dir=desc&pageSize=50`);
+
+        expect(status).toBe(200);
+        expect(body.data.map((s) => s.common_name)).toEqual(expected);
+    });
+});
+
+describe('writes', () => {
+    it('creates and deletes records sent as arrays', async () => {
+        const before = mock.db.species.length;
+
+        const created = await send('POST', '/species', [newSpecies('SP-900'), newSpecies('SP-901')]);
+        expect(created.status).toBe(201);
+        expect(created.body.data.map((s) => s.species_id)).toEqual(['SP-900', 'SP-901']);
+        expect((await send('GET', '/species')).body.metadata.total_items).toBe(before + 2);
+
+        const deleted = await send('DELETE', '/species', [{ species_id: 'SP-900' }, { species_id: 'SP-901' }]);
+        expect(deleted.status).toBe(200);
+        expect(deleted.body.deleted).toEqual(['SP-900', 'SP-901']);
+        expect((await send('GET', '/species')).body.metadata.total_items).toBe(before);
+    });
+
+    it('rejects a body that is not an array', async () => {
+        const { status } = await send('POST', '/species', newSpecies('SP-902'));
+
+        expect(status).toBe(400);
+    });
+
+    it('reports a missing ID on DELETE as a 404 listing the IDs', async () => {
+        const { status, body } = await send('DELETE', '/species', [{ species_id: 'SP-999' }]);
+
+        expect(status).toBe(404);
+        expect(body.ids).toEqual(['SP-999']);
+    });
+
+    it('answers a duplicate ID with the duplicate-key error shape', async () => {
+        const existing = mock.db.species[0].species_id;
+        const { status, body } = await send('POST', '/species', [newSpecies(existing)]);
+
+        expect(status).toBe(409);
+        expect(body).toMatchObject({ code: 23000, id: existing });
+
+        // FetchWrapper keeps the body as `details`, which is how the pages recognise duplicates
+        const error = new CustomError(body.message, status, body);
+        expect(error.details.code).toBe(23000);
+        expect(parseApiError(error).category).toBe(ERROR_CATEGORIES.DUPLICATE);
+    });
+});
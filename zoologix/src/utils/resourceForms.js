@@ -0,0 +1,288 @@
+import { api } from './apiClient';
+
+/**
+ * Form fields for a habitat record.
+ * @type {Array<{name: string, label: string}>}
+ */
+export const HABITAT_FIELDS = [
+    { name: 'habitat_id', label: 'Habitat ID' },
+    { name: 'name', label: 'Name' },
+    { name: 'climate', label: 'Climate' },
+    { name: 'location', label: 'Location' },
+    { name: 'long_range', label: 'Longitude Range' },
+    { name: 'lat_range', label: 'Latitude Range' },
+    { name: 'description', label: 'Description' }
+];
+
+/**
+ * Form fields for a species record. `options` names the foreign-key list
+ * (from `fetchForeignKeyOptions`) that fills the field's dropdown.
+ * @type {Array<{name: string, label: string, options?: string}>}
+ */
+export const SPECIES_FIELDS = [
+    { name: 'species_id', label: 'Species ID' },
+    { name: 'common_name', label: 'Common Name' },
+    { name: 'description', label: 'Description' },
+    { name: 'name_of_offspring', label: 'Name of Offspring' },
+    { name: 'group_behaviour', label: 'Group Behaviour' },
+    { name: 'gestation_period', label: 'Gestation Period' },
+    { name: 'breeding_season', label: 'Breeding Season' },
+    { name: 'num_of_offspring', label: 'Number of Offspring' },
+    { name: 'average_lifespan', label: 'Average Lifespan' },
+    { name: 'diet_id', label: 'Diet ID', options: 'diets' },
+    { name: 'habitat_id', label: 'Habitat ID', options: 'habitats' },
+    { name: 'classification_id', label: 'Classification ID', options: 'classifications' }
+];
+
+/**
+ * Form fields for a diet record.
+ * @type {Array<{name: string, label: string}>}
+ */
+export const DIET_FIELDS = [
+    { name: 'diet_id', label: 'Diet ID' },
+    { name: 'name', label: 'Name' },
+    { name: 'diet_type', label: 'Diet Type' },
+    { name: 'food_items', label: 'Food Items' }
+];
+
+/**
+ * Form fields for a classification record (taxonomic ranks, broadest first).
+ * @type {Array<{name: string, label: string}>}
+ */
+export const CLASSIFICATION_FIELDS = [
+    { name: 'classification_id', label: 'Classification ID' },
+    { name: 'kingdom', label: 'Kingdom' },
+    { name: 'phylum', label: 'Phylum' },
+    { name: 'class', label: 'Class' },
+    { name: 'order', label: 'Order' },
+    { name: 'family', label: 'Family' },
+    { name: 'genus', label: 'Genus' }
+];
+
+/**
+ * Resource settings keyed by the singular type used in the forms.
+ * @type {Object<string, {label: string, endpoint: string, idField: string, fields: Array<object>}>}
+ */
+export const RESOURCE_TYPES = {
+    habitat: { label: 'Habitat', endpoint: '/habitats', idField: 'habitat_id', fields: HABITAT_FIELDS },
+    species: { label: 'Species', endpoint: '/species', idField: 'species_id', fields: SPECIES_FIELDS },
+    diet: { label: 'Diet', endpoint: '/diets', idField: 'diet_id', fields: DIET_FIELDS },
+    classification: {
+        label: 'Classification',
+        endpoint: '/classifications',
+        idField: 'classification_id',
+        fields: CLASSIFICATION_FIELDS
+    }
+};
+
+/**
+ * The API names some habitat columns differently from the form fields.
+ * @type {Object<string, string>}
+ */
+export const SERVER_FIELD_ALIASES = {
+    longitude_range: 'long_range',
+    latitude_range: 'lat_range'
+};
+
+/**
+ * Applies the input formatting rules: digits only for counts, upper-case IDs.
+ *
+ * @function
+ * @param {string} name - Field name.
+ * @param {string} value - Raw input value.
+ * @returns {string} The formatted value.
+ * @author `NatBitton54`
+ */
+export const formatFieldValue = (name, value) => {
+    if (['num_of_offspring', 'average_lifespan'].includes(name)) {
+        return value.replace(/\D/g, '');
+    }
+    if (['habitat_id', 'species_id', 'diet_id', 'classification_id'].includes(name)) {
+        return value.toUpperCase();
+    }
+    return value;
+};
+
+/**
+ * Validates a single field value.
+ *
+ * @function
+ * @param {string} name - Field name.
+ * @param {any} rawValue - Field value.
+ * @returns {string} The error message, or an empty string when valid.
+ * @author `NatBitton54`
+ */
+export const validateField = (name, rawValue) => {
+    const value = rawValue?.toString().trim() || '';
+
+    if (!value) return 'This field is required';
+
+    switch (name) {
+        case 'habitat_id':
+            if (!/^HA-\d{3}$/i.test(value)) return 'Habitat ID must be in the format HA-###';
+            break;
+        case 'name':
+            if (value.length < 1) return 'Name must not be empty';
+            break;
+        case 'climate':
+            if (!/^[A-Za-z]+$/.test(value)) return 'Climate must contain only letters';
+            break;
+        case 'long_range':
+            if (!/^\d+[EW] to \d+[EW]$/i.test(value)) return 'Longitude range must be like "30E to 45W"';
+            break;
+        case 'lat_range':
+            if (!/^\d+[NS] to \d+[NS]$/i.test(value)) return 'Latitude range must be like "20N to 40S"';
+            break;
+        case 'description':
+            if (value.length < 10) return 'Description must be at least 10 characters long';
+            break;
+
+        case 'species_id':
+            if (!/^SP-\d{3}$/i.test(value)) return 'Species ID must be in the format SP-###';
+            break;
+        case 'common_name':
+            if (value.length < 1 || value.length > 255) return 'Common name must be 1–255 characters long';
+            break;
+        case 'name_of_offspring':
+            if (value.length > 255) return 'Name of offspring must be 255 characters max';
+            break;
+        case 'group_behaviour':
+            if (value.length > 32) return 'Group behaviour must be 32 characters max';
+            break;
+        case 'gestation_period':
+            if (value.length > 32) return 'Gestation period must be 32 characters max';
+            break;
+        case 'breeding_season':
+            if (value.length > 16) return 'Breeding season must be 16 characters max';
+            break;
+        case 'num_of_offspring':
+        case 'average_lifespan':
+            if (!/^\d+$/.test(value)) return 'Must be an integer';
+            break;
+        case 'diet_id':
+            if (!/^DI-\d{3}$/i.test(value)) return 'Diet ID must be in the format DI-###';
+            break;
+        case 'classification_id':
+            if (!/^CL-\d{3}$/i.test(value)) return 'Classification ID must be in the format CL-###';
+            break;
+
+        case 'diet_type':
+            if (!/^[A-Za-z\s-]+$/.test(value)) return 'Diet type must contain only letters';
+            break;
+        case 'food_items':
+            if (value.length > 255) return 'Food items must be 255 characters max';
+            break;
+        case 'kingdom':
+        case 'phylum':
+        case 'class':
+        case 'order':
+        case 'family':
+        case 'genus':
+            if (!/^[A-Za-z]+$/.test(value)) return 'Taxonomic ranks must be a single word of letters';
+            break;
+        default:
+            break;
+    }
+
+    return '';
+};
+
+/**
+ * Validates every field of a record.
+ *
+ * @function
+ * @param {Array<{name: string}>} fields - Fields to check.
+ * @param {object} formData - Values keyed by field name.
+ * @returns {Object<string, string>} Field name → message for each invalid field (empty when valid).
+ * @author `NatBitton54`
+ */
+export const validateRecord = (fields, formData) => {
+    const errors = {};
+    fields.forEach(({ name }) => {
+        const message = validateField(name, formData[name]);
+        if (message) errors[name] = message;
+    });
+    return errors;
+};
+
+/**
+ * Builds the request payload for a record: integer counts for species.
+ *
+ * @function
+ * @param {string} resourceType - A `RESOURCE_TYPES` key, e.g. `species`.
+ * @param {object} formData - Form values.
+ * @returns {object} The record to send.
+ * @author `NatBitton54`
+ */
+export const toPayload = (resourceType, formData) => {
+    const parsedData = { ...formData };
+
+    if (resourceType === 'species') {
+        parsedData.num_of_offspring = parseInt(parsedData.num_of_offspring, 10);
+        parsedData.average_lifespan = parseInt(parsedData.average_lifespan, 10);
+    }
+
+    return parsedData;
+};
+
+/**
+ * Turns a record returned by the API into form values for the given type,
+ * keeping only the form's fields and renaming aliased columns.
+ *
+ * @function
+ * @param {string} resourceType - A `RESOURCE_TYPES` key, e.g. `habitat`.
+ * @param {object} record - Record from the API.
+ * @returns {object} Form values keyed by field name.
+ * @author `NatBitton54`
+ */
+export const toFormData = (resourceType, record) => {
+    const values = {};
+    Object.entries(record || {}).forEach(([column, value]) => {
+        values[SERVER_FIELD_ALIASES[column] || column] = value;
+    });
+
+    const formData = {};
+    RESOURCE_TYPES[resourceType].fields.forEach(({ name }) => {
+        formData[name] = values[name] === null || values[name] === undefined ? '' : String(values[name]);
+    });
+    return formData;
+};
+
+/**
+ * Maps server field errors (see `parseApiError`) to form field names.
+ *
+ * @function
+ * @param {Object<string, string>} fieldErrors - Field → message from the API.
+ * @returns {Object<string, string>} Form field → message.
+ * @author `NatBitton54`
+ */
+export const toFormErrors = (fieldErrors) => {
+    const errors = {};
+    Object.entries(fieldErrors).forEach(([field, message]) => {
+        errors[SERVER_FIELD_ALIASES[field] || field] = message;
+    });
+    return errors;
+};
+
+/**
+ * Loads every diet, habitat and classification ID for the species dropdowns.
+ *
+ * @async
+ * @function
+ * @param {AbortSignal} [signal] - Cancels the loads when aborted.
+ * @returns {Promise<{diets: string[], habitats: string[], classifications: string[]}>}
+ * @author `NatBitton54`
+ */
+export const fetchForeignKeyOptions = async (signal) => {
+    const [diets, habitats, classifications] = await Promise.all([
+        api.fetchAll('/diets', { signal }),
+        api.fetchAll('/habitats', { signal }),
+        api.fetchAll('/classifications', { signal })
+    ]);
+
+    return {
+        diets: diets.map(d => d.diet_id),
+        habitats: habitats.map(h => h.habitat_id),
+        classifications: classifications.map(c => c.classification_id)
+    };
+};
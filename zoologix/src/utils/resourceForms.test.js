@@ -0,0 +1,81 @@
+import {
+    DIET_FIELDS,
+    HABITAT_FIELDS,
+    formatFieldValue,
+    toFormData,
+    toFormErrors,
+    toPayload,
+    validateField,
+    validateRecord
+} from './resourceForms';
+
+const HABITAT = {
+    habitat_id: 'HA-001',
+    name: 'Savanna',
+    climate: 'Tropical',
+    location: 'East Africa',
+    long_range: '30E to 45E',
+    lat_range: '5N to 15S',
+    description: 'Grassland with scattered trees.'
+};
+
+describe('validateRecord', () => {
+    it('accepts a valid record', () => {
+        expect(validateRecord(HABITAT_FIELDS, HABITAT)).toEqual({});
+    });
+
+    it('reports every invalid field with its message', () => {
+        const record = { ...HABITAT, habitat_id: 'HAB-1', climate: 'Sub-tropical', lat_range: '5 to 15', description: 'Short' };
+
+        expect(validateRecord(HABITAT_FIELDS, record)).toEqual({
+            habitat_id: 'Habitat ID must be in the format HA-###',
+            climate: 'Climate must contain only letters',
+            lat_range: 'Latitude range must be like "20N to 40S"',
+            description: 'Description must be at least 10 characters long'
+        });
+    });
+
+    it('requires every field, treating blanks as missing', () => {
+        expect(validateRecord(DIET_FIELDS, { diet_id: 'DI-001', name: '   ' })).toEqual({
+            name: 'This field is required',
+            diet_type: 'This field is required',
+            food_items: 'This field is required'
+        });
+    });
+});
+
+describe('validateField', () => {
+    it('checks IDs case-insensitively and counts as integers', () => {
+        expect(validateField('species_id', 'sp-042')).toBe('');
+        expect(validateField('average_lifespan', 12)).toBe('');
+        expect(validateField('num_of_offspring', '2.5')).toBe('Must be an integer');
+    });
+
+    it('allows a single word of letters for taxonomic ranks', () => {
+        expect(validateField('genus', 'Panthera')).toBe('');
+        expect(validateField('family', 'Big cats')).toBe('Taxonomic ranks must be a single word of letters');
+    });
+});
+
+describe('form conversions', () => {
+    it('upper-cases IDs and strips non-digits from counts as they are typed', () => {
+        expect(formatFieldValue('diet_id', 'di-007')).toBe('DI-007');
+        expect(formatFieldValue('num_of_offspring', '3 cubs')).toBe('3');
+        expect(formatFieldValue('name', 'di-007')).toBe('di-007');
+    });
+
+    it('sends species counts as integers', () => {
+        expect(toPayload('species', { species_id: 'SP-001', num_of_offspring: '3', average_lifespan: '12' }))
+            .toEqual({ species_id: 'SP-001', num_of_offspring: 3, average_lifespan: 12 });
+        expect(toPayload('habitat', HABITAT)).toEqual(HABITAT);
+    });
+
+    it('maps API records and field errors to the form field names', () => {
+        const { long_range, lat_range, ...rest } = HABITAT;
+        const record = { ...rest, longitude_range: long_range, latitude_range: lat_range, description: null, extra: 1 };
+
+        expect(toFormData('habitat', record)).toEqual({ ...HABITAT, description: '' });
+        expect(toFormErrors({ longitude_range: 'Invalid', name: 'Too long' }))
+            .toEqual({ long_range: 'Invalid', name: 'Too long' });
+    });
+});
@@ -0,0 +1,164 @@
+/**
+ * ResponseCache stores GET responses keyed by URL, in memory and optionally in sessionStorage.
+ * Each entry keeps the response data, its `ETag` (if any) and an expiry time derived
+ * from a per-route TTL, so stale entries can be revalidated with `If-None-Match`.
+ *
+ * @class
+ * @author `NatBitton54`
+ */
+export class ResponseCache {
+    /**
+     * @param {object} [config={}] - Cache configuration.
+     * @param {number} [config.defaultTTL=30000] - Time-to-live in milliseconds for routes without their own TTL.
+     * @param {Object<string, number>} [config.routes={}] - TTLs keyed by path prefix (e.g. `{ '/habitats': 300000 }`); the longest matching prefix wins.
+     * @param {boolean} [config.persist=false] - Also keep entries in sessionStorage so they survive reloads.
+     * @param {number} [config.maxEntries=200] - Maximum number of in-memory entries; the oldest are evicted first.
+     */
+    constructor(config = {}) {
+        this.defaultTTL = config.defaultTTL ?? 30000;
+        this.routes = config.routes || {};
+        this.persist = Boolean(config.persist);
+        this.maxEntries = config.maxEntries ?? 200;
+        this.prefix = 'zoologix.cache:';
+        this.entries = new Map();
+    }
+
+    /**
+     * Returns the TTL that applies to a request path.
+     *
+     * @param {string} uri - Endpoint path, optionally with a query string.
+     * @returns {number} TTL in milliseconds.
+     */
+    ttlFor(uri) {
+        const path = uri.split('?')[0];
+        const match = Object.keys(this.routes)
+            .filter((route) => path.startsWith(route))
+            .sort((a, b) => b.length - a.length)[0];
+
+        return match ? this.routes[match] : this.defaultTTL;
+    }
+
+    /**
+     * Looks up an entry, falling back to sessionStorage when persistence is on.
+     *
+     * @param {string} key - Cache key (the full request URL).
+     * @returns {{data: any, etag: string|null, expires: number}|null} The entry, fresh or stale, or null.
+     */
+    get(key) {
+        if (this.entries.has(key)) return this.entries.get(key);
+        if (!this.persist) return null;
+
+        try {
+            const raw = window.sessionStorage.getItem(this.prefix + key);
+            if (!raw) return null;
+
+            const entry = JSON.parse(raw);
+            this.entries.set(key, entry);
+            return entry;
+        } catch {
+            return null;
+        }
+    }
+
+    /**
+     * Checks whether an entry is still within its TTL.
+     *
+     * @param {object|null} entry - Entry returned by `get`.
+     * @returns {boolean}
+     */
+    isFresh(entry) {
+        return Boolean(entry) && entry.expires > Date.now();
+    }
+
+    /**
+     * Stores (or refreshes) an entry.
+     *
+     * @param {string} key - Cache key (the full request URL).
+     * @param {string} uri - Endpoint path, used to pick the TTL.
+     * @param {any} data - Parsed response data.
+     * @param {string|null} [etag=null] - `ETag` header of the response.
+     */
+    set(key, uri, data, etag = null) {
+        const entry = { data, etag, expires: Date.now() + this.ttlFor(uri) };
+
+        this.entries.delete(key);
+        this.entries.set(key, entry);
+
+        if (this.entries.size > this.maxEntries) {
+            this.remove(this.entries.keys().next().value);
+        }
+
+        if (this.persist) {
+            try {
+                window.sessionStorage.setItem(this.prefix + key, JSON.stringify(entry));
+            } catch {
+                // Quota exceeded or storage unavailable; the in-memory copy still works.
+            }
+        }
+    }
+
+    /**
+     * Removes a single entry.
+     *
+     * @param {string} key - Cache key.
+     */
+    remove(key) {
+        this.entries.delete(key);
+
+        if (this.persist) {
+            try {
+                window.sessionStorage.removeItem(this.prefix + key);
+            } catch {
+                // Ignore storage errors.
+            }
+        }
+    }
+
+    /**
+     * Lists every known key, including those only kept in sessionStorage.
+     *
+     * @returns {string[]}
+     */
+    keys() {
+        const keys = new Set(this.entries.keys());
+
+        if (this.persist) {
+            try {
+                for (let i = 0; i < window.sessionStorage.length; i++) {
+                    const storageKey = window.sessionStorage.key(i);
+                    if (storageKey?.startsWith(this.prefix)) keys.add(storageKey.slice(this.prefix.length));
+                }
+            } catch {
+                // Ignore storage errors.
+            }
+        }
+
+        return [...keys];
+    }
+
+    /**
+     * Invalidates every entry whose URL path contains the given resource segment,
+     * e.g. `species` clears `/species?page=2` as well as `/habitats/HA-001/species`.
+     *
+     * @param {string} resource - Collection name, with or without a leading slash.
+     * @param {string} [baseURL=''] - Only keys under this base URL are considered; it is not matched against.
+     */
+    invalidate(resource, baseURL = '') {
+        const segment = resource.replace(/^\/+/, '').split(/[/?]/)[0];
+        if (!segment) return;
+
+        this.keys().forEach((key) => {
+            if (!key.startsWith(baseURL)) return;
+
+            const path = key.slice(baseURL.length).split('?')[0];
+            if (path.split('/').includes(segment)) this.remove(key);
+        });
+    }
+
+    /**
+     * Removes every entry.
+     */
+    clear() {
+        this.keys().forEach((key) => this.remove(key));
+    }
+}
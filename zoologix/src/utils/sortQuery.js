@@ -0,0 +1,57 @@
+/**
+ * Reads the sort columns from a URL query.
+ *
+ * `sort` lists the fields in priority order and `dir` the matching directions:
+ * `?sort=class,order&dir=asc,desc`. A missing direction defaults to `asc`.
+ * The directions use `dir` rather than `order`, which is the species taxonomy filter.
+ *
+ * @function
+ * @param {URLSearchParams} params - The URL query.
+ * @returns {Array<{field: string, direction: 'asc'|'desc'}>} Sort columns, highest priority first.
+ * @author `NatBitton54`
+ */
+export const readSort = (params) => {
+    const fields = (params.get('sort') || '').split(',').map(f => f.trim()).filter(Boolean);
+    const directions = (params.get('dir') || '').toLowerCase().split(',').map(d => d.trim());
+
+    return fields.map((field, i) => ({ field, direction: directions[i] === 'desc' ? 'desc' : 'asc' }));
+};
+
+/**
+ * Turns sort columns into the `sort`/`dir` query params.
+ *
+ * @function
+ * @param {Array<{field: string, direction: string}>} sort - Sort columns.
+ * @returns {{sort?: string, dir?: string}} Params to add to the query (empty when unsorted).
+ * @author `NatBitton54`
+ */
+export const toSortParams = (sort) => (sort.length === 0 ? {} : {
+    sort: sort.map(s => s.field).join(','),
+    dir: sort.map(s => s.direction).join(',')
+});
+
+/**
+ * Works out the new sort after a header click.
+ *
+ * A plain click sorts by that column only, cycling ascending → descending → unsorted.
+ * A shift-click cycles that column the same way while keeping the other sort columns,
+ * so a new column is added with the lowest priority.
+ *
+ * @function
+ * @param {Array<{field: string, direction: string}>} sort - Current sort columns.
+ * @param {string} field - Field whose header was clicked.
+ * @param {boolean} [multi=false] - True for a shift-click.
+ * @returns {Array<{field: string, direction: 'asc'|'desc'}>} The new sort columns.
+ * @author `NatBitton54`
+ */
+export const nextSort = (sort, field, multi = false) => {
+    const current = sort.find(s => s.field === field);
+    const direction = !current ? 'asc' : current.direction === 'asc' ? 'desc' : null;
+
+    if (!multi) return direction ? [{ field, direction }] : [];
+
+    if (!current) return [...sort, { field, direction }];
+    return direction
+        ? sort.map(s => (s.field === field ? { field, direction } : s))
+        : sort.filter(s => s.field !== field);
+};
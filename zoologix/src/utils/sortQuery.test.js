@@ -0,0 +1,60 @@
+import { nextSort, readSort, toSortParams } from './sortQuery';
+
+describe('readSort', () => {
+    it('pairs each sort field with its direction, defaulting to asc', () => {
+        const params = new URLSearchParams('sort=class,order,common_name&dir=desc,ASC');
+
+        expect(readSort(params)).toEqual([
+            { field: 'class', direction: 'desc' },
+            { field: 'order', direction: 'asc' },
+            { field: 'common_name', direction: 'asc' }
+        ]);
+    });
+
+    it('leaves the species `order` filter alone', () => {
+        expect(readSort(new URLSearchParams('order=Carnivora'))).toEqual([]);
+        expect(readSort(new URLSearchParams('order=Carnivora&sort=genus&dir=desc')))
+            .toEqual([{ field: 'genus', direction: 'desc' }]);
+    });
+});
+
+describe('toSortParams', () => {
+    it('round-trips through the URL', () => {
+        const sort = [{ field: 'class', direction: 'asc' }, { field: 'order', direction: 'desc' }];
+        const params = new URLSearchParams(toSortParams(sort));
+
+        expect(params.toString()).toBe('sort=class%2Corder&dir=asc%2Cdesc');
+        expect(readSort(params)).toEqual(sort);
+    });
+
+    it('adds no params when unsorted', () => {
+        expect(toSortParams([])).toEqual({});
+    });
+});
+
+describe('nextSort', () => {
+    it('cycles a column ascending, descending, then unsorted on a plain click', () => {
+        const asc = nextSort([], 'genus');
+        const desc = nextSort(asc, 'genus');
+
+        expect(asc).toEqual([{ field: 'genus', direction: 'asc' }]);
+        expect(desc).toEqual([{ field: 'genus', direction: 'desc' }]);
+        expect(nextSort(desc, 'genus')).toEqual([]);
+    });
+
+    it('replaces the other columns on a plain click', () => {
+        const sort = [{ field: 'class', direction: 'asc' }, { field: 'order', direction: 'desc' }];
+
+        expect(nextSort(sort, 'genus')).toEqual([{ field: 'genus', direction: 'asc' }]);
+    });
+
+    it('keeps the other columns on a shift-click, adding a new one last', () => {
+        const sort = [{ field: 'class', direction: 'asc' }];
+        const added = nextSort(sort, 'order', true);
+        const flipped = nextSort(added, 'class', true);
+
+        expect(added).toEqual([{ field: 'class', direction: 'asc' }, { field: 'order', direction: 'asc' }]);
+        expect(flipped).toEqual([{ field: 'class', direction: 'desc' }, { field: 'order', direction: 'asc' }]);
+        expect(nextSort(flipped, 'class', true)).toEqual([{ field: 'order', direction: 'asc' }]);
+    });
+});
@@ -0,0 +1,72 @@
+/**
+ * Counts records by the value of one field, most common first.
+ * Missing or empty values are counted under `Unknown`.
+ *
+ * @function
+ * @param {Array<object>} records - Records to count.
+ * @param {string} field - Field to group by, e.g. `diet_type`.
+ * @returns {Array<{value: string, count: number}>} One entry per distinct value.
+ * @author `NatBitton54`
+ */
+export const countBy = (records, field) => {
+    const counts = new Map();
+
+    records.forEach((record) => {
+        const raw = record?.[field];
+        const value = raw === null || raw === undefined || raw === '' ? 'Unknown' : String(raw);
+        counts.set(value, (counts.get(value) || 0) + 1);
+    });
+
+    return [...counts.entries()]
+        .map(([value, count]) => ({ value, count }))
+        .sort((a, b) => b.count - a.count || a.value.localeCompare(b.value));
+};
+
+/**
+ * Summary statistics for a list of species, grouped the way the habitat and dashboard pages show them.
+ *
+ * @function
+ * @param {Array<object>} species - Species rows (joined with diet and classification).
+ * @returns {{total: number, byDietType: Array<object>, byClass: Array<object>, byStatus: Array<object>}}
+ * @author `NatBitton54`
+ */
+export const summariseSpecies = (species) => ({
+    total: species.length,
+    byDietType: countBy(species, 'diet_type'),
+    byClass: countBy(species, 'class'),
+    byStatus: countBy(species, 'status_code')
+});
+
+/**
+ * Groups whole numbers into equal-width ranges for a histogram, lowest range first.
+ * Missing and non-numeric values are ignored.
+ *
+ * @function
+ * @param {Array<number|string>} values - Values to group, e.g. every species' `average_lifespan`.
+ * @param {number} [binCount=8] - Maximum number of ranges.
+ * @returns {Array<{value: string, from: number, to: number, count: number}>} One entry per range,
+ *   labelled like `10–19`; empty ranges are kept so the chart has no gaps.
+ * @author `NatBitton54`
+ */
+export const histogram = (values, binCount = 8) => {
+    const numbers = values
+        .filter(v => v !== null && v !== undefined && v !== '')
+        .map(Number)
+        .filter(Number.isFinite);
+    if (numbers.length === 0) return [];
+
+    const min = Math.floor(Math.min(...numbers));
+    const max = Math.floor(Math.max(...numbers));
+    const width = Math.max(1, Math.ceil((max - min + 1) / binCount));
+    const bins = [];
+
+    for (let from = min; from <= max; from += width) {
+        const to = from + width - 1;
+        bins.push({ value: width === 1 ? String(from) : `${from}–${to}`, from, to, count: 0 });
+    }
+    numbers.forEach((n) => {
+        bins[Math.floor((Math.floor(n) - min) / width)].count += 1;
+    });
+
+    return bins;
+};
@@ -0,0 +1,118 @@
+import React from 'react';
+import { Link } from 'react-router-dom';
+
+/**
+ * Column definitions for the `DataTable` listings, shared so every page shows
+ * the same record the same way.
+ */
+
+/**
+ * Builds a column whose cells link a record ID to its detail page.
+ *
+ * @param {string} key - ID field, e.g. `species_id`.
+ * @param {string} label - Header text.
+ * @param {string} basePath - Detail route without the ID, e.g. `/zoologix/species`.
+ * @returns {import('../Components/DataTable').DataTableColumn}
+ */
+const idColumn = (key, label, basePath) => ({
+    key,
+    label,
+    hideable: false,
+    render: (row) => (
+        <Link to={`${basePath}/${encodeURIComponent(row[key])}`} className="detail-link">
+            {row[key]}
+        </Link>
+    )
+});
+
+/**
+ * Builds the trailing Actions column with an Edit link for each row.
+ *
+ * @function
+ * @param {string} idField - ID field of the record.
+ * @param {string} basePath - Resource route, e.g. `/zoologix/habitats`.
+ * @param {string} title - Tooltip of the link, e.g. `Edit habitat`.
+ * @returns {import('../Components/DataTable').DataTableColumn}
+ * @author `NatBitton54`
+ */
+export const editColumn = (idField, basePath, title) => ({
+    key: 'actions',
+    label: 'Actions',
+    sortable: false,
+    exportable: false,
+    render: (row) => (
+        <Link to={`${basePath}/${encodeURIComponent(row[idField])}/edit`} className="edit-link" title={title}>
+            <i className="fas fa-pen"></i> Edit
+        </Link>
+    )
+});
+
+/**
+ * Species columns, as returned by `/species` and `/habitats/:id/species`
+ * (joined with the diet and classification).
+ * @type {Array<import('../Components/DataTable').DataTableColumn>}
+ */
+export const SPECIES_COLUMNS = [
+    idColumn('species_id', 'Species ID', '/zoologix/species'),
+    { key: 'common_name', label: 'Common Name' },
+    { key: 'description', label: 'Description' },
+    { key: 'name_of_offspring', label: 'Name of Offspring' },
+    { key: 'group_behaviour', label: 'Group Behaviour' },
+    { key: 'gestation_period', label: 'Gestation Period' },
+    { key: 'breeding_season', label: 'Breeding Season' },
+    { key: 'num_of_offspring', label: 'Number of Offspring' },
+    { key: 'average_lifespan', label: 'Average Lifespan' },
+    { key: 'date_added', label: 'Date Added' },
+    { key: 'diet_id', label: 'Diet ID' },
+    { key: 'habitat_id', label: 'Habitat ID' },
+    { key: 'classification_id', label: 'Classification ID' },
+    { key: 'name', label: 'Name' },
+    { key: 'diet_type', label: 'Diet Type' },
+    { key: 'food_items', label: 'Food Items' },
+    { key: 'kingdom', label: 'Kingdom' },
+    { key: 'phylum', label: 'Phylum' },
+    { key: 'class', label: 'Class' },
+    { key: 'order', label: 'Order' },
+    { key: 'family', label: 'Family' },
+    { key: 'genus', label: 'Genus' },
+    { key: 'status_code', label: 'Status Code' }
+];
+
+/**
+ * Habitat columns, as returned by `/habitats`.
+ * @type {Array<import('../Components/DataTable').DataTableColumn>}
+ */
+export const HABITAT_COLUMNS = [
+    idColumn('habitat_id', 'Habitat ID', '/zoologix/habitats'),
+    { key: 'name', label: 'Name' },
+    { key: 'climate', label: 'Climate' },
+    { key: 'location', label: 'Location' },
+    { key: 'longitude_range', label: 'Longitude Range' },
+    { key: 'latitude_range', label: 'Latitude Range' },
+    { key: 'description', label: 'Description' }
+];
+
+/**
+ * Diet columns, as returned by `/diets`. Diets have no detail page, so the ID is plain text.
+ * @type {Array<import('../Components/DataTable').DataTableColumn>}
+ */
+export const DIET_COLUMNS = [
+    { key: 'diet_id', label: 'Diet ID', hideable: false },
+    { key: 'name', label: 'Name' },
+    { key: 'diet_type', label: 'Diet Type' },
+    { key: 'food_items', label: 'Food Items' }
+];
+
+/**
+ * Classification columns, as returned by `/classifications`.
+ * @type {Array<import('../Components/DataTable').DataTableColumn>}
+ */
+export const CLASSIFICATION_COLUMNS = [
+    { key: 'classification_id', label: 'Classification ID', hideable: false },
+    { key: 'kingdom', label: 'Kingdom' },
+    { key: 'phylum', label: 'Phylum' },
+    { key: 'class', label: 'Class' },
+    { key: 'order', label: 'Order' },
+    { key: 'family', label: 'Family' },
+    { key: 'genus', label: 'Genus' }
+];
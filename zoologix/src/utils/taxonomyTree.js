@@ -0,0 +1,118 @@
+/**
+ * Taxonomic ranks carried by every species row, broadest first.
+ * @type {string[]}
+ */
+export const TAXONOMY_RANKS = ['kingdom', 'phylum', 'class', 'order', 'family', 'genus'];
+
+/**
+ * Ranks the `/species` endpoint can filter on. The others (kingdom, phylum, family)
+ * have no query param, so links to them fall back to the ranks above.
+ * @type {string[]}
+ */
+export const FILTERABLE_RANKS = ['class', 'order', 'genus'];
+
+/**
+ * @typedef {Object} TaxonomyNode
+ * @property {string} key - Path of names from the root, e.g. `Animalia/Chordata/Mammalia`; empty for the root.
+ * @property {string|null} rank - Rank of the node (`null` for the root).
+ * @property {string} name - Name at that rank.
+ * @property {Object<string, string>} path - Rank → name for the node and its ancestors.
+ * @property {number} count - Number of species below the node.
+ * @property {Array<TaxonomyNode>} children - Child nodes, sorted by name.
+ * @property {Array<object>} species - Species of a genus node (empty for other ranks).
+ */
+
+/**
+ * Builds a tree of ranks from species rows, counting the species under every node.
+ * Missing rank values are grouped under `Unknown`.
+ *
+ * @function
+ * @param {Array<object>} species - Species rows (joined with their classification).
+ * @returns {TaxonomyNode} The root node.
+ * @author `NatBitton54`
+ */
+export const buildTaxonomyTree = (species) => {
+    const root = { key: '', rank: null, name: 'All species', path: {}, count: 0, children: [], species: [] };
+    const index = new Map([['', root]]);
+
+    species.forEach((record) => {
+        let node = root;
+        node.count += 1;
+
+        TAXONOMY_RANKS.forEach((rank) => {
+            const name = record[rank] ? String(record[rank]) : 'Unknown';
+            const key = node.key ? `${node.key}/${name}` : name;
+
+            if (!index.has(key)) {
+                const child = { key, rank, name, path: { ...node.path, [rank]: name }, count: 0, children: [], species: [] };
+                index.set(key, child);
+                node.children.push(child);
+            }
+            node = index.get(key);
+            node.count += 1;
+        });
+
+        node.species.push(record);
+    });
+
+    const sortChildren = (node) => {
+        node.children.sort((a, b) => a.name.localeCompare(b.name));
+        node.children.forEach(sortChildren);
+    };
+    sortChildren(root);
+
+    return root;
+};
+
+/**
+ * Finds the nodes of the given ranks whose name contains the query (case-insensitive).
+ *
+ * @function
+ * @param {TaxonomyNode} root - Tree from `buildTaxonomyTree`.
+ * @param {string} query - Text to look for.
+ * @param {string[]} [ranks=['family', 'genus']] - Ranks to search.
+ * @returns {Array<TaxonomyNode>} Matching nodes, in tree order.
+ * @author `NatBitton54`
+ */
+export const findTaxa = (root, query, ranks = ['family', 'genus']) => {
+    const needle = query.trim().toLowerCase();
+    const matches = [];
+    if (!needle) return matches;
+
+    const visit = (node) => {
+        if (ranks.includes(node.rank) && node.name.toLowerCase().includes(needle)) matches.push(node);
+        node.children.forEach(visit);
+    };
+    visit(root);
+
+    return matches;
+};
+
+/**
+ * Lists the keys of a node's ancestors, root first, so the node can be revealed.
+ *
+ * @function
+ * @param {string} key - Node key, e.g. `Animalia/Chordata/Mammalia`.
+ * @returns {string[]} Ancestor keys, e.g. `['', 'Animalia', 'Animalia/Chordata']`.
+ * @author `NatBitton54`
+ */
+export const ancestorKeys = (key) => {
+    const names = key.split('/');
+    return names.map((_, i) => names.slice(0, i).join('/'));
+};
+
+/**
+ * Builds the Species list filters for a node from the filterable ranks on its path.
+ *
+ * @function
+ * @param {TaxonomyNode} node - Tree node.
+ * @returns {Object<string, string>} Filter param → value, e.g. `{ class: 'Mammalia', order: 'Carnivora' }`.
+ * @author `NatBitton54`
+ */
+export const toSpeciesFilters = (node) => {
+    const filters = {};
+    FILTERABLE_RANKS.forEach((rank) => {
+        if (node.path[rank] && node.path[rank] !== 'Unknown') filters[rank] = node.path[rank];
+    });
+    return filters;
+};
@@ -0,0 +1,76 @@
+import { ancestorKeys, buildTaxonomyTree, findTaxa, toSpeciesFilters } from './taxonomyTree';
+
+const taxa = (common_name, order, family, genus) => ({
+    common_name, kingdom: 'Animalia', phylum: 'Chordata', class: 'Mammalia', order, family, genus
+});
+
+const SPECIES = [
+    taxa('Lion', 'Carnivora', 'Felidae', 'Panthera'),
+    taxa('Tiger', 'Carnivora', 'Felidae', 'Panthera'),
+    taxa('Grey wolf', 'Carnivora', 'Canidae', 'Canis'),
+    { ...taxa('Mystery bat', 'Chiroptera', '', 'Myotis'), phylum: null }
+];
+
+/**
+ * Follows child names down from the root.
+ */
+const nodeAt = (root, ...names) => names.reduce((node, name) => node.children.find(c => c.name === name), root);
+
+describe('buildTaxonomyTree', () => {
+    it('counts the species below every node', () => {
+        const root = buildTaxonomyTree(SPECIES);
+
+        expect(root.count).toBe(4);
+        expect(nodeAt(root, 'Animalia', 'Chordata', 'Mammalia', 'Carnivora').count).toBe(3);
+        expect(nodeAt(root, 'Animalia', 'Chordata', 'Mammalia', 'Carnivora', 'Felidae', 'Panthera').species
+            .map(s => s.common_name)).toEqual(['Lion', 'Tiger']);
+    });
+
+    it('sorts children by name and groups missing ranks under Unknown', () => {
+        const root = buildTaxonomyTree(SPECIES);
+        const bat = nodeAt(root, 'Animalia', 'Unknown', 'Mammalia', 'Chiroptera', 'Unknown', 'Myotis');
+
+        expect(nodeAt(root, 'Animalia').children.map(c => c.name)).toEqual(['Chordata', 'Unknown']);
+        expect(nodeAt(root, 'Animalia', 'Chordata', 'Mammalia', 'Carnivora').children.map(c => c.name))
+            .toEqual(['Canidae', 'Felidae']);
+        expect(bat.key).toBe('Animalia/Unknown/Mammalia/Chiroptera/Unknown/Myotis');
+        expect(bat.path.family).toBe('Unknown');
+    });
+
+    it('returns an empty root for no species', () => {
+        expect(buildTaxonomyTree([])).toMatchObject({ key: '', count: 0, children: [] });
+    });
+});
+
+describe('findTaxa', () => {
+    it('finds families and genera whose name contains the query, in tree order', () => {
+        const root = buildTaxonomyTree(SPECIES);
+
+        expect(findTaxa(root, ' NI ').map(n => n.key)).toEqual([
+            'Animalia/Chordata/Mammalia/Carnivora/Canidae',
+            'Animalia/Chordata/Mammalia/Carnivora/Canidae/Canis'
+        ]);
+    });
+
+    it('searches only the given ranks and nothing for a blank query', () => {
+        const root = buildTaxonomyTree(SPECIES);
+
+        expect(findTaxa(root, 'carni', ['order']).map(n => n.name)).toEqual(['Carnivora']);
+        expect(findTaxa(root, 'carni')).toEqual([]);
+        expect(findTaxa(root, '  ')).toEqual([]);
+    });
+});
+
+describe('node helpers', () => {
+    it('lists the ancestor keys of a node, root first', () => {
+        expect(ancestorKeys('Animalia/Chordata/Mammalia')).toEqual(['', 'Animalia', 'Animalia/Chordata']);
+    });
+
+    it('builds Species filters from the filterable, known ranks', () => {
+        const root = buildTaxonomyTree(SPECIES);
+
+        expect(toSpeciesFilters(nodeAt(root, 'Animalia', 'Chordata', 'Mammalia', 'Carnivora', 'Felidae', 'Panthera')))
+            .toEqual({ class: 'Mammalia', order: 'Carnivora', genus: 'Panthera' });
+        expect(toSpeciesFilters(nodeAt(root, 'Animalia', 'Chordata'))).toEqual({});
+    });
+});
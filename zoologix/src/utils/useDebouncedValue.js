@@ -0,0 +1,22 @@
+import { useEffect, useState } from 'react';
+
+/**
+ * Returns `value` once it has stopped changing for `delay` milliseconds,
+ * e.g. to search only after the user pauses typing.
+ *
+ * @function
+ * @param {*} value - Value to follow.
+ * @param {number} [delay=300] - Quiet time in milliseconds.
+ * @returns {*} The last value that stayed unchanged for `delay`.
+ * @author `NatBitton54`
+ */
+export const useDebouncedValue = (value, delay = 300) => {
+    const [debounced, setDebounced] = useState(value);
+
+    useEffect(() => {
+        const timer = setTimeout(() => setDebounced(value), delay);
+        return () => clearTimeout(timer);
+    }, [value, delay]);
+
+    return debounced;
+};
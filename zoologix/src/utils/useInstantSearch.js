@@ -0,0 +1,122 @@
+import { useEffect, useRef, useState } from 'react';
+import { api } from './apiClient';
+import { ERROR_CATEGORIES, parseApiError } from './apiError';
+import { distinctValues, matchSuggestions } from './fieldSuggestions';
+import { useDebouncedValue } from './useDebouncedValue';
+
+/**
+ * Characters allowed in a search term.
+ * @type {RegExp}
+ */
+export const SEARCH_PATTERN = /^[A-Za-z0-9\s\-']+$/;
+
+/**
+ * Search input of a list page, with an optional instant mode that searches as you type.
+ *
+ * - The input searches the chosen filter field; in instant mode it falls back to `defaultField`.
+ * - In instant mode the term is applied through `onApply` once typing pauses, and known values
+ *   of the field are suggested from one small page of matching records. A newer term cancels
+ *   the suggestion request still in flight.
+ *
+ * @function
+ * @param {string} endpoint - Collection endpoint the suggestions come from, e.g. `/species`.
+ * @param {object} options
+ * @param {Object<string, string>} options.filters - Current filter clauses: param → value.
+ * @param {Object<string, string>} options.suggestionFields - Filter param → record field holding its values.
+ * @param {function(Object<string, string>): void} options.onApply - Receives the new filter clauses
+ *   when an instant search is applied.
+ * @param {string} [options.defaultField='name'] - Field searched in instant mode when none is chosen.
+ * @param {number} [options.suggestionLimit=20] - Records requested for suggestions.
+ * @returns {{searchName: string, setSearchName: function(string): void, filter: string,
+ *   setFilter: function(string): void, instant: boolean, setInstant: function(boolean): void,
+ *   searchField: string, suggestions: string[], reset: function(): void}} The input state and its controls.
+ * @author `NatBitton54`
+ */
+export const useInstantSearch = (endpoint, { filters, suggestionFields, onApply, defaultField = 'name', suggestionLimit = 20 }) => {
+    const [searchName, setSearchName] = useState('');
+    const [filter, setFilterState] = useState('');
+    const [instant, setInstantState] = useState(false);
+    const [suggestionValues, setSuggestionValues] = useState([]);
+
+    const searchField = filter || (instant ? defaultField : '');
+    const suggestionField = instant ? suggestionFields[searchField] : undefined;
+    const debouncedSearch = useDebouncedValue(searchName.trim(), 300);
+
+    // Latest input, filters and callback, read when the debounced term changes;
+    // changing them alone must not apply the search again
+    const latest = useRef(null);
+    latest.current = { searchName, filters, onApply };
+
+    /**
+     * useEffect - In instant mode, applies the search once typing pauses.
+     */
+    useEffect(() => {
+        const { searchName, filters, onApply } = latest.current;
+
+        // Wait until the debounce has caught up with the input
+        if (!instant || !searchField || debouncedSearch !== searchName.trim()) return;
+        if (debouncedSearch && !SEARCH_PATTERN.test(debouncedSearch)) return;
+        if ((filters[searchField] || '') === debouncedSearch) return;
+
+        const { [searchField]: _previous, ...rest } = filters;
+        onApply(debouncedSearch ? { ...rest, [searchField]: debouncedSearch } : rest);
+    }, [debouncedSearch, searchField, instant]);
+
+    /**
+     * useEffect - Loads suggestion values for the debounced term. Suggestions are optional,
+     * so a failure just leaves them empty.
+     */
+    useEffect(() => {
+        if (!suggestionField || (debouncedSearch && !SEARCH_PATTERN.test(debouncedSearch))) {
+            setSuggestionValues([]);
+            return undefined;
+        }
+
+        const controller = new AbortController();
+        const loadSuggestions = async () => {
+            const query = new URLSearchParams({ page: 1, pageSize: suggestionLimit });
+            if (debouncedSearch) query.set(searchField, debouncedSearch);
+
+            try {
+                const res = await api.get(`${endpoint}?${query}`, {}, { signal: controller.signal });
+                setSuggestionValues(distinctValues(res?.data || [], suggestionField));
+            } catch (err) {
+                if (parseApiError(err).category === ERROR_CATEGORIES.CANCELLED) return;
+                setSuggestionValues([]);
+            }
+        };
+        loadSuggestions();
+
+        return () => controller.abort();
+    }, [endpoint, searchField, suggestionField, debouncedSearch, suggestionLimit]);
+
+    /**
+     * Turns instant mode on or off. Turning it on puts the current value of the
+     * search field back in the input so it can be edited.
+     */
+    const setInstant = (on) => {
+        setInstantState(on);
+        setSearchName(on ? filters[filter || defaultField] || '' : '');
+    };
+
+    /**
+     * Changes the field the input searches. In instant mode the input then shows
+     * that field's current filter, so typing edits it.
+     */
+    const setFilter = (field) => {
+        setFilterState(field);
+        if (instant) setSearchName(filters[field || defaultField] || '');
+    };
+
+    /**
+     * Empties the input and forgets the chosen field.
+     */
+    const reset = () => {
+        setSearchName('');
+        setFilterState('');
+    };
+
+    const suggestions = suggestionField ? matchSuggestions(suggestionValues, searchName) : [];
+
+    return { searchName, setSearchName, filter, setFilter, instant, setInstant, searchField, suggestions, reset };
+};
@@ -0,0 +1,136 @@
+import { useEffect, useRef, useState } from 'react';
+import Swal from 'sweetalert2';
+import { useLocation, useNavigate } from 'react-router-dom';
+import { api } from './apiClient';
+import { ERROR_CATEGORIES, parseApiError } from './apiError';
+import { toFilterQuery } from './filterQuery';
+import { toSortParams } from './sortQuery';
+import { useScrollRestoration } from './useScrollRestoration';
+
+/**
+ * Reads the paging settings of a list page from its URL query.
+ *
+ * @function
+ * @param {URLSearchParams} params - The URL query.
+ * @returns {{page: number, pageSize: number, mode: 'pages'|'scroll'}} Page (the furthest page loaded in
+ *   infinite-scroll mode), records per page and paging mode.
+ * @author `NatBitton54`
+ */
+export const readPaging = (params) => ({
+    page: parseInt(params.get('page')) || 1,
+    pageSize: parseInt(params.get('pageSize')) || 5,
+    mode: params.get('mode') === 'scroll' ? 'scroll' : 'pages'
+});
+
+/**
+ * Loads the rows of a list page, as numbered pages or as an infinite-scroll list.
+ *
+ * - `pages` mode shows page `page` only.
+ * - `scroll` mode shows every page up to `page`. When `page` grows by one on the same list
+ *   (see `loadMore`), only that page is fetched and appended; otherwise the list is rebuilt.
+ * - A newer load cancels the one still in flight, and the scroll position is restored on Back.
+ *
+ * @function
+ * @param {string|null} endpoint - Collection endpoint (e.g. `/species`); nothing is loaded while null.
+ * @param {object} options
+ * @param {number} options.page - Page to show (the furthest page loaded in infinite-scroll mode).
+ * @param {number} options.pageSize - Records per page.
+ * @param {Array<{field: string, direction: string}>} [options.sort=[]] - Sort columns, highest priority first.
+ * @param {Object<string, string>} [options.filters={}] - Filter param → value; all of them must match.
+ * @param {'pages'|'scroll'} [options.mode='pages'] - Numbered pages or infinite scroll.
+ * @param {string} options.label - Collection name used in messages, e.g. `species`.
+ * @param {boolean} [options.notifyEmpty=true] - Show an alert when a filtered load finds nothing.
+ * @returns {{rows: Array<object>, loading: boolean, totalPages: number, totalItems: number,
+ *   loadMore: function(): void, reload: function(): void}} The rows shown and their controls;
+ *   `loadMore` moves the URL to the next page without adding a history entry.
+ * @author `NatBitton54`
+ */
+export const usePagedList = (endpoint, { page, pageSize, sort = [], filters = {}, mode = 'pages', label, notifyEmpty = true }) => {
+    const [rows, setRows] = useState([]);
+    const [loading, setLoading] = useState(false);
+    const [totalPages, setTotalPages] = useState(1);
+    const [totalItems, setTotalItems] = useState(0);
+    const [reloadCount, setReloadCount] = useState(0);
+
+    const navigate = useNavigate();
+    const location = useLocation();
+
+    // List and number of pages shown in infinite-scroll mode, to tell "append the next page" from a new list
+    const loadedPages = useRef({ key: null, pages: 0 });
+    // Message settings are read when a load finishes; changing them alone does not reload
+    const messages = useRef({ label, notifyEmpty });
+    messages.current = { label, notifyEmpty };
+
+    const query = toFilterQuery(filters, toSortParams(sort));
+    const filtered = Object.keys(filters).length > 0;
+
+    useScrollRestoration(rows.length > 0);
+
+    /**
+     * useEffect - Loads the rows whenever the list, page or mode changes (or `reload` is called).
+     */
+    useEffect(() => {
+        if (!endpoint) {
+            loadedPages.current = { key: null, pages: 0 };
+            setRows([]);
+            setLoading(false);
+            return undefined;
+        }
+
+        const controller = new AbortController();
+        const listKey = `${endpoint}?${query}&pageSize=${pageSize}`;
+        const scroll = mode === 'scroll';
+        const appending = scroll && loadedPages.current.key === listKey && page === loadedPages.current.pages + 1;
+
+        const load = async () => {
+            setLoading(true);
+            try {
+                const res = await api.fetchPageRange(query ? `${endpoint}?${query}` : endpoint, {
+                    from: scroll && !appending ? 1 : page,
+                    to: page,
+                    pageSize,
+                    signal: controller.signal
+                });
+                const data = res.data;
+
+                setRows(appending ? (list) => [...list, ...data] : data);
+                loadedPages.current = scroll ? { key: listKey, pages: page } : { key: null, pages: 0 };
+                setTotalPages(res.metadata?.total_pages || 1);
+                setTotalItems(res.metadata?.total_items ?? data.length);
+                setLoading(false);
+
+                if (messages.current.notifyEmpty && filtered && data.length === 0 && !appending) {
+                    Swal.fire('No Results', 'No records found with the selected search criteria.', 'info');
+                }
+            } catch (err) {
+                const apiError = parseApiError(err);
+                if (apiError.category === ERROR_CATEGORIES.CANCELLED) return;
+
+                setLoading(false);
+                Swal.fire('Error', `Could not load ${messages.current.label}: ${apiError.userMessage}`, 'error');
+            }
+        };
+        load();
+
+        return () => controller.abort();
+    }, [endpoint, query, filtered, page, pageSize, mode, reloadCount]);
+
+    /**
+     * Appends the next page in infinite-scroll mode. The URL keeps the furthest page
+     * loaded, replacing the history entry so scrolling does not add one per page.
+     */
+    const loadMore = () => {
+        if (loading || page >= totalPages) return;
+
+        const params = new URLSearchParams(location.search);
+        params.set('page', page + 1);
+        navigate(`?${params.toString()}`, { replace: true });
+    };
+
+    /**
+     * Loads the rows shown again, e.g. after records were deleted.
+     */
+    const reload = () => setReloadCount((count) => count + 1);
+
+    return { rows, loading, totalPages, totalItems, loadMore, reload };
+};
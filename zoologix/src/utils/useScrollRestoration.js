@@ -0,0 +1,49 @@
+import { useEffect, useRef } from 'react';
+import { useLocation } from 'react-router-dom';
+
+/**
+ * Prefix of the sessionStorage keys holding saved scroll positions.
+ * @type {string}
+ */
+const STORAGE_PREFIX = 'zoologix.scroll.';
+
+/**
+ * Restores the window scroll position when coming back to a page with the browser's Back button.
+ *
+ * The position is saved per history entry (`location.key`) when the page is left, and
+ * restored once `ready` turns true, i.e. once the content it was measured against has loaded again.
+ * Each history entry is restored once, so a page that stays mounted across entries (e.g. a list
+ * whose query changes) restores again after Back.
+ *
+ * @function
+ * @param {boolean} ready - True once the page content is rendered.
+ * @returns {void}
+ * @author `NatBitton54`
+ */
+export const useScrollRestoration = (ready) => {
+    const { key } = useLocation();
+    const position = useRef(window.scrollY);
+    // History entry whose position was last restored
+    const restoredKey = useRef(null);
+
+    useEffect(() => {
+        position.current = window.scrollY;
+        const handleScroll = () => {
+            position.current = window.scrollY;
+        };
+        window.addEventListener('scroll', handleScroll, { passive: true });
+
+        return () => {
+            window.removeEventListener('scroll', handleScroll);
+            sessionStorage.setItem(`${STORAGE_PREFIX}${key}`, String(position.current));
+        };
+    }, [key]);
+
+    useEffect(() => {
+        if (!ready || restoredKey.current === key) return;
+        restoredKey.current = key;
+
+        const saved = Number(sessionStorage.getItem(`${STORAGE_PREFIX}${key}`));
+        if (saved > 0) window.scrollTo(0, saved);
+    }, [ready, key]);
+};